@@ -21,7 +21,12 @@ module.exports = [
       },
     },
   },
-  'strapi::cors',
+  {
+    name: 'strapi::cors',
+    config: {
+      headers: ['Content-Type', 'Authorization', 'Origin', 'Accept', 'X-Tenant-Id'],
+    },
+  },
   'strapi::poweredBy',
   'strapi::query',
   {
@@ -36,7 +41,8 @@ module.exports = [
     },
   },
   'global::request-context', // store request ctx for tenant injection in lifecycles
-  'global::content-manager-article-relation', // Editor: request more articles in list/relation picker
+  'global::content-api-tenant', // Content API: resolve tenant from X-Tenant-Id or Host
+  'global::content-manager-article-relation', // Editor: tenant-scoped article/tag relation pickers, more articles per list page
   'global::content-manager-hide-tenant', // hide tenant/views/isFeatured for Editor UI
   'global::content-manager-article-published-at', // inject publishedAt into Article list configuration response
   'strapi::session',
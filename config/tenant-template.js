@@ -0,0 +1,34 @@
+/**
+ * Default content for a newly provisioned tenant (src/utils/tenant-provisioning.js,
+ * POST /tenants/provision in the admin API and scripts/provision-tenant.js).
+ * Provisioning only creates what is missing, so editing this template never
+ * overwrites content a tenant has already changed.
+ */
+module.exports = {
+  // Default categories are shared by all tenants; missing ones are created (shared) by slug.
+  categories: [
+    { name: 'Main News', slug: 'main-news' },
+    { name: 'Featured News', slug: 'featured-news' },
+    { name: 'Press Release', slug: 'press-release' },
+    { name: 'Most Read', slug: 'most-read' },
+  ],
+  homepage: {
+    title: 'Home',
+    mostReadSectionTitle: 'Most Read',
+    mostReadMaxItems: 5,
+    flashNewsActive: false,
+  },
+  directoryHome: {
+    introText: null,
+    sectionCards: [
+      { title: 'Bishops', linkUrl: '/bishops' },
+      { title: 'Dioceses', linkUrl: '/dioceses' },
+      { title: 'Parishes', linkUrl: '/parishes' },
+      { title: 'Priests', linkUrl: '/priests' },
+      { title: 'Institutions', linkUrl: '/institutions' },
+      { title: 'Seminaries', linkUrl: '/seminaries' },
+      { title: 'Pilgrim Centres', linkUrl: '/pilgrim-centres' },
+      { title: 'Spiritual Organisations', linkUrl: '/spiritual-organisations' },
+    ],
+  },
+};
@@ -0,0 +1,27 @@
+'use strict';
+
+/**
+ * Merge Article View Count rows of the same article and day into one, so the unique
+ * index on (article_document_id, day) can be created. Runs before the schema sync.
+ */
+
+const TABLE = 'article_view_counts';
+
+module.exports = {
+  async up(knex) {
+    if (!(await knex.schema.hasTable(TABLE))) return;
+    const duplicates = await knex(TABLE)
+      .select('article_document_id', 'day')
+      .min({ keepId: 'id' })
+      .sum({ total: 'count' })
+      .groupBy('article_document_id', 'day')
+      .havingRaw('count(*) > 1');
+    for (const row of duplicates) {
+      await knex(TABLE).where({ id: row.keepId }).update({ count: Number(row.total) || 0 });
+      await knex(TABLE)
+        .where({ article_document_id: row.article_document_id, day: row.day })
+        .whereNot({ id: row.keepId })
+        .del();
+    }
+  },
+};
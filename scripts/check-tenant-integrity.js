@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * Tenant integrity check: finds tenant links pointing at deleted tenants, draft or
+ * published rows missing their tenant link, draft/published tenant mismatches, entries
+ * without a tenant and relations between different tenants' entries. With --fix the
+ * repairable issues are fixed. Run before and after a deployment or data migration.
+ * Same logic as GET /tenants/integrity and POST /tenants/integrity/repair in the admin API.
+ * Replaces fix_article_category_tenant.js, fix_production_tenant_and_dates.js and the
+ * temporary /api/migration/fix-published route.
+ *
+ * Usage:
+ *   node scripts/check-tenant-integrity.js [--fix] [--json <report.json>]
+ *
+ * Exit code 2 when issues remain after the run (useful in deployment checks).
+ */
+
+try {
+  require('dotenv').config();
+} catch (_) {}
+
+const fs = require('fs');
+
+function readOption(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return undefined;
+  const [, value] = args.splice(index, 2);
+  return value;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const jsonPath = readOption(args, '--json');
+  const fix = args.includes('--fix');
+
+  const { createStrapi, compileStrapi } = require('@strapi/strapi');
+  console.log('Loading Strapi...');
+  const appContext = await compileStrapi();
+  const app = await createStrapi(appContext).load();
+  app.log.level = 'error';
+
+  let exitCode = 0;
+  try {
+    const { checkTenantIntegrity, formatIntegrityReport } = require('../src/utils/tenant-integrity');
+    const report = await checkTenantIntegrity({ fix });
+    console.log(formatIntegrityReport(report));
+    if (jsonPath) {
+      fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+      console.log(`JSON report written to ${jsonPath}`);
+    }
+    if (report.issues.some((issue) => !issue.fixed)) exitCode = 2;
+  } catch (err) {
+    console.error('Error:', err.message);
+    exitCode = 1;
+  } finally {
+    await app.destroy();
+  }
+  process.exit(exitCode);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+/**
+ * Export everything one tenant owns to a portable archive: articles, flash news, ads,
+ * directory entries, liturgy days, homepage and the other per-tenant types, the shared
+ * categories / authors they reference and the metadata of every referenced media file.
+ * Import it into another instance or tenant with scripts/import-tenant.js.
+ * Replaces the article-only export (export_news_tenant_demo.js).
+ *
+ * Usage:
+ *   node scripts/export-tenant.js <tenantId> [output.json | output.json.gz]
+ *
+ * Default output: exports/tenant_<tenantId>_YYYYMMDD.json
+ */
+
+try {
+  require('dotenv').config();
+} catch (_) {}
+
+const path = require('path');
+
+async function main() {
+  const [tenantId, outputArg] = process.argv.slice(2);
+  if (!tenantId) {
+    console.error('Usage: node scripts/export-tenant.js <tenantId> [output.json | output.json.gz]');
+    process.exit(1);
+  }
+  const outputPath = path.resolve(
+    outputArg ||
+      path.join('exports', `tenant_${tenantId}_${new Date().toISOString().slice(0, 10).replace(/-/g, '')}.json`)
+  );
+
+  const { createStrapi, compileStrapi } = require('@strapi/strapi');
+  console.log('Loading Strapi...');
+  const appContext = await compileStrapi();
+  const app = await createStrapi(appContext).load();
+  app.log.level = 'error';
+
+  let exitCode = 0;
+  try {
+    const { exportTenantArchive, writeArchiveFile } = require('../src/utils/tenant-archive');
+    const archive = await exportTenantArchive(tenantId);
+    writeArchiveFile(outputPath, archive);
+    console.log(`Exported tenant ${tenantId} to ${outputPath}`);
+    for (const [uid, entries] of Object.entries(archive.entries)) {
+      console.log(`  ${String(entries.length).padStart(5)} ${uid}`);
+    }
+    for (const [uid, entries] of Object.entries(archive.shared)) {
+      console.log(`  ${String(entries.length).padStart(5)} ${uid} (shared)`);
+    }
+    console.log(`  ${String(archive.media.length).padStart(5)} media files`);
+  } catch (err) {
+    console.error('Error:', err.message);
+    exitCode = 1;
+  } finally {
+    await app.destroy();
+  }
+  process.exit(exitCode);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
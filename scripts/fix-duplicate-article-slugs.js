@@ -2,7 +2,8 @@
 
 /**
  * Fix duplicate article slugs on local Strapi so export and push to Cloud succeed.
- * Slugs must be unique; duplicate slugs cause "This attribute must be unique" (400) on push.
+ * Slugs must be unique within a tenant (the same slug in two tenants is fine); duplicates
+ * are listed in the Strapi startup log and cause a 400 on save or push.
  *
  * Usage (Strapi can be running or stopped – uses REST API):
  *   set STRAPI_LOCAL_URL=http://localhost:1337
@@ -48,7 +49,7 @@ async function fetchAll(baseUrl, token, pluralName) {
   let page = 1;
   const pageSize = 100;
   while (true) {
-    const url = `${baseUrl}/api/${pluralName}?pagination[page]=${page}&pagination[pageSize]=${pageSize}`;
+    const url = `${baseUrl}/api/${pluralName}?pagination[page]=${page}&pagination[pageSize]=${pageSize}&populate[tenant][fields][0]=tenantId`;
     const res = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
     if (!res.ok) {
       console.error('GET', url, res.status, await res.text());
@@ -58,7 +59,7 @@ async function fetchAll(baseUrl, token, pluralName) {
     const data = json?.data;
     const items = Array.isArray(data) ? data : (data ? [data] : []);
     for (const doc of items) {
-      list.push({ documentId: doc.documentId ?? doc.id, slug: doc.slug ?? '' });
+      list.push({ documentId: doc.documentId ?? doc.id, slug: doc.slug ?? '', tenant: doc.tenant?.tenantId ?? '' });
     }
     if (items.length < pageSize) break;
     page++;
@@ -84,10 +85,10 @@ async function main() {
   const all = await fetchAll(BASE_URL, API_TOKEN, plural);
   console.log('Total entries:', all.length);
 
-  // Group by normalized slug
+  // Group by tenant and normalized slug
   const bySlug = new Map();
   for (const doc of all) {
-    const key = normalizeSlug(doc.slug) || '(empty)';
+    const key = `${doc.tenant}/${normalizeSlug(doc.slug) || '(empty)'}`;
     if (!bySlug.has(key)) bySlug.set(key, []);
     bySlug.get(key).push(doc);
   }
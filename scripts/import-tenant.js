@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * Import an archive written by scripts/export-tenant.js. Entries get new documentIds
+ * in this instance; relations are rewired to them. Shared categories / authors and
+ * media records are reused when they already exist here (same documentId, slug / name
+ * or file URL). Pass --tenant to import into a different tenant (created when missing,
+ * --domain sets its domain).
+ *
+ * Usage:
+ *   node scripts/import-tenant.js <archive.json | archive.json.gz> [--tenant <tenantId>] [--domain <domain>]
+ */
+
+try {
+  require('dotenv').config();
+} catch (_) {}
+
+function readOption(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return undefined;
+  const [, value] = args.splice(index, 2);
+  return value;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const tenantId = readOption(args, '--tenant');
+  const domain = readOption(args, '--domain');
+  const [inputPath] = args;
+  if (!inputPath) {
+    console.error(
+      'Usage: node scripts/import-tenant.js <archive.json | archive.json.gz> [--tenant <tenantId>] [--domain <domain>]'
+    );
+    process.exit(1);
+  }
+  const { createStrapi, compileStrapi } = require('@strapi/strapi');
+  console.log('Loading Strapi...');
+  const appContext = await compileStrapi();
+  const app = await createStrapi(appContext).load();
+  app.log.level = 'error';
+
+  let exitCode = 0;
+  try {
+    const { importTenantArchive, readArchiveFile } = require('../src/utils/tenant-archive');
+    const report = await importTenantArchive(readArchiveFile(inputPath), { tenantId, domain });
+    console.log(`Imported into tenant ${report.tenant}`);
+    for (const uid of new Set([...Object.keys(report.created), ...Object.keys(report.reused)])) {
+      console.log(`  ${uid}: ${report.created[uid] || 0} created, ${report.reused[uid] || 0} reused`);
+    }
+    console.log(`  media: ${report.media.created} created, ${report.media.reused} reused`);
+    if (report.warnings.length > 0) {
+      console.warn(`${report.warnings.length} warning(s):`);
+      report.warnings.forEach((warning) => console.warn(`  ${warning}`));
+    }
+  } catch (err) {
+    console.error('Error:', err.message);
+    exitCode = 1;
+  } finally {
+    await app.destroy();
+  }
+  process.exit(exitCode);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+/**
+ * Decommission a tenant: archive everything it owns to exports/offboarded/, delete its
+ * documents in every tenant-scoped content type, its Editor Tenant Assignments and the
+ * Tenant, and record a Tenant Audit Log entry. Shared categories / authors and media
+ * files are kept. Restore from the archive with npm run import:tenant.
+ * Same logic as POST /tenants/offboard in the admin API.
+ *
+ * Usage:
+ *   node scripts/offboard-tenant.js <tenantId> --dry-run     # counts only
+ *   node scripts/offboard-tenant.js <tenantId> --yes [--archive <file.json.gz>]
+ */
+
+try {
+  require('dotenv').config();
+} catch (_) {}
+
+function readOption(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return undefined;
+  const [, value] = args.splice(index, 2);
+  return value;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const archivePath = readOption(args, '--archive');
+  const dryRun = args.includes('--dry-run');
+  const confirmed = args.includes('--yes');
+  const [tenantId] = args.filter((a) => !a.startsWith('--'));
+  if (!tenantId || (!dryRun && !confirmed)) {
+    console.error('Usage: node scripts/offboard-tenant.js <tenantId> (--dry-run | --yes [--archive <file.json.gz>])');
+    process.exit(1);
+  }
+
+  const { createStrapi, compileStrapi } = require('@strapi/strapi');
+  console.log('Loading Strapi...');
+  const appContext = await compileStrapi();
+  const app = await createStrapi(appContext).load();
+  app.log.level = 'error';
+
+  let exitCode = 0;
+  try {
+    const { offboardTenant } = require('../src/utils/tenant-offboarding');
+    const report = await offboardTenant(tenantId, { dryRun, archivePath });
+    console.log(
+      dryRun
+        ? `Dry run for tenant ${tenantId} — nothing was deleted. Would delete:`
+        : `Offboarded tenant ${tenantId}. Deleted:`
+    );
+    for (const [uid, count] of Object.entries(report.counts)) {
+      console.log(`  ${String(count).padStart(5)} ${uid}`);
+    }
+    if (report.archivePath) console.log(`Archive: ${report.archivePath}`);
+  } catch (err) {
+    console.error('Error:', err.message);
+    exitCode = 1;
+  } finally {
+    await app.destroy();
+  }
+  process.exit(exitCode);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+/**
+ * Create a tenant from the template in config/tenant-template.js: default categories,
+ * homepage, directory-home with section cards and Editor Tenant Assignments.
+ * Safe to re-run: existing content is left as is and only missing pieces are created.
+ * Same logic as POST /tenants/provision in the admin API.
+ *
+ * Usage:
+ *   node scripts/provision-tenant.js <tenantId> <name> <domain> [editor-email ...] [--dry-run]
+ *
+ * Example:
+ *   node scripts/provision-tenant.js tenant_demo_003 "Demo Diocese" demo.example.org editor@example.com --dry-run
+ */
+
+try {
+  require('dotenv').config();
+} catch (_) {}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const [tenantId, name, domain, ...editors] = args.filter((a) => a !== '--dry-run');
+  if (!tenantId || !name || !domain) {
+    console.error('Usage: node scripts/provision-tenant.js <tenantId> <name> <domain> [editor-email ...] [--dry-run]');
+    process.exit(1);
+  }
+
+  const { createStrapi, compileStrapi } = require('@strapi/strapi');
+  console.log('Loading Strapi...');
+  const appContext = await compileStrapi();
+  const app = await createStrapi(appContext).load();
+  app.log.level = 'error';
+
+  let exitCode = 0;
+  try {
+    const { provisionTenant } = require('../src/utils/tenant-provisioning');
+    const report = await provisionTenant({ tenantId, name, domain, editors }, { dryRun });
+    console.log(
+      dryRun
+        ? `Dry run for tenant ${report.tenant.tenantId} — nothing was written.`
+        : `Provisioned tenant ${report.tenant.tenantId}`
+    );
+    for (const { step, status, detail } of report.steps) {
+      console.log(`  ${status.padEnd(12)} ${step}${detail ? ` (${detail})` : ''}`);
+    }
+  } catch (err) {
+    console.error('Error:', err.message);
+    exitCode = 1;
+  } finally {
+    await app.destroy();
+  }
+  process.exit(exitCode);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
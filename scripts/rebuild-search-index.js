@@ -0,0 +1,44 @@
+'use strict';
+
+/**
+ * Rebuild the search index behind GET /api/search from scratch: every published
+ * entry of the types with pluginOptions.search. The index is kept up to date on
+ * save, so this is only needed after bulk imports that bypass Strapi, restores,
+ * or when a type's search fields change.
+ *
+ * Usage:
+ *   node scripts/rebuild-search-index.js
+ */
+
+try {
+  require('dotenv').config();
+} catch (_) {}
+
+async function main() {
+  const { createStrapi, compileStrapi } = require('@strapi/strapi');
+  console.log('Loading Strapi...');
+  const appContext = await compileStrapi();
+  const app = await createStrapi(appContext).load();
+  app.log.level = 'error';
+
+  let exitCode = 0;
+  try {
+    const { rebuildSearchIndex } = require('../src/utils/search-index');
+    const counts = await rebuildSearchIndex({
+      onProgress: (uid, count) => console.log(`  ${uid}: ${count} indexed`),
+    });
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    console.log(`Search index rebuilt: ${total} entries.`);
+  } catch (err) {
+    console.error('Error:', err.message);
+    exitCode = 1;
+  } finally {
+    await app.destroy();
+  }
+  process.exit(exitCode);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
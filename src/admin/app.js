@@ -1,4 +1,5 @@
 import React from 'react';
+import { useFetchClient } from '@strapi/strapi/admin';
 
 const ARTICLE_UID = 'api::article.article';
 
@@ -40,6 +41,319 @@ function PublishedAtPanel(props) {
   };
 }
 
+const REVIEW_UIDS = [ARTICLE_UID, 'api::flash-news-item.flash-news-item'];
+
+const REVIEW_STATUS_LABELS = {
+  draft: 'Draft',
+  in_review: 'In review',
+  approved: 'Approved',
+  published: 'Published',
+};
+
+const REVIEW_ACTION_LABELS = {
+  submit: 'Submitted for review',
+  approve: 'Approved',
+  reject: 'Changes requested',
+  publish: 'Published',
+  unpublish: 'Unpublished',
+  reset: 'Back to draft',
+  blocked: 'Scheduled publish waiting for approval',
+};
+
+const REVIEW_BUTTONS = {
+  submit: 'Submit for review',
+  approve: 'Approve',
+  reject: 'Request changes',
+};
+
+/**
+ * Review workflow for one entry (GET/POST /reviews/:uid/:documentId, see
+ * src/utils/review-workflow.js): status, the actions open to this user, an optional
+ * comment (required to request changes) and the history of who changed the status.
+ * Reloaded after every save so an edit that sent the entry back to draft shows up.
+ */
+function ReviewWorkflow({ model, documentId, updatedAt }) {
+  const { get, post } = useFetchClient();
+  const [state, setState] = React.useState(null);
+  const [comment, setComment] = React.useState('');
+  const [busy, setBusy] = React.useState(false);
+  const [error, setError] = React.useState(null);
+  const url = `/reviews/${model}/${documentId}`;
+
+  React.useEffect(() => {
+    let cancelled = false;
+    get(url)
+      .then(({ data }) => {
+        if (!cancelled) setState(data?.data ?? null);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [get, url, updatedAt]);
+
+  if (!state) return null;
+
+  const run = async (transition) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const { data } = await post(`${url}/${transition}`, { comment });
+      setState(data?.data ?? null);
+      setComment('');
+    } catch (err) {
+      setError(err?.response?.data?.error?.message || 'Could not update the review status.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const h = React.createElement;
+  return h(
+    'div',
+    { style: { display: 'flex', flexDirection: 'column', gap: 8, marginTop: 4, fontSize: 13 } },
+    h('strong', null, REVIEW_STATUS_LABELS[state.status] || state.status),
+    state.transitions.length > 0 &&
+      h('textarea', {
+        value: comment,
+        onChange: (event) => setComment(event.target.value),
+        placeholder: state.isReviewer ? 'Comment for the author' : 'Note for the reviewer (optional)',
+        rows: 2,
+        style: { width: '100%', padding: 6, borderRadius: 4, fontFamily: 'inherit' },
+      }),
+    state.transitions.length > 0 &&
+      h(
+        'div',
+        { style: { display: 'flex', gap: 8, flexWrap: 'wrap' } },
+        state.transitions.map((transition) =>
+          h(
+            'button',
+            {
+              key: transition,
+              type: 'button',
+              disabled: busy,
+              onClick: () => run(transition),
+              style: { padding: '6px 10px', borderRadius: 4, cursor: 'pointer' },
+            },
+            REVIEW_BUTTONS[transition] || transition
+          )
+        )
+      ),
+    error && h('div', { style: { color: '#d02b20' } }, error),
+    state.events.length > 0 &&
+      h(
+        'ul',
+        { style: { listStyle: 'none', padding: 0, margin: 0, display: 'flex', flexDirection: 'column', gap: 6 } },
+        state.events.map((event, index) =>
+          h(
+            'li',
+            { key: index },
+            h('div', null, `${REVIEW_ACTION_LABELS[event.action] || event.action} · ${event.performedBy || '—'}`),
+            h('div', { style: { color: '#666687' } }, formatPublishedAt(event.createdAt)),
+            event.comment && h('div', { style: { fontStyle: 'italic' } }, event.comment)
+          )
+        )
+      )
+  );
+}
+
+/**
+ * Side panel component: review workflow for Article and Flash News Item edit views.
+ * Not shown for an entry that has not been saved yet.
+ */
+function ReviewPanel(props) {
+  const { model, documentId, document } = props || {};
+  if (!REVIEW_UIDS.includes(model) || !documentId || documentId === 'create') {
+    return { title: 'Review', content: null };
+  }
+  return {
+    title: 'Review',
+    content: React.createElement(ReviewWorkflow, { model, documentId, updatedAt: document?.updatedAt }),
+  };
+}
+
+const PREVIEW_UIDS = [ARTICLE_UID, 'api::flash-news-item.flash-news-item'];
+
+/**
+ * Draft preview links for one entry (GET/POST/DELETE /previews/:uid/:documentId, see
+ * src/utils/preview-links.js): create a time-limited link to share the draft before it
+ * is published, copy the active links and revoke them.
+ */
+function PreviewLinks({ model, documentId }) {
+  const { get, post, del } = useFetchClient();
+  const [links, setLinks] = React.useState(null);
+  const [hours, setHours] = React.useState('72');
+  const [busy, setBusy] = React.useState(false);
+  const [error, setError] = React.useState(null);
+  const url = `/previews/${model}/${documentId}`;
+
+  const load = React.useCallback(
+    () =>
+      get(url)
+        .then(({ data }) => setLinks(data?.data ?? []))
+        .catch(() => setLinks(null)),
+    [get, url]
+  );
+
+  React.useEffect(() => {
+    load();
+  }, [load]);
+
+  if (!links) return null;
+
+  const run = async (request, message) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await request();
+      await load();
+    } catch (err) {
+      setError(err?.response?.data?.error?.message || message);
+    } finally {
+      setBusy(false);
+    }
+  };
+  const create = () => run(() => post(url, { hours: Number(hours) }), 'Could not create the preview link.');
+  const revoke = (id) => run(() => del(`${url}/${id}`), 'Could not revoke the preview link.');
+
+  const h = React.createElement;
+  return h(
+    'div',
+    { style: { display: 'flex', flexDirection: 'column', gap: 8, marginTop: 4, fontSize: 13 } },
+    h(
+      'div',
+      { style: { display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' } },
+      h(
+        'select',
+        {
+          value: hours,
+          onChange: (event) => setHours(event.target.value),
+          disabled: busy,
+          style: { padding: '6px 8px', borderRadius: 4 },
+        },
+        [
+          ['24', '1 day'],
+          ['72', '3 days'],
+          ['168', '1 week'],
+          ['720', '30 days'],
+        ].map(([value, label]) => h('option', { key: value, value }, label))
+      ),
+      h(
+        'button',
+        {
+          type: 'button',
+          disabled: busy,
+          onClick: create,
+          style: { padding: '6px 10px', borderRadius: 4, cursor: 'pointer' },
+        },
+        'Create preview link'
+      )
+    ),
+    error && h('div', { style: { color: '#d02b20' } }, error),
+    links.length > 0 &&
+      h(
+        'ul',
+        { style: { listStyle: 'none', padding: 0, margin: 0, display: 'flex', flexDirection: 'column', gap: 8 } },
+        links.map((link) =>
+          h(
+            'li',
+            { key: link.id, style: { display: 'flex', flexDirection: 'column', gap: 4 } },
+            h('input', {
+              readOnly: true,
+              value: link.url || link.token,
+              onFocus: (event) => event.target.select(),
+              style: { width: '100%', padding: 6, borderRadius: 4, fontFamily: 'inherit' },
+            }),
+            h(
+              'div',
+              { style: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', color: '#666687' } },
+              `Until ${formatPublishedAt(link.expiresAt)}`,
+              h(
+                'button',
+                {
+                  type: 'button',
+                  disabled: busy,
+                  onClick: () => revoke(link.id),
+                  style: { padding: '2px 8px', borderRadius: 4, cursor: 'pointer' },
+                },
+                'Revoke'
+              )
+            )
+          )
+        )
+      )
+  );
+}
+
+/**
+ * Side panel component: draft preview links for Article and Flash News Item edit views.
+ * Not shown for an entry that has not been saved yet.
+ */
+function PreviewPanel(props) {
+  const { model, documentId } = props || {};
+  if (!PREVIEW_UIDS.includes(model) || !documentId || documentId === 'create') {
+    return { title: 'Preview link', content: null };
+  }
+  return {
+    title: 'Preview link',
+    content: React.createElement(PreviewLinks, { model, documentId }),
+  };
+}
+
+/**
+ * Content Manager list view action: active-tenant switcher for admin users assigned
+ * to several tenants (Editor Tenant Assignment). The choice is stored per admin session
+ * on the server (PUT /editor-tenants/active-tenant); lists, new entries and the
+ * relation pickers all follow it, so the page is reloaded after a switch.
+ */
+function ActiveTenantSwitcher() {
+  const { get, put } = useFetchClient();
+  const [state, setState] = React.useState(null);
+  const [saving, setSaving] = React.useState(false);
+
+  React.useEffect(() => {
+    let cancelled = false;
+    get('/editor-tenants/active-tenant')
+      .then(({ data }) => {
+        if (!cancelled) setState(data?.data ?? null);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [get]);
+
+  if (!state || !Array.isArray(state.tenants) || state.tenants.length < 2) return null;
+
+  const onChange = async (event) => {
+    setSaving(true);
+    try {
+      await put('/editor-tenants/active-tenant', { tenant: event.target.value });
+      window.location.reload();
+    } catch {
+      setSaving(false);
+    }
+  };
+
+  return React.createElement(
+    'label',
+    { style: { display: 'flex', alignItems: 'center', gap: 8, fontSize: 14 } },
+    'Tenant',
+    React.createElement(
+      'select',
+      {
+        value: state.active?.documentId ?? '',
+        onChange,
+        disabled: saving,
+        style: { padding: '6px 8px', borderRadius: 4 },
+      },
+      state.tenants.map((tenant) =>
+        React.createElement('option', { key: tenant.documentId, value: tenant.documentId }, tenant.name || tenant.tenantId)
+      )
+    )
+  );
+}
+
 export default {
   config: {
     locales: [],
@@ -84,10 +398,18 @@ export default {
       };
     });
 
-    // ----- Edit view: add "Published at" panel in sidebar (draft/published area) -----
+    // ----- Edit view: "Published at", "Review" and "Preview link" panels in sidebar (draft/published area) -----
     const plugin = app.getPlugin('content-manager');
     if (plugin?.apis?.addEditViewSidePanel) {
-      plugin.apis.addEditViewSidePanel((panels) => [PublishedAtPanel, ...(panels || [])]);
+      plugin.apis.addEditViewSidePanel((panels) => [PublishedAtPanel, ReviewPanel, PreviewPanel, ...(panels || [])]);
+    }
+
+    // ----- List view: active-tenant switcher (only shown to users with several tenants) -----
+    if (typeof plugin?.injectComponent === 'function') {
+      plugin.injectComponent('listView', 'actions', {
+        name: 'active-tenant-switcher',
+        Component: ActiveTenantSwitcher,
+      });
     }
   },
 };
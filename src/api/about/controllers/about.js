@@ -4,6 +4,6 @@
  *  about controller
  */
 
-const { createCoreController } = require('@strapi/strapi').factories;
+const { createTenantSingletonController } = require('../../../utils/tenant-singleton');
 
-module.exports = createCoreController('api::about.about');
+module.exports = createTenantSingletonController('api::about.about');
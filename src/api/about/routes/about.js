@@ -4,6 +4,6 @@
  * about router.
  */
 
-const { createCoreRouter } = require('@strapi/strapi').factories;
+const { createTenantSingletonRouter } = require('../../../utils/tenant-singleton');
 
-module.exports = createCoreRouter('api::about.about');
+module.exports = createTenantSingletonRouter('api::about.about');
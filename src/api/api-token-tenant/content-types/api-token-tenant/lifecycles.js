@@ -0,0 +1,100 @@
+'use strict';
+
+const { errors } = require('@strapi/utils');
+const { getRelationId, relationWhere } = require('../../../../utils/tenancy');
+const { clearTenantTokenCache } = require('../../../../utils/tenant-tokens');
+
+/**
+ * Keep apiToken (the source of truth) and apiTokenName in step, the way Editor
+ * Tenant Assignments keep adminUser and adminUserEmail:
+ * - apiToken set → apiTokenName is copied from the token.
+ * - only apiTokenName given (scripts) → apiToken is linked from the token with that
+ *   name.
+ * Bindings for tokens that do not exist, a second binding for the same token and
+ * allowlists that are not a list of content types are rejected, so a typo cannot
+ * leave a token unrestricted or locked out without notice. Cached token → tenant
+ * lookups are dropped on every change.
+ */
+
+const UID = 'api::api-token-tenant.api-token-tenant';
+
+async function linkApiToken(event) {
+  const data = event.params?.data;
+  if (!data) return;
+  if (typeof data.apiTokenName === 'string') {
+    data.apiTokenName = data.apiTokenName.trim();
+  }
+
+  const apiTokenId = getRelationId(data.apiToken);
+  if (apiTokenId != null) {
+    const token = await strapi.db.query('admin::api-token').findOne({
+      where: relationWhere(apiTokenId),
+      select: ['id', 'name'],
+    });
+    if (!token) throw new errors.ValidationError(`API token ${apiTokenId} does not exist.`);
+    data.apiTokenName = token.name;
+    return;
+  }
+
+  if (data.apiTokenName) {
+    const token = await strapi.db.query('admin::api-token').findOne({
+      where: { name: data.apiTokenName },
+      select: ['id'],
+    });
+    if (!token) {
+      throw new errors.ValidationError(`No API token named "${data.apiTokenName}". Create it in Settings → API Tokens first.`);
+    }
+    data.apiToken = token.id;
+    return;
+  }
+
+  if (event.action === 'beforeCreate') {
+    throw new errors.ValidationError('Choose the API token for this binding.');
+  }
+}
+
+async function rejectDuplicateBinding(event) {
+  const apiTokenId = getRelationId(event.params?.data?.apiToken);
+  if (apiTokenId == null) return;
+  const where = { apiToken: relationWhere(apiTokenId) };
+  const ownId = event.params.where?.id;
+  if (ownId != null) where.id = { $ne: ownId };
+  const existing = await strapi.db.query(UID).findOne({ where, select: ['id'] });
+  if (existing) {
+    throw new errors.ValidationError('This API token already has a tenant binding.');
+  }
+}
+
+function validateAllowedTypes(event) {
+  const data = event.params?.data;
+  if (!data) return;
+
+  if (data.allowedTypes !== undefined) {
+    const types = data.allowedTypes;
+    if (!Array.isArray(types) || types.length === 0 || !types.every((t) => typeof t === 'string' && t)) {
+      throw new errors.ValidationError('allowedTypes must be a non-empty list of content type names, e.g. ["article"].');
+    }
+    const apiTypes = Object.keys(strapi.contentTypes).filter((uid) => uid.startsWith('api::'));
+    const unknown = types.filter(
+      (t) => t !== '*' && !apiTypes.some((uid) => uid === t || strapi.contentTypes[uid].info?.singularName === t)
+    );
+    if (unknown.length > 0) {
+      throw new errors.ValidationError(`Unknown content type(s) in allowedTypes: ${unknown.join(', ')}`);
+    }
+  }
+}
+
+async function validateBinding(event) {
+  await linkApiToken(event);
+  await rejectDuplicateBinding(event);
+  validateAllowedTypes(event);
+}
+
+module.exports = {
+  beforeCreate: validateBinding,
+  beforeUpdate: validateBinding,
+  afterCreate: clearTenantTokenCache,
+  afterUpdate: clearTenantTokenCache,
+  afterDelete: clearTenantTokenCache,
+  afterDeleteMany: clearTenantTokenCache,
+};
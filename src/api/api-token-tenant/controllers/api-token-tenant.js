@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * api-token-tenant controller
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+module.exports = createCoreController('api::api-token-tenant.api-token-tenant');
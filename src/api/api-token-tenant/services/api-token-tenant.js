@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * api-token-tenant service
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+
+module.exports = createCoreService('api::api-token-tenant.api-token-tenant');
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * article-view-count service
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+
+module.exports = createCoreService('api::article-view-count.article-view-count');
@@ -2,8 +2,75 @@
 
 /**
  *  article controller
+ *
+ * view / mostRead back POST /api/articles/:documentId/view and
+ * GET /api/articles/most-read (routes/01-article-views.js; counting in
+ * src/utils/article-views.js).
  */
 
 const { createCoreController } = require('@strapi/strapi').factories;
+const { recordView, getMostViewed } = require('../../../utils/article-views');
+const { findTenantSingleton } = require('../../../utils/tenant-singleton');
 
-module.exports = createCoreController('api::article.article');
+const DEFAULT_MOST_READ_ITEMS = 5;
+const MAX_WINDOW_DAYS = 365;
+
+module.exports = createCoreController('api::article.article', () => ({
+  /** Count one view of a published article. Bots and repeat views answer counted: false. */
+  async view(ctx) {
+    const article = await strapi.documents('api::article.article').findOne({
+      documentId: ctx.params.documentId,
+      status: 'published',
+      fields: ['documentId'],
+      populate: { tenant: { fields: ['id'] } },
+    });
+    if (!article) return ctx.notFound();
+    ctx.status = 202;
+    ctx.body = { data: { counted: recordView(ctx, article) } };
+  },
+
+  /**
+   * Most viewed published articles of the calling tenant over ?window=<n>d (default 7d),
+   * limited to the tenant homepage's mostReadMaxItems. Accepts fields / populate.
+   */
+  async mostRead(ctx) {
+    const match = /^(\d{1,3})d$/.exec(ctx.query.window || '7d');
+    const days = match ? Number(match[1]) : 0;
+    if (days < 1 || days > MAX_WINDOW_DAYS) {
+      return ctx.badRequest(`window must be between 1d and ${MAX_WINDOW_DAYS}d, e.g. 7d.`);
+    }
+
+    const { window: _window, ...query } = ctx.query;
+    ctx.query = query;
+    await this.validateQuery(ctx);
+    const { fields, populate } = await this.sanitizeQuery(ctx);
+
+    const homepage = await findTenantSingleton('api::homepage.homepage', ctx.state.tenant, {
+      fields: ['mostReadMaxItems'],
+    });
+    const limit = homepage?.mostReadMaxItems || DEFAULT_MOST_READ_ITEMS;
+
+    // Rank a few extra in case some were unpublished since they were read.
+    const ranking = await getMostViewed({ tenant: ctx.state.tenant, days, limit: limit * 2 });
+    const articles = ranking.length
+      ? await strapi.documents('api::article.article').findMany({
+          fields,
+          populate,
+          status: 'published',
+          filters: { documentId: { $in: ranking.map((r) => r.documentId) } },
+          limit: ranking.length,
+        })
+      : [];
+    const byDocumentId = new Map(articles.map((article) => [article.documentId, article]));
+    const ranked = ranking.filter((r) => byDocumentId.has(r.documentId)).slice(0, limit);
+
+    const sanitized = await this.sanitizeOutput(
+      ranked.map((r) => byDocumentId.get(r.documentId)),
+      ctx
+    );
+    return this.transformResponse(
+      sanitized.map((article, i) => ({ ...article, viewsInWindow: ranked[i].views })),
+      { window: `${days}d`, limit }
+    );
+  },
+}));
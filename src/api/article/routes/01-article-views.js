@@ -0,0 +1,23 @@
+'use strict';
+
+/**
+ * View counting and most-read feed. Loaded before article.js so /articles/most-read
+ * is not taken for a documentId by the core GET /articles/:id route.
+ */
+
+module.exports = {
+  routes: [
+    {
+      method: 'POST',
+      path: '/articles/:documentId/view',
+      handler: 'api::article.article.view',
+      config: {},
+    },
+    {
+      method: 'GET',
+      path: '/articles/most-read',
+      handler: 'api::article.article.mostRead',
+      config: {},
+    },
+  ],
+};
@@ -2,8 +2,65 @@
 
 /**
  *  author controller
+ *
+ * profile and articles back GET /api/authors/:documentId/profile and
+ * GET /api/authors/:documentId/articles (routes/01-author-profile.js). Both count
+ * and list only the calling tenant's published articles; an author linked to
+ * another tenant is not found.
  */
 
 const { createCoreController } = require('@strapi/strapi').factories;
 
-module.exports = createCoreController('api::author.author');
+const AUTHOR_UID = 'api::author.author';
+const ARTICLE_UID = 'api::article.article';
+/** Avatar fields shown on the public profile; the rest of the upload row stays private. */
+const AVATAR_FIELDS = ['url', 'alternativeText', 'width', 'height', 'formats'];
+
+/** The author by documentId, unless it belongs to a tenant other than the caller's. */
+async function findAuthor(ctx) {
+  const tenant = ctx.state.tenant;
+  const author = await strapi.db.query(AUTHOR_UID).findOne({
+    where: { documentId: ctx.params.documentId },
+    select: ['id', 'documentId', 'name'],
+    populate: { avatar: { select: AVATAR_FIELDS }, tenant: { select: ['id'] } },
+  });
+  if (!author) return null;
+  if (author.tenant && tenant?.id != null && author.tenant.id !== tenant.id) return null;
+  return author;
+}
+
+function articleWhere(ctx, author) {
+  const tenant = ctx.state.tenant;
+  return {
+    publishedAt: { $notNull: true },
+    author: { id: author.id },
+    ...(tenant?.id != null ? { tenant: { id: tenant.id } } : {}),
+  };
+}
+
+module.exports = createCoreController(AUTHOR_UID, () => ({
+  /** Public profile: name, avatar and the number of published articles of the tenant. */
+  async profile(ctx) {
+    const author = await findAuthor(ctx);
+    if (!author) return ctx.notFound('Unknown author.');
+    const articleCount = await strapi.db.query(ARTICLE_UID).count({ where: articleWhere(ctx, author) });
+    const { documentId, name, avatar } = author;
+    const publicAvatar = avatar ? Object.fromEntries(AVATAR_FIELDS.map((field) => [field, avatar[field] ?? null])) : null;
+    return { data: { documentId, name, avatar: publicAvatar, articleCount }, meta: {} };
+  },
+
+  /** The author's published articles of the tenant; meta.author describes the author. */
+  async articles(ctx) {
+    const author = await findAuthor(ctx);
+    if (!author) return ctx.notFound('Unknown author.');
+
+    const { filters } = ctx.query;
+    ctx.query = {
+      ...ctx.query,
+      filters: { $and: [...(filters ? [filters] : []), { author: { documentId: author.documentId } }] },
+    };
+    const response = await strapi.controller(ARTICLE_UID).find(ctx);
+    const { documentId, name } = author;
+    return { ...response, meta: { ...response?.meta, author: { documentId, name } } };
+  },
+}));
@@ -0,0 +1,22 @@
+'use strict';
+
+/**
+ * Public author profile and article list. Loaded before author.js, next to the core author routes.
+ */
+
+module.exports = {
+  routes: [
+    {
+      method: 'GET',
+      path: '/authors/:documentId/profile',
+      handler: 'api::author.author.profile',
+      config: {},
+    },
+    {
+      method: 'GET',
+      path: '/authors/:documentId/articles',
+      handler: 'api::author.author.articles',
+      config: {},
+    },
+  ],
+};
@@ -0,0 +1,38 @@
+'use strict';
+
+/**
+ * content-revision controller
+ *
+ * listRevisions backs GET /revisions/:uid/:documentId, showRevision
+ * GET /revisions/:uid/:documentId/:revision (?compare=<revision>|current) and
+ * restoreRevision POST /revisions/:uid/:documentId/:revision/restore (admin routes
+ * registered in src/index.js).
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+const { listRevisions, getRevision, restoreRevision } = require('../../../utils/revision-history');
+
+module.exports = createCoreController('api::content-revision.content-revision', () => ({
+  /** Revisions of an entry, newest first: who, when and which fields changed. */
+  async listRevisions(ctx) {
+    const { uid, documentId } = ctx.params;
+    ctx.body = { data: await listRevisions(uid, documentId, { ability: ctx.state.userAbility }) };
+  },
+
+  /** A revision's snapshot and its field-level diff (to the previous revision by default). */
+  async showRevision(ctx) {
+    const { uid, documentId, revision } = ctx.params;
+    ctx.body = {
+      data: await getRevision(uid, documentId, revision, {
+        ability: ctx.state.userAbility,
+        compare: ctx.query?.compare,
+      }),
+    };
+  },
+
+  /** Restore a revision into the draft. */
+  async restoreRevision(ctx) {
+    const { uid, documentId, revision } = ctx.params;
+    ctx.body = { data: await restoreRevision(uid, documentId, revision, { ability: ctx.state.userAbility }) };
+  },
+}));
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * content-revision service
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+
+module.exports = createCoreService('api::content-revision.content-revision');
@@ -4,6 +4,6 @@
  * directory-home controller
  */
 
-const { createCoreController } = require('@strapi/strapi').factories;
+const { createTenantSingletonController } = require('../../../utils/tenant-singleton');
 
-module.exports = createCoreController('api::directory-home.directory-home');
+module.exports = createTenantSingletonController('api::directory-home.directory-home');
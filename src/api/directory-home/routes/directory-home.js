@@ -4,6 +4,6 @@
  * directory-home router
  */
 
-const { createCoreRouter } = require('@strapi/strapi').factories;
+const { createTenantSingletonRouter } = require('../../../utils/tenant-singleton');
 
-module.exports = createCoreRouter('api::directory-home.directory-home');
+module.exports = createTenantSingletonRouter('api::directory-home.directory-home');
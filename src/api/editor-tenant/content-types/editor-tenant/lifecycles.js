@@ -0,0 +1,83 @@
+'use strict';
+
+const { errors } = require('@strapi/utils');
+const { getRelationId, relationWhere } = require('../../../../utils/tenancy');
+const { normalizeEmail, invalidateTenantResolution } = require('../../../../utils/tenant-resolution');
+
+/**
+ * Keep adminUser (the source of truth) and adminUserEmail in step:
+ * - adminUser set → adminUserEmail is copied from the admin user.
+ * - only adminUserEmail given (seed/import scripts, REST pushes) → adminUser is
+ *   linked from the admin user with that email.
+ * Creating an assignment that matches no admin user is rejected, so a typo no longer
+ * leaves an Editor silently unscoped. An admin user may have one assignment per
+ * tenant; a second one for the same pair is rejected. Cached editor → tenant
+ * lookups are dropped whenever a mapping changes.
+ */
+
+async function findAdminUser(where) {
+  return strapi.db.query('admin::user').findOne({ where, select: ['id', 'email'] });
+}
+
+async function linkAdminUser(event) {
+  const data = event.params?.data;
+  if (!data) return;
+  if (typeof data.adminUserEmail === 'string') {
+    data.adminUserEmail = normalizeEmail(data.adminUserEmail);
+  }
+
+  const adminUserId = getRelationId(data.adminUser);
+  if (adminUserId != null) {
+    const adminUser = await findAdminUser({ id: adminUserId });
+    if (!adminUser) throw new errors.ValidationError(`Admin user ${adminUserId} does not exist.`);
+    data.adminUserEmail = normalizeEmail(adminUser.email);
+    return;
+  }
+
+  if (data.adminUserEmail) {
+    const adminUser = await findAdminUser({ email: { $eqi: data.adminUserEmail } });
+    if (adminUser) {
+      data.adminUser = adminUser.id;
+      return;
+    }
+  }
+
+  if (event.action === 'beforeCreate') {
+    throw new errors.ValidationError(
+      data.adminUserEmail
+        ? `No admin user with email ${data.adminUserEmail}. Choose the admin user for this assignment.`
+        : 'Choose the admin user for this assignment.'
+    );
+  }
+}
+
+async function rejectDuplicateAssignment(event) {
+  const data = event.params?.data;
+  const adminUserId = getRelationId(data?.adminUser);
+  const tenantId = getRelationId(data?.tenant);
+  if (adminUserId == null || tenantId == null) return;
+  const existing = await strapi.db.query('api::editor-tenant.editor-tenant').findOne({
+    where: {
+      adminUser: { id: adminUserId },
+      tenant: relationWhere(tenantId),
+    },
+    select: ['id'],
+  });
+  if (existing) {
+    throw new errors.ValidationError('This admin user is already assigned to this tenant.');
+  }
+}
+
+module.exports = {
+  async beforeCreate(event) {
+    await linkAdminUser(event);
+    await rejectDuplicateAssignment(event);
+  },
+  beforeUpdate: linkAdminUser,
+  afterCreate: invalidateTenantResolution,
+  afterCreateMany: invalidateTenantResolution,
+  afterUpdate: invalidateTenantResolution,
+  afterUpdateMany: invalidateTenantResolution,
+  afterDelete: invalidateTenantResolution,
+  afterDeleteMany: invalidateTenantResolution,
+};
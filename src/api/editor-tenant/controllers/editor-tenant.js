@@ -2,8 +2,49 @@
 
 /**
  * editor-tenant controller
+ *
+ * findActiveTenant / setActiveTenant back the active-tenant switcher in the admin
+ * (admin routes registered in src/index.js, authenticated with the admin session).
  */
 
 const { createCoreController } = require('@strapi/strapi').factories;
+const {
+  getTenantsForAdminUser,
+  getTenantForAdminUser,
+  setActiveTenant,
+} = require('../../../utils/tenant-resolution');
 
-module.exports = createCoreController('api::editor-tenant.editor-tenant');
+function toTenantOption(tenant) {
+  return { documentId: tenant.documentId, name: tenant.name ?? null, tenantId: tenant.tenantId ?? null };
+}
+
+async function activeTenantBody(userId) {
+  const tenants = await getTenantsForAdminUser(userId);
+  const active = await getTenantForAdminUser(userId);
+  return {
+    data: {
+      tenants: tenants.map(toTenantOption),
+      active: active ? toTenantOption(active) : null,
+    },
+  };
+}
+
+module.exports = createCoreController('api::editor-tenant.editor-tenant', () => ({
+  /** GET /editor-tenants/active-tenant — the admin user's tenants and the active one. */
+  async findActiveTenant(ctx) {
+    ctx.body = await activeTenantBody(ctx.state.user.id);
+  },
+
+  /** PUT /editor-tenants/active-tenant { tenant: documentId } — switch tenant for this session. */
+  async setActiveTenant(ctx) {
+    const { tenant } = ctx.request.body || {};
+    if (typeof tenant !== 'string' || !tenant) {
+      return ctx.badRequest('tenant (documentId) is required.');
+    }
+    const activated = await setActiveTenant(ctx.state.user.id, tenant, ctx);
+    if (!activated) {
+      return ctx.forbidden('You are not assigned to this tenant.');
+    }
+    ctx.body = await activeTenantBody(ctx.state.user.id);
+  },
+}));
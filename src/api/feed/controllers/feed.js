@@ -0,0 +1,184 @@
+'use strict';
+
+/**
+ * feed controller
+ *
+ * Public RSS / Atom / JSON feeds of a tenant's published articles and flash news:
+ *   GET /feeds/:tenantSlug/articles.{rss,atom,json}?category=<slug>&limit=<n>
+ *   GET /feeds/:tenantSlug/flash-news.{rss,atom,json}
+ * Public routes outside /api, registered in src/index.js. Rendering is in
+ * src/utils/feeds.js, site URLs in src/utils/public-urls.js.
+ */
+
+const { FEED_FORMATS, tagUri, renderFeed } = require('../../../utils/feeds');
+const { findTenantBySlug, normalizeDomain } = require('../../../utils/content-api-tenant');
+const { findTenantSingleton } = require('../../../utils/tenant-singleton');
+const { getSiteUrl, getEntryUrl, getMediaUrl } = require('../../../utils/public-urls');
+const { sendCacheable } = require('../../../utils/http-cache');
+const { markdownToText, truncateText } = require('../../../utils/plain-text');
+const { tenantFilter } = require('../../../utils/tenancy');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const SUMMARY_LENGTH = 500;
+const DEFAULT_CACHE_SECONDS = 300;
+
+function toDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : new Date(0);
+}
+
+/** Tenant and format from the path, or null after answering 404. */
+async function resolveFeed(ctx) {
+  const { tenantSlug, format } = ctx.params;
+  if (!FEED_FORMATS.includes(format)) {
+    ctx.notFound(`Unknown feed format. Use one of: ${FEED_FORMATS.join(', ')}.`);
+    return null;
+  }
+  const tenant = await findTenantBySlug(tenantSlug);
+  if (!tenant) {
+    ctx.notFound('Unknown tenant.');
+    return null;
+  }
+  return { tenant, format, domain: normalizeDomain(tenant.domain) || tenant.tenantId };
+}
+
+function parseLimit(ctx) {
+  if (ctx.query.limit === undefined) return DEFAULT_LIMIT;
+  const limit = Number(ctx.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    ctx.badRequest(`limit must be a whole number between 1 and ${MAX_LIMIT}.`);
+    return null;
+  }
+  return limit;
+}
+
+async function getSiteInfo(tenant) {
+  const global = await findTenantSingleton('api::global.global', tenant, { fields: ['siteName', 'siteDescription'] });
+  return { name: global?.siteName || tenant.name, description: global?.siteDescription || '' };
+}
+
+/** Send the rendered feed, cacheable for FEED_CACHE_SECONDS (default 5 minutes). */
+function sendFeed(ctx, format, feed) {
+  const { body, contentType } = renderFeed(format, feed);
+  sendCacheable(ctx, body, {
+    type: contentType,
+    lastModified: feed.updated,
+    maxAge: Number(process.env.FEED_CACHE_SECONDS) || DEFAULT_CACHE_SECONDS,
+  });
+}
+
+function newest(items) {
+  return items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), new Date(0));
+}
+
+module.exports = {
+  /** Latest published articles of the tenant, optionally of one category (?category=<slug>). */
+  async articles(ctx) {
+    const resolved = await resolveFeed(ctx);
+    if (!resolved) return;
+    const { tenant, format, domain } = resolved;
+    const limit = parseLimit(ctx);
+    if (limit === null) return;
+
+    let category = null;
+    if (ctx.query.category !== undefined) {
+      category = await strapi.db.query('api::category.category').findOne({
+        where: { slug: String(ctx.query.category), ...tenantFilter('api::category.category', tenant) },
+        select: ['id', 'name', 'slug'],
+      });
+      if (!category) return ctx.notFound('Unknown category.');
+    }
+
+    const articles = await strapi.documents('api::article.article').findMany({
+      status: 'published',
+      filters: { tenant: { id: tenant.id }, ...(category ? { category: { id: category.id } } : {}) },
+      fields: ['title', 'slug', 'description', 'publishedAt', 'updatedAt'],
+      populate: {
+        cover: { fields: ['url', 'mime', 'size'] },
+        author: { fields: ['name'] },
+        category: { fields: ['name'] },
+      },
+      sort: [{ publishedAt: 'desc' }],
+      limit,
+    });
+
+    const items = articles.map((article) => ({
+      id: tagUri(domain, 'article', article.documentId),
+      url: getEntryUrl(tenant, 'article', article),
+      title: article.title || '',
+      summary: truncateText(markdownToText(article.description), SUMMARY_LENGTH),
+      published: toDate(article.publishedAt),
+      updated: toDate(article.updatedAt),
+      authors: article.author?.name ? [article.author.name] : [],
+      categories: article.category?.name ? [article.category.name] : [],
+      enclosure: article.cover?.url
+        ? {
+            url: getMediaUrl(article.cover.url, ctx.origin),
+            type: article.cover.mime || 'application/octet-stream',
+            // Upload sizes are stored in KB.
+            length: Math.round((article.cover.size || 0) * 1024),
+          }
+        : null,
+    }));
+
+    const site = await getSiteInfo(tenant);
+    sendFeed(ctx, format, {
+      id: tagUri(domain, 'feed', category ? `articles:${category.slug}` : 'articles'),
+      title: category ? `${site.name} – ${category.name}` : site.name,
+      description: site.description,
+      siteUrl: (category && getEntryUrl(tenant, 'category', category)) || getSiteUrl(tenant),
+      feedUrl: ctx.href,
+      updated: newest(items),
+      items,
+    });
+  },
+
+  /** The tenant's published flash news that is showing today (within startDate / endDate). */
+  async flashNews(ctx) {
+    const resolved = await resolveFeed(ctx);
+    if (!resolved) return;
+    const { tenant, format, domain } = resolved;
+    const limit = parseLimit(ctx);
+    if (limit === null) return;
+
+    const today = new Date().toISOString().slice(0, 10);
+    const entries = await strapi.documents('api::flash-news-item.flash-news-item').findMany({
+      status: 'published',
+      filters: {
+        tenant: { id: tenant.id },
+        $and: [
+          { $or: [{ startDate: { $null: true } }, { startDate: { $lte: today } }] },
+          { $or: [{ endDate: { $null: true } }, { endDate: { $gte: today } }] },
+        ],
+      },
+      fields: ['title', 'content', 'externalUrl', 'publishedAt', 'updatedAt'],
+      populate: { article: { fields: ['slug'] } },
+      sort: [{ publishedAt: 'desc' }],
+      limit,
+    });
+
+    const items = entries.map((entry) => ({
+      id: tagUri(domain, 'flash-news', entry.documentId),
+      url: (entry.article && getEntryUrl(tenant, 'article', entry.article)) || entry.externalUrl || getSiteUrl(tenant),
+      title: entry.title || '',
+      summary: entry.content || '',
+      published: toDate(entry.publishedAt),
+      updated: toDate(entry.updatedAt),
+      authors: [],
+      categories: [],
+      enclosure: null,
+    }));
+
+    const site = await getSiteInfo(tenant);
+    sendFeed(ctx, format, {
+      id: tagUri(domain, 'feed', 'flash-news'),
+      title: `${site.name} – Flash News`,
+      description: site.description,
+      siteUrl: getSiteUrl(tenant),
+      feedUrl: ctx.href,
+      updated: newest(items),
+      items,
+    });
+  },
+};
@@ -4,6 +4,6 @@
  *  global controller
  */
 
-const { createCoreController } = require('@strapi/strapi').factories;
+const { createTenantSingletonController } = require('../../../utils/tenant-singleton');
 
-module.exports = createCoreController('api::global.global');
+module.exports = createTenantSingletonController('api::global.global');
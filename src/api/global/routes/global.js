@@ -4,6 +4,6 @@
  * global router.
  */
 
-const { createCoreRouter } = require('@strapi/strapi').factories;
+const { createTenantSingletonRouter } = require('../../../utils/tenant-singleton');
 
-module.exports = createCoreRouter('api::global.global');
+module.exports = createTenantSingletonRouter('api::global.global');
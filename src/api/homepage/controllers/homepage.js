@@ -4,6 +4,6 @@
  * homepage controller
  */
 
-const { createCoreController } = require('@strapi/strapi').factories;
+const { createTenantSingletonController } = require('../../../utils/tenant-singleton');
 
-module.exports = createCoreController('api::homepage.homepage');
+module.exports = createTenantSingletonController('api::homepage.homepage');
@@ -4,6 +4,6 @@
  * homepage router
  */
 
-const { createCoreRouter } = require('@strapi/strapi').factories;
+const { createTenantSingletonRouter } = require('../../../utils/tenant-singleton');
 
-module.exports = createCoreRouter('api::homepage.homepage');
+module.exports = createTenantSingletonRouter('api::homepage.homepage');
@@ -0,0 +1,70 @@
+'use strict';
+
+/**
+ * preview-link controller
+ *
+ * findLinks, createLink and revokeLinks back the admin routes
+ * GET / POST / DELETE /previews/:uid/:documentId[/:id] (registered in src/index.js),
+ * used by the Preview panel of the Content Manager edit view. show backs the
+ * Content API route GET /api/previews/:token (routes/preview-link.js).
+ * Signing and checks are in src/utils/preview-links.js.
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+const {
+  listPreviewLinks,
+  createPreviewLink,
+  revokePreviewLinks,
+  resolvePreviewToken,
+} = require('../../../utils/preview-links');
+
+module.exports = createCoreController('api::preview-link.preview-link', () => ({
+  /** Active preview links of the entry. */
+  async findLinks(ctx) {
+    const { uid, documentId } = ctx.params;
+    ctx.body = { data: await listPreviewLinks(uid, documentId, { ability: ctx.state.userAbility }) };
+  },
+
+  /** New preview link. Body: { hours? }. */
+  async createLink(ctx) {
+    const { uid, documentId } = ctx.params;
+    const { hours } = ctx.request.body || {};
+    ctx.status = 201;
+    ctx.body = {
+      data: await createPreviewLink(uid, documentId, { user: ctx.state.user, ability: ctx.state.userAbility, hours }),
+    };
+  },
+
+  /** Revoke one preview link (:id), or all links of the entry. */
+  async revokeLinks(ctx) {
+    const { uid, documentId, id } = ctx.params;
+    ctx.body = { data: { revoked: await revokePreviewLinks(uid, documentId, { ability: ctx.state.userAbility, id }) } };
+  },
+
+  /**
+   * The current draft the token points to, with the fields / populate of the entry's
+   * own Content API. 404 for a bad, expired or revoked token or another tenant.
+   */
+  async show(ctx) {
+    const link = await resolvePreviewToken(ctx.params.token, ctx.state.tenant);
+    if (!link) return ctx.notFound('Unknown or expired preview link.');
+
+    const controller = strapi.controller(link.contentType);
+    await controller.validateQuery(ctx);
+    const { fields, populate } = await controller.sanitizeQuery(ctx);
+    const entry = await strapi.documents(link.contentType).findOne({
+      documentId: link.entryDocumentId,
+      status: 'draft',
+      fields,
+      populate,
+    });
+    if (!entry) return ctx.notFound('Unknown or expired preview link.');
+
+    ctx.set('Cache-Control', 'private, no-store');
+    ctx.set('X-Robots-Tag', 'noindex');
+    const sanitizedEntry = await controller.sanitizeOutput(entry, ctx);
+    return controller.transformResponse(sanitizedEntry, {
+      preview: { contentType: link.contentType, expiresAt: link.expiresAt },
+    });
+  },
+}));
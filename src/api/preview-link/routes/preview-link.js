@@ -0,0 +1,17 @@
+'use strict';
+
+/**
+ * preview-link router: the draft behind a preview token. Links are created from the
+ * admin panel (admin routes in src/index.js); there are no other Content API routes.
+ */
+
+module.exports = {
+  routes: [
+    {
+      method: 'GET',
+      path: '/previews/:token',
+      handler: 'api::preview-link.preview-link.show',
+      config: {},
+    },
+  ],
+};
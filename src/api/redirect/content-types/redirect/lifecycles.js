@@ -0,0 +1,13 @@
+'use strict';
+
+const { validateRedirectData } = require('../../../../utils/redirects');
+
+/** Store fromPath normalised (as GET /api/redirects/resolve compares it) and check toPath. */
+module.exports = {
+  beforeCreate(event) {
+    validateRedirectData(event.params.data);
+  },
+  beforeUpdate(event) {
+    validateRedirectData(event.params.data);
+  },
+};
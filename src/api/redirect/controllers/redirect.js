@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * redirect controller
+ *
+ * resolve backs GET /api/redirects/resolve?path= (routes/01-redirect-resolve.js;
+ * lookup in src/utils/redirects.js).
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+const { resolvePath } = require('../../../utils/redirects');
+
+const MAX_PATH_LENGTH = 2048;
+
+module.exports = createCoreController('api::redirect.redirect', () => ({
+  /**
+   * Where a public path of the calling tenant now lives: the page itself (canonical),
+   * an entry whose slug changed, or a manual redirect. 404 when nothing matches.
+   */
+  async resolve(ctx) {
+    const path = typeof ctx.query.path === 'string' ? ctx.query.path.trim() : '';
+    if (!path || path.length > MAX_PATH_LENGTH) {
+      return ctx.badRequest(`path is required (at most ${MAX_PATH_LENGTH} characters), e.g. ?path=/news/old-slug.`);
+    }
+    // Paths and slugs are per tenant, so without one the match would be arbitrary.
+    if (!ctx.state.tenant) return ctx.badRequest('Send X-Tenant-Id: paths are resolved within a tenant.');
+    const result = await resolvePath(path, { tenant: ctx.state.tenant, binding: ctx.state.tenantToken });
+    if (!result) return ctx.notFound('No page or redirect for this path.');
+    ctx.body = { data: result };
+  },
+}));
@@ -0,0 +1,17 @@
+'use strict';
+
+/**
+ * Redirect lookup for the frontend's not-found handling. Loaded before redirect.js so
+ * /redirects/resolve is not taken for a documentId by the core GET /redirects/:id route.
+ */
+
+module.exports = {
+  routes: [
+    {
+      method: 'GET',
+      path: '/redirects/resolve',
+      handler: 'api::redirect.redirect.resolve',
+      config: {},
+    },
+  ],
+};
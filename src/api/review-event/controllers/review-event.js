@@ -0,0 +1,35 @@
+'use strict';
+
+/**
+ * review-event controller
+ *
+ * findState backs GET /reviews/:uid/:documentId and transition
+ * POST /reviews/:uid/:documentId/:transition (admin routes registered in src/index.js),
+ * used by the Review panel of the Content Manager edit view.
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+const { getReviewState, transitionReview } = require('../../../utils/review-workflow');
+
+module.exports = createCoreController('api::review-event.review-event', () => ({
+  /** Review status, the actions open to the admin user and the review history. */
+  async findState(ctx) {
+    const { uid, documentId } = ctx.params;
+    ctx.body = {
+      data: await getReviewState(uid, documentId, { user: ctx.state.user, ability: ctx.state.userAbility }),
+    };
+  },
+
+  /** submit, approve or reject. Body: { comment? } (required to reject). */
+  async transition(ctx) {
+    const { uid, documentId, transition } = ctx.params;
+    const { comment } = ctx.request.body || {};
+    ctx.body = {
+      data: await transitionReview(uid, documentId, transition, {
+        user: ctx.state.user,
+        ability: ctx.state.userAbility,
+        comment,
+      }),
+    };
+  },
+}));
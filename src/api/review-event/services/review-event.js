@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * review-event service
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+
+module.exports = createCoreService('api::review-event.review-event');
@@ -0,0 +1,62 @@
+'use strict';
+
+/**
+ * search controller
+ *
+ * GET /api/search?q= — ranked full-text search over the types with
+ * pluginOptions.search, scoped to the calling tenant (index and ranking in
+ * src/utils/search-index.js).
+ */
+
+const { errors } = require('@strapi/utils');
+const { getSearchTypes, search } = require('../../../utils/search-index');
+const { isTypeAllowed } = require('../../../utils/tenant-tokens');
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 50;
+
+module.exports = {
+  /**
+   * ?q=<words> (required), ?type=article,parish to limit the types, ?limit=<n> results
+   * per type (default 5, max 50). Results are grouped by type, best group first.
+   */
+  async search(ctx) {
+    const q = typeof ctx.query.q === 'string' ? ctx.query.q.trim() : '';
+    if (q.length < MIN_QUERY_LENGTH || q.length > MAX_QUERY_LENGTH) {
+      return ctx.badRequest(`q must be between ${MIN_QUERY_LENGTH} and ${MAX_QUERY_LENGTH} characters.`);
+    }
+    const limit = ctx.query.limit === undefined ? DEFAULT_LIMIT : Number(ctx.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return ctx.badRequest(`limit must be a whole number between 1 and ${MAX_LIMIT}.`);
+    }
+
+    const types = getSearchTypes();
+    let uids = [...types.values()];
+    if (ctx.query.type !== undefined) {
+      const requested = String(ctx.query.type).split(',').map((type) => type.trim()).filter(Boolean);
+      const unknown = requested.filter((type) => !types.has(type));
+      if (unknown.length) {
+        return ctx.badRequest(`Unknown type ${unknown.join(', ')}. Searchable types: ${[...types.keys()].join(', ')}.`);
+      }
+      uids = requested.map((type) => types.get(type));
+    }
+
+    const binding = ctx.state.tenantToken;
+    if (binding) {
+      const allowed = uids.filter((uid) => isTypeAllowed(binding, uid));
+      if (ctx.query.type !== undefined && allowed.length < uids.length) {
+        const denied = uids.find((uid) => !allowed.includes(uid));
+        throw new errors.PolicyError(`This API token may not access ${denied}.`);
+      }
+      uids = allowed;
+    }
+
+    const groups = await search(q, { uids, tenant: ctx.state.tenant, limit });
+    ctx.body = {
+      data: groups,
+      meta: { query: q, total: groups.reduce((sum, group) => sum + group.total, 0) },
+    };
+  },
+};
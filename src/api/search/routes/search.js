@@ -0,0 +1,16 @@
+'use strict';
+
+/**
+ * search router.
+ */
+
+module.exports = {
+  routes: [
+    {
+      method: 'GET',
+      path: '/search',
+      handler: 'api::search.search.search',
+      config: {},
+    },
+  ],
+};
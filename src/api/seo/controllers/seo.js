@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * seo controller
+ *
+ * GET /api/seo/resolve?type=&slug= — meta tags and JSON-LD of a published entry of
+ * the calling tenant, with the fallbacks in src/utils/seo.js.
+ */
+
+const { errors } = require('@strapi/utils');
+const { SEO_TYPES, getSeoType, resolveSeo } = require('../../../utils/seo');
+const { isTypeAllowed } = require('../../../utils/tenant-tokens');
+
+const MAX_SLUG_LENGTH = 255;
+
+module.exports = {
+  /** ?type=article|category|diocese|parish and ?slug= (both required). 404 when there is no such entry. */
+  async resolve(ctx) {
+    const type = typeof ctx.query.type === 'string' ? ctx.query.type.trim() : '';
+    const config = getSeoType(type);
+    if (!config) {
+      return ctx.badRequest(`type must be one of: ${Object.keys(SEO_TYPES).join(', ')}.`);
+    }
+    const slug = typeof ctx.query.slug === 'string' ? ctx.query.slug.trim() : '';
+    if (!slug || slug.length > MAX_SLUG_LENGTH) {
+      return ctx.badRequest(`slug is required (at most ${MAX_SLUG_LENGTH} characters).`);
+    }
+
+    // Slugs are unique per tenant only, so without one the entry would be arbitrary.
+    if (!ctx.state.tenant) return ctx.badRequest('Send X-Tenant-Id: slugs are resolved within a tenant.');
+
+    const binding = ctx.state.tenantToken;
+    if (binding && !isTypeAllowed(binding, config.uid)) {
+      throw new errors.PolicyError(`This API token may not access ${config.uid}.`);
+    }
+
+    const seo = await resolveSeo(type, slug, { tenant: ctx.state.tenant, origin: ctx.origin });
+    if (!seo) return ctx.notFound(`No published ${type} with this slug.`);
+    ctx.body = { data: seo };
+  },
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+/**
+ * seo router.
+ */
+
+module.exports = {
+  routes: [
+    {
+      method: 'GET',
+      path: '/seo/resolve',
+      handler: 'api::seo.seo.resolve',
+      config: {},
+    },
+  ],
+};
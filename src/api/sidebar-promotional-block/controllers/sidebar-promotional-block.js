@@ -4,6 +4,6 @@
  * sidebar-promotional-block controller
  */
 
-const { createCoreController } = require('@strapi/strapi').factories;
+const { createTenantSingletonController } = require('../../../utils/tenant-singleton');
 
-module.exports = createCoreController('api::sidebar-promotional-block.sidebar-promotional-block');
+module.exports = createTenantSingletonController('api::sidebar-promotional-block.sidebar-promotional-block');
@@ -4,6 +4,6 @@
  * sidebar-promotional-block router
  */
 
-const { createCoreRouter } = require('@strapi/strapi').factories;
+const { createTenantSingletonRouter } = require('../../../utils/tenant-singleton');
 
-module.exports = createCoreRouter('api::sidebar-promotional-block.sidebar-promotional-block');
+module.exports = createTenantSingletonRouter('api::sidebar-promotional-block.sidebar-promotional-block');
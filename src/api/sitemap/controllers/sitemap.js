@@ -0,0 +1,91 @@
+'use strict';
+
+/**
+ * sitemap controller
+ *
+ * Public per-tenant sitemap and robots.txt:
+ *   GET /sitemaps/:tenantSlug/sitemap.xml      urlset, or a sitemap index when chunked
+ *   GET /sitemaps/:tenantSlug/sitemap-:page.xml one chunk (page from 1)
+ *   GET /sitemaps/:tenantSlug/robots.txt       allows all and points to sitemap.xml
+ * Public routes outside /api, registered in src/index.js. Building is in
+ * src/utils/sitemap.js.
+ */
+
+const { findTenantBySlug } = require('../../../utils/content-api-tenant');
+const { getServerUrl } = require('../../../utils/public-urls');
+const { sendCacheable } = require('../../../utils/http-cache');
+const {
+  getChunkSize,
+  collectSitemapEntries,
+  latestLastmod,
+  renderUrlset,
+  renderSitemapIndex,
+  renderRobots,
+} = require('../../../utils/sitemap');
+
+const DEFAULT_CACHE_SECONDS = 3600;
+const XML_TYPE = 'application/xml; charset=utf-8';
+
+function cacheSeconds() {
+  return Number(process.env.SITEMAP_CACHE_SECONDS) || DEFAULT_CACHE_SECONDS;
+}
+
+async function resolveTenant(ctx) {
+  const tenant = await findTenantBySlug(ctx.params.tenantSlug);
+  if (!tenant) ctx.notFound('Unknown tenant.');
+  return tenant;
+}
+
+/** Absolute URL of a file under /sitemaps/<tenant>/ on this server. */
+function sitemapFileUrl(ctx, tenant, file) {
+  return `${getServerUrl(ctx.origin)}/sitemaps/${encodeURIComponent(tenant.slug || tenant.tenantId)}/${file}`;
+}
+
+function chunk(entries, size) {
+  const chunks = [];
+  for (let i = 0; i < entries.length; i += size) chunks.push(entries.slice(i, i + size));
+  return chunks;
+}
+
+module.exports = {
+  async index(ctx) {
+    const tenant = await resolveTenant(ctx);
+    if (!tenant) return;
+    const entries = await collectSitemapEntries(tenant);
+    const size = getChunkSize();
+    const lastModified = latestLastmod(entries);
+
+    if (entries.length <= size) {
+      sendCacheable(ctx, renderUrlset(entries), { type: XML_TYPE, lastModified, maxAge: cacheSeconds() });
+      return;
+    }
+    const sitemaps = chunk(entries, size).map((part, index) => ({
+      loc: sitemapFileUrl(ctx, tenant, `sitemap-${index + 1}.xml`),
+      lastmod: latestLastmod(part),
+    }));
+    sendCacheable(ctx, renderSitemapIndex(sitemaps), { type: XML_TYPE, lastModified, maxAge: cacheSeconds() });
+  },
+
+  async page(ctx) {
+    const tenant = await resolveTenant(ctx);
+    if (!tenant) return;
+    const page = Number(ctx.params.page);
+    const entries = await collectSitemapEntries(tenant);
+    const size = getChunkSize();
+    if (!Number.isInteger(page) || page < 1 || (page - 1) * size >= entries.length || entries.length <= size) {
+      // Unchunked sitemaps are only served as sitemap.xml.
+      return ctx.notFound('No such sitemap page.');
+    }
+    const part = entries.slice((page - 1) * size, page * size);
+    sendCacheable(ctx, renderUrlset(part), { type: XML_TYPE, lastModified: latestLastmod(part), maxAge: cacheSeconds() });
+  },
+
+  async robots(ctx) {
+    const tenant = await resolveTenant(ctx);
+    if (!tenant) return;
+    sendCacheable(ctx, renderRobots(sitemapFileUrl(ctx, tenant, 'sitemap.xml')), {
+      type: 'text/plain; charset=utf-8',
+      maxAge: cacheSeconds(),
+    });
+  },
+};
@@ -0,0 +1,74 @@
+'use strict';
+
+/**
+ *  tag controller
+ *
+ * find / findOne add articleCount (the calling tenant's published articles with the tag) to each tag.
+ * articles backs GET /api/tags/:slug/articles (routes/01-tag-articles.js): the
+ * calling tenant's published articles with that tag, answered by the article
+ * controller's find so fields, populate, sort and pagination work as on /api/articles.
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+const TAG_UID = 'api::tag.tag';
+const ARTICLE_UID = 'api::article.article';
+
+/** Set articleCount on each tag of a response's data (one tag or a list), in one grouped query. */
+async function addArticleCounts(data, tenant) {
+  const tags = Array.isArray(data) ? data : data ? [data] : [];
+  if (tags.length === 0) return;
+  const knex = strapi.db.connection;
+  const article = strapi.db.metadata.get(ARTICLE_UID);
+  const tagLinks = article.attributes.tags.joinTable;
+  const tenantLinks = article.attributes.tenant.joinTable;
+  const tagId = `l.${tagLinks.inverseJoinColumn.name}`;
+  const rows = await knex({ l: tagLinks.name })
+    .join({ a: article.tableName }, 'a.id', `l.${tagLinks.joinColumn.name}`)
+    .select({ tagId })
+    .countDistinct({ count: `a.${article.attributes.documentId.columnName}` })
+    .whereIn(tagId, tags.map((tag) => tag.id))
+    .whereNotNull(`a.${article.attributes.publishedAt.columnName}`)
+    .modify((query) => {
+      if (tenant?.id == null) return;
+      query
+        .join({ t: tenantLinks.name }, `t.${tenantLinks.joinColumn.name}`, 'a.id')
+        .where(`t.${tenantLinks.inverseJoinColumn.name}`, tenant.id);
+    })
+    .groupBy(tagId);
+  const counts = new Map(rows.map((row) => [Number(row.tagId), Number(row.count)]));
+  for (const tag of tags) tag.articleCount = counts.get(Number(tag.id)) ?? 0;
+}
+
+module.exports = createCoreController(TAG_UID, () => ({
+  async find(ctx) {
+    const response = await super.find(ctx);
+    await addArticleCounts(response?.data, ctx.state.tenant);
+    return response;
+  },
+
+  async findOne(ctx) {
+    const response = await super.findOne(ctx);
+    await addArticleCounts(response?.data, ctx.state.tenant);
+    return response;
+  },
+
+  /** Published articles with the tag (by slug, within the calling tenant); meta.tag describes it. */
+  async articles(ctx) {
+    const tenant = ctx.state.tenant;
+    const tag = await strapi.documents(TAG_UID).findFirst({
+      filters: { slug: ctx.params.slug, ...(tenant?.id != null ? { tenant: { id: tenant.id } } : {}) },
+      fields: ['name', 'slug', 'description'],
+    });
+    if (!tag) return ctx.notFound('Unknown tag.');
+
+    const { filters } = ctx.query;
+    ctx.query = {
+      ...ctx.query,
+      filters: { $and: [...(filters ? [filters] : []), { tags: { documentId: tag.documentId } }] },
+    };
+    const response = await strapi.controller(ARTICLE_UID).find(ctx);
+    const { documentId, name, slug, description } = tag;
+    return { ...response, meta: { ...response?.meta, tag: { documentId, name, slug, description } } };
+  },
+}));
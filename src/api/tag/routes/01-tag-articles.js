@@ -0,0 +1,16 @@
+'use strict';
+
+/**
+ * Articles of a tag (topic page). Loaded before tag.js, next to the core tag routes.
+ */
+
+module.exports = {
+  routes: [
+    {
+      method: 'GET',
+      path: '/tags/:slug/articles',
+      handler: 'api::tag.tag.articles',
+      config: {},
+    },
+  ],
+};
@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * tag router.
+ */
+
+const { createCoreRouter } = require('@strapi/strapi').factories;
+
+module.exports = createCoreRouter('api::tag.tag');
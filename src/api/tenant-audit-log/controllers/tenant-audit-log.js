@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * tenant-audit-log controller
+ */
+
+const { createCoreController } = require('@strapi/strapi').factories;
+
+module.exports = createCoreController('api::tenant-audit-log.tenant-audit-log');
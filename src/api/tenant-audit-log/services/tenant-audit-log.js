@@ -0,0 +1,9 @@
+'use strict';
+
+/**
+ * tenant-audit-log service
+ */
+
+const { createCoreService } = require('@strapi/strapi').factories;
+
+module.exports = createCoreService('api::tenant-audit-log.tenant-audit-log');
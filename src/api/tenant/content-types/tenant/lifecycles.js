@@ -0,0 +1,26 @@
+'use strict';
+
+const { clearTenantCache } = require('../../../../utils/content-api-tenant');
+const { validateUrlPatterns, validatePreviewUrl } = require('../../../../utils/public-urls');
+
+function checkUrls(event) {
+  const data = event.params?.data;
+  if (!data) return;
+  if ('urlPatterns' in data) validateUrlPatterns(data.urlPatterns);
+  if ('previewUrl' in data) validatePreviewUrl(data.previewUrl);
+}
+
+/** Keep the Content API tenant lookup (tenantId / domain) in sync with edits. */
+module.exports = {
+  beforeCreate: checkUrls,
+  beforeUpdate: checkUrls,
+  afterCreate() {
+    clearTenantCache();
+  },
+  afterUpdate() {
+    clearTenantCache();
+  },
+  afterDelete() {
+    clearTenantCache();
+  },
+};
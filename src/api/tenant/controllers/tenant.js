@@ -2,8 +2,67 @@
 
 /**
  * tenant controller
+ *
+ * provision backs POST /tenants/provision, offboard POST /tenants/offboard, integrity
+ * GET /tenants/integrity and repairIntegrity POST /tenants/integrity/repair (admin
+ * routes registered in src/index.js).
  */
 
 const { createCoreController } = require('@strapi/strapi').factories;
+const { provisionTenant } = require('../../../utils/tenant-provisioning');
+const { offboardTenant } = require('../../../utils/tenant-offboarding');
+const { checkTenantIntegrity, formatIntegrityReport } = require('../../../utils/tenant-integrity');
 
-module.exports = createCoreController('api::tenant.tenant');
+function isTruthy(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+/** JSON by default; ?format=text returns the human-readable report. */
+function sendIntegrityReport(ctx, report) {
+  if (ctx.query?.format === 'text') {
+    ctx.type = 'text/plain';
+    ctx.body = formatIntegrityReport(report);
+    return;
+  }
+  ctx.body = { data: report };
+}
+
+module.exports = createCoreController('api::tenant.tenant', () => ({
+  /**
+   * Create a tenant from config/tenant-template.js. Body: { tenantId, name, domain,
+   * slug?, description?, editors?: [email | id], dryRun? } (dryRun also as ?dryRun=true).
+   */
+  async provision(ctx) {
+    const body = ctx.request.body || {};
+    const dryRun = isTruthy(body.dryRun) || isTruthy(ctx.query?.dryRun);
+    ctx.body = { data: await provisionTenant(body, { dryRun }) };
+  },
+
+  /**
+   * Archive and delete a tenant. Body: { tenantId, dryRun?, confirm } — a real run
+   * requires confirm to repeat the tenantId; dryRun only returns the counts.
+   */
+  async offboard(ctx) {
+    const body = ctx.request.body || {};
+    const dryRun = isTruthy(body.dryRun) || isTruthy(ctx.query?.dryRun);
+    if (typeof body.tenantId !== 'string' || !body.tenantId) {
+      return ctx.badRequest('tenantId is required.');
+    }
+    if (!dryRun && body.confirm !== body.tenantId) {
+      return ctx.badRequest('Set confirm to the tenantId to offboard this tenant.');
+    }
+    ctx.body = {
+      data: await offboardTenant(body.tenantId, { dryRun, performedBy: ctx.state.user?.email || 'admin' }),
+    };
+  },
+
+  /** Report orphaned and cross-tenant records without changing anything. */
+  async integrity(ctx) {
+    sendIntegrityReport(ctx, await checkTenantIntegrity());
+  },
+
+  /** Repair what the integrity check finds; the report lists what was fixed. */
+  async repairIntegrity(ctx) {
+    sendIntegrityReport(ctx, await checkTenantIntegrity({ fix: true }));
+  },
+}));
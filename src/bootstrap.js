@@ -3,6 +3,32 @@
 const fs = require('fs-extra');
 const path = require('path');
 const mime = require('mime-types');
+const { errors } = require('@strapi/utils');
+const {
+  isTenantScoped,
+  allowsSharedEntries,
+  tenantFilter,
+  scopePopulate,
+  getTenantScopedUids,
+  warnOnMisconfiguredTenancy,
+} = require('./utils/tenancy');
+const { registerTenantLifecycles } = require('./utils/tenant-lifecycles');
+const { isTypeAllowed, registerTenantTokenInvalidation } = require('./utils/tenant-tokens');
+const { registerScheduleValidation, startPublishScheduler } = require('./utils/publish-scheduler');
+const { startViewFlusher } = require('./utils/article-views');
+const { registerReviewWorkflowMiddleware } = require('./utils/review-workflow');
+const { registerRevisionHistoryMiddleware } = require('./utils/revision-history');
+const { registerSearchIndexLifecycles } = require('./utils/search-index');
+const { registerSlugHistoryMiddleware } = require('./utils/redirects');
+const { registerTenantSlugValidation, syncSlugKeys } = require('./utils/tenant-slugs');
+const { backfillReadingStats } = require('./utils/reading-stats');
+const {
+  EDITOR_ROLE_CODE,
+  normalizeEmail,
+  getTenantForAdminUser,
+  resolveEditorTenant,
+  registerTenantResolutionInvalidation,
+} = require('./utils/tenant-resolution');
 const { categories, authors, articles, global, about } = require('../data/data.json');
 
 async function seedExampleApp() {
@@ -269,6 +295,138 @@ async function main() {
 }
 
 
+/**
+ * Link legacy API Token Tenant Binding rows (token name only) to their API token.
+ * Rows whose name matches no token are logged and stay inactive until a Super Admin
+ * picks the token in the Content Manager.
+ */
+async function linkApiTokenBindings() {
+  try {
+    const rows = await strapi.db.query('api::api-token-tenant.api-token-tenant').findMany({
+      select: ['id', 'apiTokenName'],
+      populate: { apiToken: { select: ['id'] } },
+    });
+    let linked = 0;
+    for (const row of rows) {
+      if (row.apiToken) continue;
+      const apiToken = row.apiTokenName
+        ? await strapi.db.query('admin::api-token').findOne({ where: { name: row.apiTokenName }, select: ['id'] })
+        : null;
+      if (!apiToken) {
+        strapi.log.warn(
+          `API Token Tenant Binding #${row.id} (${row.apiTokenName || 'no name'}) matches no API token; set its API token in the Content Manager.`
+        );
+        continue;
+      }
+      await strapi.db.query('api::api-token-tenant.api-token-tenant').update({
+        where: { id: row.id },
+        data: { apiToken: apiToken.id },
+      });
+      linked += 1;
+    }
+    if (linked > 0) {
+      strapi.log.info(`API Token Tenant Binding: linked ${linked} row(s) to API tokens by name`);
+    }
+  } catch (err) {
+    strapi.log.warn('Could not link API Token Tenant Bindings to API tokens:', err.message);
+  }
+}
+
+/**
+ * Link legacy Editor Tenant Assignment rows (email only) to their admin user.
+ * Rows whose email matches no admin user are logged; a Super Admin has to pick
+ * the admin user for them in the Content Manager.
+ */
+async function linkEditorTenantAdminUsers() {
+  try {
+    const rows = await strapi.db.query('api::editor-tenant.editor-tenant').findMany({
+      select: ['id', 'adminUserEmail'],
+      populate: { adminUser: { select: ['id'] } },
+    });
+    let linked = 0;
+    for (const row of rows) {
+      if (row.adminUser) continue;
+      const email = normalizeEmail(row.adminUserEmail);
+      const adminUser = email
+        ? await strapi.db.query('admin::user').findOne({ where: { email: { $eqi: email } }, select: ['id'] })
+        : null;
+      if (!adminUser) {
+        strapi.log.warn(
+          `Editor Tenant Assignment #${row.id} (${row.adminUserEmail || 'no email'}) matches no admin user; set its admin user in the Content Manager.`
+        );
+        continue;
+      }
+      await strapi.db.query('api::editor-tenant.editor-tenant').update({
+        where: { id: row.id },
+        data: { adminUser: adminUser.id },
+      });
+      linked += 1;
+    }
+    if (linked > 0) {
+      strapi.log.info(`Editor Tenant Assignment: linked ${linked} row(s) to admin users by email`);
+    }
+  } catch (err) {
+    strapi.log.warn('Could not link Editor Tenant Assignments to admin users:', err.message);
+  }
+}
+
+/**
+ * Report Editors (strapi-editor role) without an Editor Tenant Assignment. They are
+ * denied access to tenant-scoped content until a Super Admin assigns a tenant.
+ */
+async function reportEditorsWithoutTenant() {
+  try {
+    const editors = await strapi.db.query('admin::user').findMany({
+      where: { roles: { code: EDITOR_ROLE_CODE } },
+      select: ['id', 'email'],
+    });
+    if (editors.length === 0) return;
+    const assigned = await strapi.db.query('api::editor-tenant.editor-tenant').findMany({
+      where: { adminUser: { id: { $in: editors.map((e) => e.id) } } },
+      populate: { adminUser: { select: ['id'] } },
+    });
+    const assignedIds = new Set(assigned.map((row) => row.adminUser?.id));
+    const missing = editors.filter((e) => !assignedIds.has(e.id));
+    if (missing.length > 0) {
+      strapi.log.warn(
+        `Editors without a tenant (denied access until an Editor Tenant Assignment is added): ${missing
+          .map((e) => e.email)
+          .join(', ')}`
+      );
+    }
+  } catch (err) {
+    strapi.log.warn('Could not check Editors for tenant assignments:', err.message);
+  }
+}
+
+/**
+ * Fill the per-tenant slug keys of existing entries and report slugs used twice
+ * within a tenant (src/utils/tenant-slugs.js).
+ */
+async function reportDuplicateSlugs() {
+  try {
+    const { updated, duplicates } = await syncSlugKeys();
+    if (updated > 0) strapi.log.info(`Per-tenant slugs: updated the slug key of ${updated} entries`);
+    if (duplicates.length > 0) {
+      strapi.log.warn(
+        `${duplicates.length} slug(s) are used by more than one entry of the same tenant; the newer entries cannot be saved until they get a new slug.`
+      );
+    }
+  } catch (err) {
+    strapi.log.warn('Could not check slugs for duplicates:', err.message);
+  }
+}
+
+/** Compute word count, reading time and excerpt of articles saved before they existed. */
+async function backfillArticleReadingStats() {
+  try {
+    const updated = await backfillReadingStats();
+    if (updated > 0) strapi.log.info(`Reading stats: computed for ${updated} articles`);
+  } catch (err) {
+    strapi.log.warn('Could not compute article reading stats:', err.message);
+  }
+}
+
 const TENANT_CONDITION_UID = 'plugin::api.is-same-tenant-as-user';
 let tenantConditionId = TENANT_CONDITION_UID;
 
@@ -287,28 +445,11 @@ async function registerTenantRBACConditions() {
       plugin: 'api',
       category: 'Multi-tenant',
       async handler(user) {
-        if (!user) return { id: { $eq: null } };
-        let email = user.email;
-        if (!email && user.id) {
-          const adminUser = await strapi.db.query('admin::user').findOne({
-            where: { id: user.id },
-            select: ['email'],
-          });
-          email = adminUser?.email;
-        }
-        if (!email) return { id: { $eq: null } };
-        const emailLower = String(email).toLowerCase();
-        const mappings = await strapi.db.query('api::editor-tenant.editor-tenant').findMany({
-          where: {},
-          populate: { tenant: true },
-        });
-        const mapping = mappings.find(
-          (m) => (m.adminUserEmail || '').toLowerCase() === emailLower
-        );
-        if (!mapping?.tenant) {
+        if (user?.id == null) return { id: { $eq: null } };
+        const tenantDoc = await getTenantForAdminUser(user.id);
+        if (!tenantDoc) {
           return { id: { $eq: null } };
         }
-        const tenantDoc = mapping.tenant;
         const tenantDocumentId = tenantDoc.documentId ?? tenantDoc.document_id;
         const tenantId = tenantDoc.id != null ? Number(tenantDoc.id) : null;
         if (tenantId == null && !tenantDocumentId) return { id: { $eq: null } };
@@ -339,28 +480,7 @@ async function registerTenantRBACConditions() {
  * New content types are not auto-granted to roles; Editors need explicit permissions.
  */
 async function ensureEditorTenantScopedPermissions() {
-  const subjects = [
-    'api::article.article',
-    'api::advertisement-slot.advertisement-slot',
-    'api::flash-news-item.flash-news-item',
-    'api::directory-home.directory-home',
-    'api::bishop.bishop',
-    'api::catholicos.catholicos',
-    'api::diocesan-bishop.diocesan-bishop',
-    'api::retired-bishop.retired-bishop',
-    'api::diocese.diocese',
-    'api::parish.parish',
-    'api::priest.priest',
-    'api::directory-entry.directory-entry',
-    'api::liturgy-day.liturgy-day',
-    'api::institution.institution',
-    'api::church-dignitary.church-dignitary',
-    'api::working-committee.working-committee',
-    'api::managing-committee.managing-committee',
-    'api::spiritual-organisation.spiritual-organisation',
-    'api::pilgrim-centre.pilgrim-centre',
-    'api::seminary.seminary',
-  ];
+  const subjects = getTenantScopedUids();
   const actions = [
     'plugin::content-manager.explorer.create',
     'plugin::content-manager.explorer.read',
@@ -453,27 +573,7 @@ async function ensureEditorTenantScopedPermissions() {
  * update stored layout so the tenant field is not shown (e.g. if layout was customized).
  */
 async function hideTenantFieldInContentManagerLayout() {
-  const contentTypes = [
-    'api::article.article',
-    'api::advertisement-slot.advertisement-slot',
-    'api::flash-news-item.flash-news-item',
-    'api::directory-home.directory-home',
-    'api::bishop.bishop',
-    'api::catholicos.catholicos',
-    'api::diocesan-bishop.diocesan-bishop',
-    'api::retired-bishop.retired-bishop',
-    'api::diocese.diocese',
-    'api::parish.parish',
-    'api::priest.priest',
-    'api::directory-entry.directory-entry',
-    'api::institution.institution',
-    'api::church-dignitary.church-dignitary',
-    'api::working-committee.working-committee',
-    'api::managing-committee.managing-committee',
-    'api::spiritual-organisation.spiritual-organisation',
-    'api::pilgrim-centre.pilgrim-centre',
-    'api::seminary.seminary',
-  ];
+  const contentTypes = getTenantScopedUids();
   try {
     const store = strapi.store({ type: 'plugin', name: 'content-manager' });
     const config = (await store.get({ key: 'configuration' })) || {};
@@ -508,81 +608,13 @@ async function hideTenantFieldInContentManagerLayout() {
 /**
  * Enforce tenant scoping at Document Service level for Editor role.
  * This avoids 403s on single-document reads while still scoping data by tenant.
+ * Shared entries of allowShared types (e.g. categories) are listed but read-only:
+ * they are used by every tenant.
  */
 async function registerTenantDocumentMiddleware() {
-  const tenantScopedUids = [
-    'api::article.article',
-    'api::advertisement-slot.advertisement-slot',
-    'api::flash-news-item.flash-news-item',
-    'api::directory-home.directory-home',
-    'api::bishop.bishop',
-    'api::catholicos.catholicos',
-    'api::diocesan-bishop.diocesan-bishop',
-    'api::retired-bishop.retired-bishop',
-    'api::diocese.diocese',
-    'api::parish.parish',
-    'api::priest.priest',
-    'api::directory-entry.directory-entry',
-    'api::institution.institution',
-    'api::church-dignitary.church-dignitary',
-    'api::working-committee.working-committee',
-    'api::managing-committee.managing-committee',
-    'api::spiritual-organisation.spiritual-organisation',
-    'api::pilgrim-centre.pilgrim-centre',
-    'api::seminary.seminary',
-  ];
-
-  async function getAdminUserIdFromContext() {
-    const requestContext = require('./utils/request-context');
-    const ctx = requestContext.get();
-    if (!ctx) return null;
-    const fromState = ctx.state?.user?.id ?? ctx.state?.admin?.id;
-    if (fromState != null) return fromState;
-    const authz = ctx.request?.header?.authorization || ctx.request?.headers?.authorization;
-    if (!authz || typeof authz !== 'string') return null;
-    const parts = authz.trim().split(/\s+/);
-    if (parts[0].toLowerCase() !== 'bearer' || !parts[1]) return null;
-    const manager = strapi.sessionManager;
-    if (!manager) return null;
-    try {
-      const result = manager('admin').validateAccessToken(parts[1]);
-      if (!result?.isValid || result?.payload?.userId == null) return null;
-      const raw = result.payload.userId;
-      const num = Number(raw);
-      return Number.isFinite(num) && String(num) === String(raw) ? num : raw;
-    } catch {
-      return null;
-    }
-  }
-
-  async function resolveEditorTenant() {
-    const currentAdminUserId = await getAdminUserIdFromContext();
-    if (currentAdminUserId == null) return null;
-
-    const adminUser = await strapi.db.query('admin::user').findOne({
-      where: { id: currentAdminUserId },
-      populate: { roles: true },
-      select: ['email'],
-    });
-    if (!adminUser?.email) return null;
-    const isEditor = (adminUser.roles || []).some((r) => r.code === 'strapi-editor');
-    if (!isEditor) return null;
-
-    const mappings = await strapi.db.query('api::editor-tenant.editor-tenant').findMany({
-      where: {},
-      populate: { tenant: true },
-    });
-    const mapping = mappings.find(
-      (m) => (m.adminUserEmail || '').toLowerCase() === String(adminUser.email).toLowerCase()
-    );
-    const tenant = mapping?.tenant;
-    if (!tenant) return null;
-    return { id: tenant.id, documentId: tenant.documentId ?? tenant.document_id };
-  }
-
   strapi.documents.use(async (context, next) => {
     const { uid, action, params } = context;
-    if (!tenantScopedUids.includes(uid)) {
+    if (!isTenantScoped(uid)) {
       return next();
     }
 
@@ -593,10 +625,11 @@ async function registerTenantDocumentMiddleware() {
 
     if (action === 'findMany') {
       // Strapi 5 may store relation by id or documentId; filter so either matches
-      const tenantFilter =
+      let tenantFilter =
         tenant.documentId != null
           ? { $or: [{ tenant: tenant.id }, { tenant: { documentId: tenant.documentId } }] }
           : { tenant: tenant.id };
+      if (allowsSharedEntries(uid)) tenantFilter = { $or: [tenantFilter, { tenant: { id: { $null: true } } }] };
       context.params = {
         ...params,
         filters: params?.filters ? { $and: [params.filters, tenantFilter] } : tenantFilter,
@@ -604,6 +637,19 @@ async function registerTenantDocumentMiddleware() {
       return next();
     }
 
+    if (
+      allowsSharedEntries(uid) &&
+      ['update', 'delete', 'publish', 'unpublish', 'discardDraft'].includes(action) &&
+      typeof params?.documentId === 'string'
+    ) {
+      const rows = await strapi.db.query(uid).findMany({
+        where: { documentId: params.documentId },
+        select: ['id'],
+        populate: { tenant: { select: ['id'] } },
+      });
+      if (rows.length > 0 && rows.every((row) => !row.tenant)) throw new errors.ForbiddenError('Shared entries are used by every tenant; ask a Super Admin to change them.');
+    }
+
     const result = await next();
 
     if (action === 'findOne' || action === 'update' || action === 'delete' || action === 'publish' || action === 'unpublish') {
@@ -613,9 +659,7 @@ async function registerTenantDocumentMiddleware() {
           ? tenantValue?.id ?? tenantValue?.documentId
           : tenantValue;
       if (tenantId != null && tenantId !== tenant.id && tenantId !== tenant.documentId) {
-        const error = new Error('Forbidden');
-        error.status = 403;
-        throw error;
+        throw new errors.ForbiddenError('This entry belongs to another tenant.');
       }
     }
 
@@ -623,6 +667,66 @@ async function registerTenantDocumentMiddleware() {
   });
 }
 
+/**
+ * Scope public Content API reads to the tenant resolved by global::content-api-tenant
+ * (X-Tenant-Id header or Host). findOne on another tenant's document returns null,
+ * which the core controller turns into a 404. Types with pluginOptions.tenancy.allowShared
+ * also match entries without a tenant (shared defaults). Populated relations to
+ * tenant-scoped types get the same filter, whatever type the query starts from. Admin (content-manager)
+ * requests are handled by registerTenantDocumentMiddleware instead.
+ *
+ * Requests with a tenant-bound API token (ctx.state.tenantToken) are also limited to
+ * the binding's allowedTypes, creates and updates get the token's tenant forced onto
+ * data.tenant, and writes to another tenant's (or a shared) entry are answered with 404.
+ */
+function registerContentApiTenantMiddleware() {
+  const readActions = ['findMany', 'findFirst', 'findOne', 'count'];
+  const writeActions = ['update', 'delete', 'publish', 'unpublish', 'discardDraft'];
+
+  strapi.documents.use(async (context, next) => {
+    const { uid, action, params } = context;
+    const requestContext = require('./utils/request-context');
+    const ctx = requestContext.get();
+    if (ctx?.state?.route?.info?.type !== 'content-api') return next();
+    const tenant = ctx.state.tenant;
+    const binding = ctx.state.tenantToken;
+
+    if (binding && !isTypeAllowed(binding, uid)) {
+      // PolicyError: the Content API only passes a ForbiddenError's message through for this subclass.
+      throw new errors.PolicyError(`This API token may not access ${uid}.`);
+    }
+    if (tenant?.id == null) return next();
+    if (params?.populate) {
+      // Relations of any type (e.g. category → articles) only bring the tenant's entries.
+      const isAllowed = binding ? (target) => isTypeAllowed(binding, target) : undefined;
+      context.params = { ...params, populate: scopePopulate(uid, params.populate, tenant, isAllowed) };
+    }
+    if (!isTenantScoped(uid)) return next();
+
+    if (readActions.includes(action)) {
+      const filter = tenantFilter(uid, tenant);
+      context.params = {
+        ...context.params,
+        filters: params?.filters ? { $and: [params.filters, filter] } : filter,
+      };
+      return next();
+    }
+    if (!binding) return next();
+
+    if (writeActions.includes(action) && params?.documentId) {
+      const own = await strapi.db.query(uid).findOne({
+        where: { documentId: params.documentId, tenant: { id: tenant.id } },
+        select: ['id'],
+      });
+      if (!own) throw new errors.NotFoundError('Not Found');
+    }
+    if ((action === 'create' || action === 'update') && params?.data) {
+      context.params = { ...context.params, data: { ...params.data, tenant: tenant.id } };
+    }
+    return next();
+  });
+}
+
 /**
  * Ensure homepage, sidebar-promotional-block, advertisement-slot have public find permission
  * so the Content API returns data (avoids 404 for single types).
@@ -644,6 +748,13 @@ async function ensureContentApiPublicPermissions() {
     { controller: 'priest', actions: ['find', 'findOne'] },
     { controller: 'directory-entry', actions: ['find', 'findOne'] },
     { controller: 'liturgy-day', actions: ['find', 'findOne'] },
+    { controller: 'article', actions: ['view', 'mostRead'] },
+    { controller: 'search', actions: ['search'] },
+    { controller: 'redirect', actions: ['resolve'] },
+    { controller: 'tag', actions: ['find', 'findOne', 'articles'] },
+    { controller: 'author', actions: ['profile', 'articles'] },
+    { controller: 'seo', actions: ['resolve'] },
+    { controller: 'preview-link', actions: ['show'] },
   ];
   for (const { controller, actions } of toEnsure) {
     for (const action of actions) {
@@ -883,31 +994,9 @@ function registerPublishDateRefreshMiddleware() {
  * in the Content API (e.g. news pages return 0 results in production).
  */
 function registerTenantPublishMiddleware() {
-  const tenantScopedUids = [
-    'api::article.article',
-    'api::advertisement-slot.advertisement-slot',
-    'api::flash-news-item.flash-news-item',
-    'api::directory-home.directory-home',
-    'api::bishop.bishop',
-    'api::catholicos.catholicos',
-    'api::diocesan-bishop.diocesan-bishop',
-    'api::retired-bishop.retired-bishop',
-    'api::diocese.diocese',
-    'api::parish.parish',
-    'api::priest.priest',
-    'api::directory-entry.directory-entry',
-    'api::institution.institution',
-    'api::church-dignitary.church-dignitary',
-    'api::working-committee.working-committee',
-    'api::managing-committee.managing-committee',
-    'api::spiritual-organisation.spiritual-organisation',
-    'api::pilgrim-centre.pilgrim-centre',
-    'api::seminary.seminary',
-  ];
-
   strapi.documents.use(async (context, next) => {
     const { uid, action } = context;
-    if (action !== 'publish' || !tenantScopedUids.includes(uid)) {
+    if (action !== 'publish' || !isTenantScoped(uid)) {
       return next();
     }
 
@@ -990,6 +1079,18 @@ function registerTenantPublishMiddleware() {
 }
 
 module.exports = async () => {
+  warnOnMisconfiguredTenancy();
+  registerTenantLifecycles();
+  registerTenantResolutionInvalidation();
+  registerTenantTokenInvalidation();
+  registerScheduleValidation();
+  registerSearchIndexLifecycles();
+  registerTenantSlugValidation();
+  await linkEditorTenantAdminUsers();
+  await linkApiTokenBindings();
+  await reportEditorsWithoutTenant();
+  await reportDuplicateSlugs();
+  await backfillArticleReadingStats();
   await seedExampleApp();
   await ensureContentApiPublicPermissions();
   await registerTenantRBACConditions();
@@ -1001,5 +1102,14 @@ module.exports = async () => {
   await ensureCollectionTypesHaveDefaultSort();
   registerPublishDateRefreshMiddleware();
   registerTenantPublishMiddleware();
+  registerReviewWorkflowMiddleware();
+  registerRevisionHistoryMiddleware();
+  registerSlugHistoryMiddleware();
   await registerTenantDocumentMiddleware();
+  registerContentApiTenantMiddleware();
+  // Timers belong to the server only; scripts that just load Strapi never listen.
+  strapi.server.httpServer.once('listening', () => {
+    startPublishScheduler();
+    startViewFlusher();
+  });
 };
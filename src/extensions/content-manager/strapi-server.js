@@ -2,86 +2,22 @@
 
 /**
  * Content-manager extension: inject the Editor's tenant filter into the list query
- * for all tenant-scoped content types (Article, Directory types, Flash News, etc.)
+ * for all tenant-scoped content types (schema pluginOptions.tenancy.scoped)
  * so the list is scoped to their assigned tenant. Same behavior as Article for
  * Directory – Bishops, Dioceses, Entries, Priests, Parishes, etc.
- * Admin auth may run after global middlewares, so we resolve user from ctx.state
- * or from the Bearer token when state is not set.
+ * The Editor and their tenant are resolved through src/utils/tenant-resolution.js
+ * (cached per request and per process).
+ *
+ * Types with shared entries (pluginOptions.tenancy.allowShared, e.g. categories)
+ * also list the shared ones, so Editors can pick shared categories for their
+ * articles; changing them is refused by the tenant document middleware in bootstrap.
  *
  * Also patches the configuration response for Article so the list view always
  * receives "publishedAt" in layouts.list (Published at column).
  */
 
-const requestContext = require('../../utils/request-context');
-
-const TENANT_SCOPED_UIDS = new Set([
-  'api::article.article',
-  'api::advertisement-slot.advertisement-slot',
-  'api::flash-news-item.flash-news-item',
-  'api::directory-home.directory-home',
-  'api::bishop.bishop',
-  'api::catholicos.catholicos',
-  'api::diocesan-bishop.diocesan-bishop',
-  'api::retired-bishop.retired-bishop',
-  'api::diocese.diocese',
-  'api::parish.parish',
-  'api::priest.priest',
-  'api::directory-entry.directory-entry',
-  'api::liturgy-day.liturgy-day',
-  'api::institution.institution',
-  'api::church-dignitary.church-dignitary',
-  'api::working-committee.working-committee',
-  'api::managing-committee.managing-committee',
-  'api::spiritual-organisation.spiritual-organisation',
-  'api::pilgrim-centre.pilgrim-centre',
-  'api::seminary.seminary',
-]);
-
-/** Get admin user id for this request (state or Bearer token). */
-async function getAdminUserIdFromContext() {
-  const ctx = requestContext.get();
-  if (!ctx) return null;
-  const fromState = ctx.state?.user?.id ?? ctx.state?.admin?.id;
-  if (fromState != null) return fromState;
-
-  const authz = ctx.request?.header?.authorization || ctx.request?.headers?.authorization;
-  if (!authz || typeof authz !== 'string') return null;
-  const parts = authz.trim().split(/\s+/);
-  if (parts[0].toLowerCase() !== 'bearer' || !parts[1]) return null;
-  const manager = strapi.sessionManager;
-  if (!manager) return null;
-  try {
-    const result = manager('admin').validateAccessToken(parts[1]);
-    if (!result?.isValid || result?.payload?.userId == null) return null;
-    const raw = result.payload.userId;
-    const num = Number(raw);
-    return Number.isFinite(num) && String(num) === String(raw) ? num : raw;
-  } catch {
-    return null;
-  }
-}
-
-async function resolveEditorTenantFromUser(userId) {
-  if (userId == null) return null;
-  const adminUser = await strapi.db.query('admin::user').findOne({
-    where: { id: userId },
-    populate: { roles: true },
-    select: ['email'],
-  });
-  if (!adminUser?.email) return null;
-  const isEditor = (adminUser.roles || []).some((r) => r.code === 'strapi-editor');
-  if (!isEditor) return null;
-  const mappings = await strapi.db.query('api::editor-tenant.editor-tenant').findMany({
-    where: {},
-    populate: { tenant: true },
-  });
-  const mapping = mappings.find(
-    (m) => (m.adminUserEmail || '').toLowerCase() === String(adminUser.email).toLowerCase()
-  );
-  const tenant = mapping?.tenant;
-  if (!tenant) return null;
-  return { id: tenant.id, documentId: tenant.documentId ?? tenant.document_id };
-}
+const { isTenantScoped, allowsSharedEntries } = require('../../utils/tenancy');
+const { resolveEditorTenant } = require('../../utils/tenant-resolution');
 
 function addFiltersClause(params, filtersClause) {
   params.filters = params.filters || {};
@@ -202,7 +138,7 @@ module.exports = (plugin) => {
     instance.create = function createPermissionChecker(opts) {
       const checker = originalCreate(opts);
 
-      if (!TENANT_SCOPED_UIDS.has(opts.model)) {
+      if (!isTenantScoped(opts.model)) {
         return checker;
       }
 
@@ -214,14 +150,16 @@ module.exports = (plugin) => {
           permissionQuery.sort = query.sort;
         }
 
-        const userId = await getAdminUserIdFromContext();
-        const tenant = await resolveEditorTenantFromUser(userId);
+        const tenant = await resolveEditorTenant();
         if (tenant?.id != null || tenant?.documentId != null) {
           const tenantFilter =
             tenant.documentId != null
               ? { $or: [{ tenant: tenant.id }, { tenant: { documentId: tenant.documentId } }] }
               : { tenant: tenant.id };
-          addFiltersClause(permissionQuery, tenantFilter);
+          addFiltersClause(
+            permissionQuery,
+            allowsSharedEntries(opts.model) ? { $or: [tenantFilter, { tenant: { id: { $null: true } } }] } : tenantFilter
+          );
         }
 
         return permissionQuery;
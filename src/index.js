@@ -1,5 +1,17 @@
 'use strict';
 const bootstrap = require("./bootstrap");
+const { stopPublishScheduler } = require('./utils/publish-scheduler');
+const { stopViewFlusher } = require('./utils/article-views');
+const { waitForSearchIndex } = require('./utils/search-index');
+
+/** GET routes of the public feeds and sitemaps: [path, controller, action]. */
+const PUBLIC_ROUTES = [
+  ['/feeds/:tenantSlug/articles.:format', 'api::feed.feed', 'articles'],
+  ['/feeds/:tenantSlug/flash-news.:format', 'api::feed.feed', 'flashNews'],
+  ['/sitemaps/:tenantSlug/sitemap.xml', 'api::sitemap.sitemap', 'index'],
+  ['/sitemaps/:tenantSlug/sitemap-:page.xml', 'api::sitemap.sitemap', 'page'],
+  ['/sitemaps/:tenantSlug/robots.txt', 'api::sitemap.sitemap', 'robots'],
+];
 
 module.exports = {
   /**
@@ -9,169 +21,118 @@ module.exports = {
    * This gives you an opportunity to extend code.
    */
   register({ strapi }) {
-    // Temporary migration endpoint — remove after migration is complete.
-    // POST /api/migration/fix-published
-    // Directly updates publishedAt and tenant on published DB rows via raw knex.
-    strapi.server.router.post('/api/migration/fix-published', async (ctx) => {
-      const crypto = require('crypto');
-      const { tenantDocumentId, articles } = ctx.request.body || {};
-
-      // Validate Bearer token against env var or Strapi's hashed token store
-      const authHeader = ctx.request.header.authorization || '';
-      const bearerToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : '';
-      if (!bearerToken) {
-        ctx.status = 401;
-        ctx.body = { error: { status: 401, message: 'Missing Bearer token.' } };
-        return;
-      }
-      // Try direct match against env var first (simplest)
-      const envToken = process.env.STRAPI_CLOUD_API_TOKEN || process.env.STRAPI_MIGRATION_TOKEN;
-      let authorized = envToken && bearerToken === envToken;
-      // Fallback: HMAC-SHA512 lookup in Strapi's token store
-      if (!authorized) {
-        try {
-          const salt = strapi.config.get('admin.apiToken.salt') || process.env.API_TOKEN_SALT || '';
-          const hashedToken = crypto.createHmac('sha512', salt).update(bearerToken).digest('hex');
-          const storedToken = await strapi.db.query('admin::api-token').findOne({
-            where: { accessKey: hashedToken },
-          });
-          if (storedToken) authorized = true;
-        } catch (_) {}
-      }
-      if (!authorized) {
-        ctx.status = 401;
-        ctx.body = { error: { status: 401, message: 'Invalid API token.' } };
-        return;
-      }
-
-      if (!Array.isArray(articles) || articles.length === 0) {
-        ctx.status = 400;
-        ctx.body = { error: { status: 400, message: 'articles array is required.' } };
-        return;
-      }
-
-      const knex = strapi.db.connection;
-      const results = { updated: 0, tenantLinked: 0, skipped: 0, errors: [] };
-
-      // Resolve tenant numeric ID from documentId
-      let tenantNumericId = null;
-      if (tenantDocumentId) {
-        const tenantRow = await knex('tenants')
-          .where({ document_id: tenantDocumentId })
-          .select('id')
-          .first();
-        if (!tenantRow) {
-          ctx.status = 400;
-          ctx.body = { error: { status: 400, message: `Tenant not found: ${tenantDocumentId}` } };
-          return;
-        }
-        tenantNumericId = tenantRow.id;
-      }
-
-      // Discover link table for tenant relation per content type
-      const linkTableCache = {};
-      function getLinkTableInfo(uid) {
-        if (linkTableCache[uid]) return linkTableCache[uid];
-        try {
-          const meta = strapi.db.metadata.get(uid);
-          const attrs = meta?.attributes;
-          const tenantAttr = attrs instanceof Map ? attrs.get('tenant') : attrs?.tenant;
-          const jt = tenantAttr?.joinTable;
-          if (jt?.name && jt?.joinColumn?.name && jt?.inverseJoinColumn?.name) {
-            linkTableCache[uid] = {
-              table: jt.name,
-              srcCol: jt.joinColumn.name,
-              tgtCol: jt.inverseJoinColumn.name,
-              ordCol: jt.orderColumnName || null,
-            };
-            return linkTableCache[uid];
-          }
-        } catch (_) {}
-        linkTableCache[uid] = null;
-        return null;
-      }
-
-      for (const item of articles) {
-        const { documentId, publishedAt, uid } = item;
-        const contentUid = uid || 'api::article.article';
-        if (!documentId) { results.skipped++; continue; }
-
-        try {
-          const ct = strapi.contentType(contentUid);
-          if (!ct?.collectionName) {
-            results.errors.push({ documentId, error: `Unknown content type: ${contentUid}` });
-            continue;
-          }
-          const tableName = ct.collectionName;
-
-          // Find the published row
-          const publishedRow = await knex(tableName)
-            .where({ document_id: documentId })
-            .whereNotNull('published_at')
-            .select('id', 'published_at')
-            .first();
-
-          if (!publishedRow) { results.skipped++; continue; }
-
-          // Update publishedAt on both published and draft rows
-          if (publishedAt) {
-            await knex(tableName)
-              .where({ id: publishedRow.id })
-              .update({ published_at: publishedAt });
-            await knex(tableName)
-              .where({ document_id: documentId })
-              .whereNull('published_at')
-              .update({ published_at: publishedAt });
-            results.updated++;
-          }
-
-          // Ensure tenant link on published row
-          if (tenantNumericId) {
-            const linkInfo = getLinkTableInfo(contentUid);
-            if (linkInfo) {
-              const existingLink = await knex(linkInfo.table)
-                .where({ [linkInfo.srcCol]: publishedRow.id })
-                .first();
-
-              if (existingLink) {
-                if (existingLink[linkInfo.tgtCol] !== tenantNumericId) {
-                  await knex(linkInfo.table)
-                    .where({ [linkInfo.srcCol]: publishedRow.id })
-                    .update({ [linkInfo.tgtCol]: tenantNumericId });
-                  results.tenantLinked++;
-                }
-              } else {
-                const draftRow = await knex(tableName)
-                  .where({ document_id: documentId })
-                  .whereNull('published_at')
-                  .select('id')
-                  .first();
-                let ordValue = 1;
-                if (draftRow && linkInfo.ordCol) {
-                  const draftLink = await knex(linkInfo.table)
-                    .where({ [linkInfo.srcCol]: draftRow.id })
-                    .first();
-                  if (draftLink && draftLink[linkInfo.ordCol] != null) {
-                    ordValue = draftLink[linkInfo.ordCol];
-                  }
-                }
-                const ins = {
-                  [linkInfo.srcCol]: publishedRow.id,
-                  [linkInfo.tgtCol]: tenantNumericId,
-                };
-                if (linkInfo.ordCol) ins[linkInfo.ordCol] = ordValue;
-                await knex(linkInfo.table).insert(ins);
-                results.tenantLinked++;
-              }
-            }
-          }
-        } catch (err) {
-          results.errors.push({ documentId, error: err.message });
-        }
-      }
-
-      ctx.body = { ok: true, results };
+    // Admin routes: authenticated with the admin session token, not Content API tokens.
+    strapi.server.routes({
+      type: 'admin',
+      prefix: '',
+      routes: [
+        // Active-tenant switcher for admin users assigned to several tenants (see src/admin/app.js).
+        {
+          method: 'GET',
+          path: '/editor-tenants/active-tenant',
+          handler: 'api::editor-tenant.editor-tenant.findActiveTenant',
+          config: { policies: ['admin::isAuthenticatedAdmin'] },
+        },
+        {
+          method: 'PUT',
+          path: '/editor-tenants/active-tenant',
+          handler: 'api::editor-tenant.editor-tenant.setActiveTenant',
+          config: { policies: ['admin::isAuthenticatedAdmin'] },
+        },
+        // Create a tenant from config/tenant-template.js (Super Admin only; supports dryRun).
+        {
+          method: 'POST',
+          path: '/tenants/provision',
+          handler: 'api::tenant.tenant.provision',
+          config: { policies: ['admin::isAuthenticatedAdmin', 'global::is-super-admin'] },
+        },
+        // Archive, then delete a tenant and everything it owns (Super Admin only; supports dryRun).
+        {
+          method: 'POST',
+          path: '/tenants/offboard',
+          handler: 'api::tenant.tenant.offboard',
+          config: { policies: ['admin::isAuthenticatedAdmin', 'global::is-super-admin'] },
+        },
+        // Tenant integrity report and repair (Super Admin only; ?format=text for a readable report).
+        {
+          method: 'GET',
+          path: '/tenants/integrity',
+          handler: 'api::tenant.tenant.integrity',
+          config: { policies: ['admin::isAuthenticatedAdmin', 'global::is-super-admin'] },
+        },
+        {
+          method: 'POST',
+          path: '/tenants/integrity/repair',
+          handler: 'api::tenant.tenant.repairIntegrity',
+          config: { policies: ['admin::isAuthenticatedAdmin', 'global::is-super-admin'] },
+        },
+        // Review workflow of articles and flash news (Review panel in the edit view, see src/admin/app.js).
+        {
+          method: 'GET',
+          path: '/reviews/:uid/:documentId',
+          handler: 'api::review-event.review-event.findState',
+          config: { policies: ['admin::isAuthenticatedAdmin'] },
+        },
+        {
+          method: 'POST',
+          path: '/reviews/:uid/:documentId/:transition',
+          handler: 'api::review-event.review-event.transition',
+          config: { policies: ['admin::isAuthenticatedAdmin'] },
+        },
+        // Signed draft preview links of articles and flash news (Preview panel in the edit view).
+        {
+          method: 'GET',
+          path: '/previews/:uid/:documentId',
+          handler: 'api::preview-link.preview-link.findLinks',
+          config: { policies: ['admin::isAuthenticatedAdmin'] },
+        },
+        {
+          method: 'POST',
+          path: '/previews/:uid/:documentId',
+          handler: 'api::preview-link.preview-link.createLink',
+          config: { policies: ['admin::isAuthenticatedAdmin'] },
+        },
+        {
+          method: 'DELETE',
+          path: '/previews/:uid/:documentId',
+          handler: 'api::preview-link.preview-link.revokeLinks',
+          config: { policies: ['admin::isAuthenticatedAdmin'] },
+        },
+        {
+          method: 'DELETE',
+          path: '/previews/:uid/:documentId/:id',
+          handler: 'api::preview-link.preview-link.revokeLinks',
+          config: { policies: ['admin::isAuthenticatedAdmin'] },
+        },
+        // Revision history of Draft & Publish entries: list, diff and restore into the draft.
+        {
+          method: 'GET',
+          path: '/revisions/:uid/:documentId',
+          handler: 'api::content-revision.content-revision.listRevisions',
+          config: { policies: ['admin::isAuthenticatedAdmin'] },
+        },
+        {
+          method: 'GET',
+          path: '/revisions/:uid/:documentId/:revision',
+          handler: 'api::content-revision.content-revision.showRevision',
+          config: { policies: ['admin::isAuthenticatedAdmin'] },
+        },
+        {
+          method: 'POST',
+          path: '/revisions/:uid/:documentId/:revision/restore',
+          handler: 'api::content-revision.content-revision.restoreRevision',
+          config: { policies: ['admin::isAuthenticatedAdmin'] },
+        },
+      ],
     });
+
+    // Public feeds (src/api/feed) and sitemaps (src/api/sitemap), served at /feeds/... and
+    // /sitemaps/... rather than under /api so the URLs can be handed out as they are. They
+    // go on Strapi's Koa router directly, outside the Content API and admin route types:
+    // no token or admin session applies, the tenant comes from the path.
+    for (const [path, controller, action] of PUBLIC_ROUTES) {
+      strapi.server.router.get(path, (ctx) => strapi.controller(controller)[action](ctx));
+    }
   },
 
   /**
@@ -182,4 +143,14 @@ module.exports = {
    * run jobs, or perform some special logic.
    */
   bootstrap,
+
+  /**
+   * Stop the background timers on shutdown; buffered article views and queued
+   * search index updates are written first.
+   */
+  async destroy() {
+    stopPublishScheduler();
+    await stopViewFlusher();
+    await waitForSearchIndex();
+  },
 };
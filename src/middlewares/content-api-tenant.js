@@ -0,0 +1,90 @@
+'use strict';
+
+const { isContentApiPath, resolveRequestTenant } = require('../utils/content-api-tenant');
+const { getTenantTokenBinding } = require('../utils/tenant-tokens');
+
+/** Content API paths (after the /api prefix) that serve no tenant data: login, users, media, locales. */
+const TENANTLESS_PATHS = ['/auth', '/connect', '/users', '/users-permissions', '/upload', '/i18n'];
+
+function isTenantlessPath(ctx) {
+  const rest = ctx.path.slice(strapi.config.get('api.rest.prefix', '/api').length);
+  return TENANTLESS_PATHS.some((path) => rest === path || rest.startsWith(`${path}/`));
+}
+
+/** CONTENT_API_ALLOW_NO_TENANT=1 restores the old unscoped fallback (off by default). */
+function allowsNoTenant() {
+  const value = process.env.CONTENT_API_ALLOW_NO_TENANT;
+  return value === '1' || value === 'true';
+}
+
+/**
+ * Resolve the calling tenant for Content API requests and store it on ctx.state.tenant.
+ * Source: X-Tenant-Id header (tenant.tenantId) or the request Host (tenant.domain).
+ * The document middleware registered in bootstrap (registerContentApiTenantMiddleware)
+ * uses it to filter find/findOne on tenant-scoped types, so a frontend that forgets
+ * filters[tenant][tenantId][$eq] no longer sees other tenants' data.
+ * An unknown X-Tenant-Id is rejected with 404 instead of falling back to unscoped data,
+ * and a request that names no tenant at all (no header, Host matching no tenant.domain)
+ * with 400, except on the tenantless paths above. API tokens without a tenant binding
+ * are no exception: they must name the tenant like any other caller.
+ * An API token bound to a tenant (src/utils/tenant-tokens.js) always uses that tenant;
+ * an X-Tenant-Id naming another tenant is rejected with 403, and so is a token whose
+ * binding lost its tenant (it must not fall back to unscoped access).
+ */
+module.exports = (_config, _opts) => {
+  return async (ctx, next) => {
+    if (!isContentApiPath(ctx)) return next();
+
+    const { tenant, source } = await resolveRequestTenant(ctx);
+    const binding = await getTenantTokenBinding(ctx);
+    if (binding?.invalid) {
+      ctx.status = 403;
+      ctx.body = {
+        data: null,
+        error: {
+          status: 403,
+          name: 'ForbiddenError',
+          message: `The tenant of API token "${binding.tokenName}" no longer exists. Fix or delete its API Token Tenant Binding.`,
+        },
+      };
+      return;
+    }
+    if (binding) {
+      if (source === 'header' && tenant?.id !== binding.tenant.id) {
+        ctx.status = 403;
+        ctx.body = {
+          data: null,
+          error: {
+            status: 403,
+            name: 'ForbiddenError',
+            message: `This API token is bound to tenant ${binding.tenant.tenantId}.`,
+          },
+        };
+        return;
+      }
+      ctx.state.tenant = binding.tenant;
+      ctx.state.tenantToken = binding;
+      return next();
+    }
+    if (!tenant && source === 'header') {
+      ctx.status = 404;
+      ctx.body = { data: null, error: { status: 404, name: 'NotFoundError', message: 'Unknown tenant.' } };
+      return;
+    }
+    if (tenant) {
+      ctx.state.tenant = tenant;
+      return next();
+    }
+    if (allowsNoTenant() || isTenantlessPath(ctx)) return next();
+
+    ctx.status = 400;
+    ctx.body = {
+      data: null,
+      error: {
+        status: 400,
+        name: 'BadRequestError',
+        message: "No tenant: send X-Tenant-Id or call from the tenant's domain.",
+      },
+    };
+  };
+};
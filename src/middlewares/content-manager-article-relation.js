@@ -1,56 +1,6 @@
 "use strict";
 
-const requestContext = require("../utils/request-context");
-
-/** Resolve Editor's tenant id (numeric) from admin user id. Same logic as bootstrap document middleware. */
-async function resolveEditorTenantIdFromUserId(userId) {
-  if (!userId) return null;
-  const adminUser = await strapi.db.query("admin::user").findOne({
-    where: { id: userId },
-    populate: { roles: true },
-    select: ["email"],
-  });
-  if (!adminUser?.email) return null;
-  const isEditor = (adminUser.roles || []).some((r) => r.code === "strapi-editor");
-  if (!isEditor) return null;
-  const mappings = await strapi.db.query("api::editor-tenant.editor-tenant").findMany({
-    where: {},
-    populate: { tenant: true },
-  });
-  const mapping = mappings.find(
-    (m) => (m.adminUserEmail || "").toLowerCase() === String(adminUser.email).toLowerCase()
-  );
-  const tenant = mapping?.tenant;
-  return tenant?.id ?? null;
-}
-
-/**
- * Get admin user id for this request. Admin auth runs in route policy (after global middlewares),
- * so ctx.state.user is not set when we run. We resolve the user from the Bearer token here.
- */
-async function getAdminUserIdFromRequest(ctx) {
-  const ctxStore = requestContext.get();
-  const fromState = ctxStore?.state?.user || ctxStore?.state?.admin;
-  if (fromState?.id) return fromState.id;
-
-  const authz = ctx.request?.header?.authorization || ctx.request?.headers?.authorization;
-  if (!authz || typeof authz !== "string") return null;
-  const parts = authz.trim().split(/\s+/);
-  if (parts[0].toLowerCase() !== "bearer" || !parts[1]) return null;
-
-  const token = parts[1];
-  const manager = strapi.sessionManager;
-  if (!manager) return null;
-  try {
-    const result = manager("admin").validateAccessToken(token);
-    if (!result?.isValid || !result?.payload?.userId) return null;
-    const raw = result.payload.userId;
-    const num = Number(raw);
-    return Number.isFinite(num) && String(num) === String(raw) ? num : raw;
-  } catch {
-    return null;
-  }
-}
+const { getAdminUserIdFromContext, resolveEditorTenantForUser } = require("../utils/tenant-resolution");
 
 /**
  * Mutate the query object so content-manager relations controller sees our filters and pageSize.
@@ -69,9 +19,27 @@ function applyRelationPickerQuery(ctx, tenantId, pageSize) {
   ctx.query = q;
 }
 
+/** Content types whose relation picker is limited to the Editor's tenant. */
+const SCOPED_PICKER_TARGETS = ["api::article.article", "api::tag.tag"];
+
+/**
+ * Target of the relation behind /content-manager/relations/<model>/<field>, or null.
+ * Falls back to the field name for the "article" fields this middleware started with.
+ */
+function getRelationPickerTarget(pathSegments) {
+  const index = pathSegments.indexOf("relations");
+  if (index === -1) return null;
+  const model = decodeURIComponent(pathSegments[index + 1] || "");
+  const field = pathSegments[pathSegments.length - 1];
+  const target = strapi.contentTypes[model]?.attributes?.[field]?.target;
+  if (target) return target;
+  return field === "article" ? "api::article.article" : null;
+}
+
 /**
  * For Editor users:
- * 1) Relation picker for "article" uses strapi.db.query (not documents), so we inject tenant filter here.
+ * 1) Relation pickers for articles (e.g. Flash News "article") and tags (Article "tags")
+ *    use strapi.db.query (not documents), so we inject tenant filter here.
  * 2) Request a larger pageSize so the picker shows more than 2 items (search/pagination in UI).
  * Admin auth runs after global middlewares, so we resolve the user from the Bearer token when needed.
  */
@@ -81,13 +49,11 @@ module.exports = (_config, _opts) => {
     if (!ctx.path.startsWith("/content-manager/")) return next();
 
     const pathSegments = ctx.path.split("/").filter(Boolean);
-    const lastSegment = pathSegments[pathSegments.length - 1];
-    const isRelationsFindAvailable =
-      ctx.path.includes("/relations/") && lastSegment === "article";
+    const isRelationsFindAvailable = SCOPED_PICKER_TARGETS.includes(getRelationPickerTarget(pathSegments));
 
     if (isRelationsFindAvailable) {
-      const userId = await getAdminUserIdFromRequest(ctx);
-      const tenantId = userId != null ? await resolveEditorTenantIdFromUserId(userId) : null;
+      const userId = await getAdminUserIdFromContext(ctx);
+      const tenantId = (await resolveEditorTenantForUser(userId))?.id ?? null;
       const requested = parseInt(ctx.request?.query?.pageSize || ctx.query?.pageSize, 10);
       const pageSize = !requested || requested < 50 ? 50 : requested;
       applyRelationPickerQuery(ctx, tenantId, pageSize);
@@ -96,8 +62,8 @@ module.exports = (_config, _opts) => {
       const isArticleList =
         ctx.path.includes("api::article.article") && ctx.path.includes("/collection-types/");
       if (isArticleList) {
-        const userId = await getAdminUserIdFromRequest(ctx);
-        const tenantId = userId != null ? await resolveEditorTenantIdFromUserId(userId) : null;
+        const userId = await getAdminUserIdFromContext(ctx);
+        const tenantId = (await resolveEditorTenantForUser(userId))?.id ?? null;
         if (tenantId != null) {
           const q = ctx.request?.query || ctx.query || {};
           const requested = parseInt(q.pageSize || q["pagination[pageSize]"], 10);
@@ -1,21 +1,11 @@
  "use strict";
 
 const requestContext = require("../utils/request-context");
+const { isTenantScoped } = require("../utils/tenancy");
+const { getAdminUser } = require("../utils/tenant-resolution");
 
 const HIDDEN_FIELDS = new Set(["tenant", "views", "isFeatured"]);
 const FLASH_NEWS_ITEM_UID = "api::flash-news-item.flash-news-item";
-const TARGET_UIDS = new Set([
-  "api::article.article",
-  "api::advertisement-slot.advertisement-slot",
-  "api::flash-news-item.flash-news-item",
-  "api::directory-home.directory-home",
-  "api::bishop.bishop",
-  "api::diocese.diocese",
-  "api::parish.parish",
-  "api::priest.priest",
-  "api::directory-entry.directory-entry",
-  "api::liturgy-day.liturgy-day",
-]);
 
 function stripHiddenFromArray(arr) {
   return arr
@@ -114,16 +104,11 @@ module.exports = (_config, _opts) => {
     const user = ctxStore?.state?.user || ctxStore?.state?.admin;
     if (!user?.id) return;
 
-    const adminUser = await strapi.db.query("admin::user").findOne({
-      where: { id: user.id },
-      populate: { roles: true },
-      select: ["id"],
-    });
-    const isEditor = (adminUser?.roles || []).some((r) => r.code === "strapi-editor");
-    if (!isEditor) return;
+    const adminUser = await getAdminUser(user.id);
+    if (!adminUser?.isEditor) return;
 
     const uid = ctx.params?.contentType || ctx.params?.uid || ctx.params?.model;
-    if (uid && !TARGET_UIDS.has(uid)) return;
+    if (uid && !isTenantScoped(uid)) return;
 
     if (ctx.body) {
       hideFieldsInConfig(ctx.body);
@@ -0,0 +1,11 @@
+'use strict';
+
+/**
+ * Admin routes for Super Admins only (tenant provisioning and other whole-install
+ * operations). Use after admin::isAuthenticatedAdmin, which sets ctx.state.user
+ * with its roles.
+ */
+module.exports = (policyContext) => {
+  const roles = policyContext.state?.user?.roles || [];
+  return roles.some((role) => role.code === 'strapi-super-admin');
+};
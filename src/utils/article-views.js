@@ -0,0 +1,215 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Article view counting for POST /api/articles/:documentId/view and the most-read
+ * feed (GET /api/articles/most-read).
+ *
+ * Hits are filtered (bots, link previews, prefetches) and de-duplicated per visitor
+ * and article for VIEW_DEDUP_WINDOW_MINUTES (default 30). The visitor is a hash of IP,
+ * user agent and the `visitorId` the frontend sends (e.g. from a first-party cookie);
+ * one IP counts at most VIEW_MAX_PER_IP (default 50) views of an article per window,
+ * so made-up visitorIds cannot inflate the ranking. Counted views are buffered in
+ * memory and flushed every ARTICLE_VIEWS_FLUSH_INTERVAL_MS (default 30 s) as one
+ * increment per article and day into Article View Count (daily buckets for the
+ * most-read windows) and into article.views (all-time total), so article rows are
+ * not rewritten on every hit.
+ * De-duplication and the buffer are per process; a crash loses at most one interval.
+ */
+
+const COUNT_UID = 'api::article-view-count.article-view-count';
+const ARTICLE_UID = 'api::article.article';
+const DEFAULT_DEDUP_MINUTES = 30;
+const DEFAULT_FLUSH_INTERVAL_MS = 30 * 1000;
+const DEFAULT_MAX_PER_IP = 50;
+const MAX_DEDUP_ENTRIES = 100000;
+const BOT_PATTERN =
+  /bot|crawl|spider|slurp|scrape|preview|facebookexternalhit|whatsapp|telegram|headless|lighthouse|pingdom|uptime|monitor|curl|wget|python|java\/|go-http|axios|node-fetch|postman/i;
+
+const seen = new Map();
+const perIpCounts = new Map();
+let pending = new Map();
+let timer = null;
+
+function isBot(ctx) {
+  const header = ctx.request.header;
+  const userAgent = header['user-agent'];
+  if (!userAgent || BOT_PATTERN.test(userAgent)) return true;
+  const purpose = header['sec-purpose'] || header.purpose || header['x-purpose'] || '';
+  return /prefetch|prerender|preview/i.test(purpose);
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * The visitor: a hash of IP and user agent, plus the `visitorId` when one is sent. The
+ * id only tells apart visitors behind one address; on its own a client could send a
+ * fresh one per request and be counted every time.
+ */
+function getVisitorKey(ctx) {
+  const client = `${ctx.request.ip}|${ctx.request.header['user-agent']}`;
+  const visitorId = ctx.request.body?.visitorId;
+  if (typeof visitorId === 'string' && visitorId.trim() && visitorId.length <= 128) {
+    return hash(`${client}|${visitorId.trim()}`);
+  }
+  return hash(client);
+}
+
+function dedupMinutes() {
+  return Number(process.env.VIEW_DEDUP_WINDOW_MINUTES) || DEFAULT_DEDUP_MINUTES;
+}
+
+function maxViewsPerIp() {
+  return Number(process.env.VIEW_MAX_PER_IP) || DEFAULT_MAX_PER_IP;
+}
+
+/** Make room in a window map (values carry expiresAt), dropping expired keys first. */
+function makeRoom(map, now) {
+  if (map.size < MAX_DEDUP_ENTRIES) return;
+  for (const [key, entry] of map) {
+    if (entry.expiresAt <= now) map.delete(key);
+  }
+  if (map.size >= MAX_DEDUP_ENTRIES) map.delete(map.keys().next().value);
+}
+
+/**
+ * True the first time a visitor is seen for this article within the window, as long
+ * as the visitor's IP has not had VIEW_MAX_PER_IP views of the article counted in it.
+ */
+function isFirstView(ctx, documentId) {
+  const now = Date.now();
+  const windowMs = dedupMinutes() * 60 * 1000;
+  const key = `${getVisitorKey(ctx)}|${documentId}`;
+  if (seen.get(key)?.expiresAt > now) return false;
+
+  const ipKey = `${ctx.request.ip}|${documentId}`;
+  let perIp = perIpCounts.get(ipKey);
+  if (!perIp || perIp.expiresAt <= now) perIp = { count: 0, expiresAt: now + windowMs };
+  if (perIp.count >= maxViewsPerIp()) return false;
+  perIp.count += 1;
+  makeRoom(perIpCounts, now);
+  perIpCounts.set(ipKey, perIp);
+
+  makeRoom(seen, now);
+  seen.set(key, { expiresAt: now + windowMs });
+  return true;
+}
+
+/**
+ * Count a view of a published article (as loaded by the controller, with its tenant).
+ * Returns false when the hit was filtered as a bot or a repeat view.
+ */
+function recordView(ctx, article) {
+  if (isBot(ctx) || !isFirstView(ctx, article.documentId)) return false;
+  const day = new Date().toISOString().slice(0, 10);
+  const key = `${article.documentId}|${day}`;
+  const bucket = pending.get(key) || {
+    articleDocumentId: article.documentId,
+    tenantId: article.tenant?.id ?? null,
+    day,
+    count: 0,
+  };
+  bucket.count += 1;
+  pending.set(key, bucket);
+  return true;
+}
+
+function column(uid, attribute) {
+  return strapi.db.metadata.get(uid).attributes[attribute].columnName;
+}
+
+/**
+ * Write buffered views: one upsert per article and day, one views increment per article.
+ * The unique index on (articleDocumentId, day) keeps one row per day: when another
+ * process creates the row first, the create fails and the increment is retried.
+ */
+async function flushViews() {
+  if (pending.size === 0) return;
+  const buckets = [...pending.values()];
+  pending = new Map();
+  const knex = strapi.db.connection;
+  const countTable = strapi.db.metadata.get(COUNT_UID).tableName;
+  const totals = new Map();
+
+  for (const bucket of buckets) {
+    const increment = () =>
+      knex(countTable)
+        .where({
+          [column(COUNT_UID, 'articleDocumentId')]: bucket.articleDocumentId,
+          [column(COUNT_UID, 'day')]: bucket.day,
+        })
+        .increment(column(COUNT_UID, 'count'), bucket.count);
+    try {
+      if (!(await increment())) {
+        try {
+          await strapi.db.query(COUNT_UID).create({ data: bucket });
+        } catch (err) {
+          if (!(await increment())) throw err;
+        }
+      }
+      totals.set(bucket.articleDocumentId, (totals.get(bucket.articleDocumentId) || 0) + bucket.count);
+    } catch (err) {
+      strapi.log.warn(`Could not store ${bucket.count} view(s) of article ${bucket.articleDocumentId}: ${err.message}`);
+    }
+  }
+
+  const articleTable = strapi.db.metadata.get(ARTICLE_UID).tableName;
+  for (const [documentId, count] of totals) {
+    try {
+      // Both the draft and the published row, so the total survives the next publish.
+      await knex(articleTable)
+        .where({ document_id: documentId })
+        .increment(column(ARTICLE_UID, 'views'), count);
+    } catch (err) {
+      strapi.log.warn(`Could not update views of article ${documentId}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Most viewed articles of the last `days` days: [{ documentId, views }], highest first.
+ * tenant limits the ranking to that tenant's articles.
+ */
+async function getMostViewed({ tenant, days, limit }) {
+  const knex = strapi.db.connection;
+  const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const documentIdColumn = column(COUNT_UID, 'articleDocumentId');
+  const rows = await knex(strapi.db.metadata.get(COUNT_UID).tableName)
+    .select({ documentId: documentIdColumn })
+    .sum({ views: column(COUNT_UID, 'count') })
+    .where(column(COUNT_UID, 'day'), '>=', since)
+    .modify((query) => {
+      if (tenant?.id != null) query.where(column(COUNT_UID, 'tenantId'), tenant.id);
+    })
+    .groupBy(documentIdColumn)
+    .orderBy('views', 'desc')
+    .limit(limit);
+  return rows.map((row) => ({ documentId: row.documentId, views: Number(row.views) }));
+}
+
+function startViewFlusher() {
+  if (timer) return;
+  const interval = Number(process.env.ARTICLE_VIEWS_FLUSH_INTERVAL_MS) || DEFAULT_FLUSH_INTERVAL_MS;
+  timer = setInterval(() => {
+    flushViews().catch((err) => strapi.log.warn('Article view flush failed:', err.message));
+  }, interval);
+  timer.unref();
+}
+
+/** Stop the timer and write what is still buffered. */
+async function stopViewFlusher() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  await flushViews();
+}
+
+module.exports = {
+  recordView,
+  flushViews,
+  getMostViewed,
+  startViewFlusher,
+  stopViewFlusher,
+};
@@ -0,0 +1,114 @@
+'use strict';
+
+/**
+ * Tenant lookup for public Content API requests.
+ * The calling tenant comes from the X-Tenant-Id header (tenant.tenantId) or,
+ * when the header is absent, from the request Host matched against tenant.domain.
+ * Tenants are few and rarely change, so the lookup tables are cached briefly.
+ */
+
+const TENANT_HEADER = 'x-tenant-id';
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+
+/** "https://www.Example.org:443/news" -> "example.org" */
+function normalizeDomain(value) {
+  if (!value || typeof value !== 'string') return '';
+  return value
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/?#].*$/, '')
+    .replace(/:\d+$/, '')
+    .replace(/^www\./, '');
+}
+
+function toTenantRef(row) {
+  return {
+    id: row.id,
+    documentId: row.documentId ?? row.document_id,
+    tenantId: row.tenantId,
+    slug: row.slug,
+    name: row.name,
+    domain: row.domain,
+    urlPatterns: row.urlPatterns ?? null,
+  };
+}
+
+async function loadTenants() {
+  if (cache && cache.expiresAt > Date.now()) return cache;
+  const rows = await strapi.db.query('api::tenant.tenant').findMany({
+    select: ['id', 'documentId', 'tenantId', 'slug', 'name', 'domain', 'urlPatterns'],
+  });
+  const byTenantId = new Map();
+  const bySlug = new Map();
+  const byDomain = new Map();
+  for (const row of rows || []) {
+    const ref = toTenantRef(row);
+    if (ref.tenantId) byTenantId.set(String(ref.tenantId), ref);
+    if (ref.slug) bySlug.set(String(ref.slug), ref);
+    const domain = normalizeDomain(ref.domain);
+    if (domain && !byDomain.has(domain)) byDomain.set(domain, ref);
+  }
+  cache = { expiresAt: Date.now() + CACHE_TTL_MS, byTenantId, bySlug, byDomain };
+  return cache;
+}
+
+/** Drop cached tenants (call after creating or editing a tenant). */
+function clearTenantCache() {
+  cache = null;
+}
+
+async function findTenantByTenantId(tenantId) {
+  if (!tenantId) return null;
+  const { byTenantId } = await loadTenants();
+  return byTenantId.get(String(tenantId).trim()) ?? null;
+}
+
+/** Tenant by slug, falling back to tenantId (for tenants without a slug), as used in public URL paths. */
+async function findTenantBySlug(slug) {
+  if (!slug) return null;
+  const { bySlug, byTenantId } = await loadTenants();
+  const key = String(slug).trim();
+  return bySlug.get(key) ?? byTenantId.get(key) ?? null;
+}
+
+async function findTenantByHost(host) {
+  const domain = normalizeDomain(host);
+  if (!domain) return null;
+  const { byDomain } = await loadTenants();
+  return byDomain.get(domain) ?? null;
+}
+
+/** True when the request targets the REST Content API (/api/...). */
+function isContentApiPath(ctx) {
+  const prefix = strapi.config.get('api.rest.prefix', '/api');
+  return ctx.path === prefix || ctx.path.startsWith(`${prefix}/`);
+}
+
+/**
+ * Resolve the tenant for a request. Returns { tenant, source } where source is
+ * 'header' or 'host'; tenant is null when nothing matched. An X-Tenant-Id that
+ * matches no tenant is reported as { tenant: null, source: 'header' }.
+ */
+async function resolveRequestTenant(ctx) {
+  const headerValue = ctx.request?.header?.[TENANT_HEADER];
+  if (headerValue && String(headerValue).trim()) {
+    return { tenant: await findTenantByTenantId(headerValue), source: 'header' };
+  }
+  const host = ctx.request?.hostname || ctx.request?.host || ctx.request?.header?.host;
+  const tenant = await findTenantByHost(host);
+  return { tenant, source: tenant ? 'host' : null };
+}
+
+module.exports = {
+  TENANT_HEADER,
+  normalizeDomain,
+  clearTenantCache,
+  findTenantByTenantId,
+  findTenantBySlug,
+  findTenantByHost,
+  isContentApiPath,
+  resolveRequestTenant,
+};
@@ -0,0 +1,138 @@
+'use strict';
+
+/**
+ * RSS 2.0, Atom 1.0 and JSON Feed 1.1 output for GET /feeds/:tenantSlug/*
+ * (src/api/feed). The controller loads the entries and maps them to one neutral
+ * shape; this module only renders it:
+ *
+ *   feed: { id, title, description, siteUrl, feedUrl, updated, items }
+ *   item: { id, url, title, summary, published, updated, authors: [name],
+ *           categories: [name], enclosure: { url, type, length } | null }
+ *
+ * Dates are Date objects; ids are stable tag: URIs, so renaming a slug does not
+ * make feed readers show an article again.
+ */
+
+const FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8',
+};
+
+function escapeXml(value) {
+  return String(value ?? '').replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/** Element with escaped text, or nothing when the value is empty. */
+function element(name, value, attributes = '') {
+  if (value == null || value === '') return '';
+  return `<${name}${attributes}>${escapeXml(value)}</${name}>`;
+}
+
+/**
+ * tag:<domain>,2024:<kind>:<documentId> (RFC 4151). The date only has to be one on
+ * which the domain was held; it must never change, or every item would look new.
+ */
+function tagUri(domain, kind, documentId) {
+  return `tag:${domain},2024:${kind}:${documentId}`;
+}
+
+function renderRss(feed) {
+  const items = feed.items.map((item) =>
+    [
+      '<item>',
+      element('title', item.title),
+      element('link', item.url),
+      element('guid', item.id, ' isPermaLink="false"'),
+      element('pubDate', item.published.toUTCString()),
+      ...item.authors.map((name) => element('dc:creator', name)),
+      ...item.categories.map((name) => element('category', name)),
+      element('description', item.summary),
+      item.enclosure
+        ? `<enclosure url="${escapeXml(item.enclosure.url)}" length="${item.enclosure.length || 0}" type="${escapeXml(item.enclosure.type)}"/>`
+        : '',
+      '</item>',
+    ].join('')
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '<channel>',
+    element('title', feed.title),
+    element('link', feed.siteUrl),
+    element('description', feed.description || feed.title),
+    `<atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    element('lastBuildDate', feed.updated.toUTCString()),
+    ...items,
+    '</channel>',
+    '</rss>',
+  ].join('\n');
+}
+
+function renderAtom(feed) {
+  const entries = feed.items.map((item) =>
+    [
+      '<entry>',
+      element('id', item.id),
+      element('title', item.title),
+      item.url ? `<link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>` : '',
+      element('published', item.published.toISOString()),
+      element('updated', item.updated.toISOString()),
+      ...item.authors.map((name) => `<author>${element('name', name)}</author>`),
+      ...item.categories.map((name) => `<category term="${escapeXml(name)}"/>`),
+      element('summary', item.summary),
+      item.enclosure
+        ? `<link rel="enclosure" type="${escapeXml(item.enclosure.type)}" length="${item.enclosure.length || 0}" href="${escapeXml(item.enclosure.url)}"/>`
+        : '',
+      '</entry>',
+    ].join('')
+  );
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    element('id', feed.id),
+    element('title', feed.title),
+    element('subtitle', feed.description),
+    element('updated', feed.updated.toISOString()),
+    `<link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+    feed.siteUrl ? `<link rel="alternate" type="text/html" href="${escapeXml(feed.siteUrl)}"/>` : '',
+    // Atom requires an author on the feed or on every entry.
+    `<author>${element('name', feed.title)}</author>`,
+    ...entries,
+    '</feed>',
+  ].join('\n');
+}
+
+function renderJson(feed) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.siteUrl || undefined,
+    feed_url: feed.feedUrl,
+    description: feed.description || undefined,
+    items: feed.items.map((item) => ({
+      id: item.id,
+      url: item.url || undefined,
+      title: item.title,
+      content_text: item.summary || item.title,
+      summary: item.summary || undefined,
+      image: item.enclosure?.type.startsWith('image/') ? item.enclosure.url : undefined,
+      date_published: item.published.toISOString(),
+      date_modified: item.updated.toISOString(),
+      authors: item.authors.length ? item.authors.map((name) => ({ name })) : undefined,
+      tags: item.categories.length ? item.categories : undefined,
+      attachments: item.enclosure
+        ? [{ url: item.enclosure.url, mime_type: item.enclosure.type, size_in_bytes: item.enclosure.length || undefined }]
+        : undefined,
+    })),
+  });
+}
+
+const RENDERERS = { rss: renderRss, atom: renderAtom, json: renderJson };
+
+/** { body, contentType } for format rss | atom | json. */
+function renderFeed(format, feed) {
+  return { body: RENDERERS[format](feed), contentType: FORMATS[format] };
+}
+
+module.exports = { FEED_FORMATS: Object.keys(FORMATS), tagUri, renderFeed };
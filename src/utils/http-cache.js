@@ -0,0 +1,23 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * Send a generated public document (feed, sitemap, robots.txt) with Cache-Control,
+ * Last-Modified and an ETag of the body; conditional requests that still match
+ * get 304 without a body.
+ */
+function sendCacheable(ctx, body, { type, lastModified, maxAge }) {
+  ctx.status = 200;
+  ctx.type = type;
+  ctx.set('Cache-Control', `public, max-age=${maxAge}`);
+  if (lastModified) ctx.lastModified = lastModified;
+  ctx.etag = crypto.createHash('sha1').update(body).digest('base64url');
+  if (ctx.fresh) {
+    ctx.status = 304;
+    return;
+  }
+  ctx.body = body;
+}
+
+module.exports = { sendCacheable };
@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * Plain text from rich text values, for search indexing, feed summaries and article
+ * reading stats. Good enough for markdown as written in the editor; not a full
+ * markdown parser.
+ */
+
+/** Markdown (richtext fields) → text: images and links keep their text, HTML tags and markup dropped. */
+function markdownToText(markdown) {
+  if (markdown == null) return '';
+  return String(markdown)
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/[#*_>`~|]+/g, ' ');
+}
+
+/** Text of a Strapi blocks (rich text JSON) value. */
+function blocksToText(nodes) {
+  if (!Array.isArray(nodes)) return '';
+  return nodes.map((node) => (typeof node.text === 'string' ? node.text : blocksToText(node.children))).join('\n');
+}
+
+/** Whitespace collapsed, cut at a word boundary to at most maxLength characters (with …). */
+function truncateText(text, maxLength) {
+  const clean = String(text ?? '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= maxLength) return clean;
+  const cut = clean.slice(0, maxLength - 1);
+  const space = cut.lastIndexOf(' ');
+  return `${(space > maxLength / 2 ? cut.slice(0, space) : cut).replace(/[\s.,;:!?-]+$/, '')}…`;
+}
+
+/**
+ * Number of words: runs of letters, combining marks and digits. Zero-width joiners
+ * are dropped first so Malayalam words written with ZWJ / ZWNJ count once, and
+ * apostrophes inside a word (don't) do not split it.
+ */
+function countWords(text) {
+  const clean = String(text ?? '')
+    .normalize('NFC')
+    .replace(/[\u200B-\u200D\u2060\uFEFF]/g, '');
+  return (clean.match(/[\p{L}\p{M}\p{N}]+(?:['\u2019][\p{L}\p{M}\p{N}]+)*/gu) || []).length;
+}
+
+module.exports = { markdownToText, blocksToText, truncateText, countWords };
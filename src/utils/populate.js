@@ -0,0 +1,52 @@
+'use strict';
+
+/**
+ * Populate object covering the media, components, dynamic zones and relations of a
+ * content type, for snapshots of whole entries (tenant archive, revision history,
+ * review fingerprints, search index). Components and dynamic zones are populated
+ * down to any depth; relations only load their documentId.
+ *
+ * Options:
+ * - include(name, attribute): false leaves the attribute out (at every depth).
+ * - media: populate value of media fields; false leaves them out.
+ * - relations: true, false or a predicate (name, attribute) picking the relations to load.
+ * - componentRelations: the same for relations inside components (defaults to relations).
+ */
+
+function componentAttributes(component) {
+  return strapi.components[component]?.attributes ?? {};
+}
+
+function nestedPopulate(attributes, options) {
+  const nested = buildPopulate(attributes, { ...options, relations: options.componentRelations });
+  return Object.keys(nested).length > 0 ? { populate: nested } : true;
+}
+
+function buildPopulate(attributes, options = {}) {
+  const { include = () => true, media = true, relations = true } = options;
+  const resolved = { include, media, relations, componentRelations: options.componentRelations ?? relations };
+  const populate = {};
+  for (const [name, attribute] of Object.entries(attributes)) {
+    if (!include(name, attribute)) continue;
+    if (attribute.type === 'media') {
+      if (media) populate[name] = media;
+    } else if (attribute.type === 'relation') {
+      if (typeof relations === 'function' ? relations(name, attribute) : relations) {
+        populate[name] = { fields: ['documentId'] };
+      }
+    } else if (attribute.type === 'component') {
+      populate[name] = nestedPopulate(componentAttributes(attribute.component), resolved);
+    } else if (attribute.type === 'dynamiczone') {
+      const on = {};
+      for (const component of attribute.components) {
+        on[component] = nestedPopulate(componentAttributes(component), resolved);
+      }
+      populate[name] = { on };
+    }
+  }
+  return populate;
+}
+
+module.exports = {
+  buildPopulate,
+};
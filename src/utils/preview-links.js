@@ -0,0 +1,162 @@
+'use strict';
+
+const crypto = require('crypto');
+const { errors } = require('@strapi/utils');
+const { getRelationId } = require('./tenancy');
+const { getPreviewUrl } = require('./public-urls');
+
+/**
+ * Signed draft preview links for articles and flash news items, so an entry can be
+ * shown to someone outside the admin panel (a priest or bishop approving it) before
+ * it is published.
+ *
+ * - The Preview panel of the edit view creates a link (POST /previews/:uid/:documentId)
+ *   valid for PREVIEW_LINK_HOURS (default 72; 1 to 720 per link), lists the active
+ *   ones and revokes them. Only admin users who can read the draft can do this; the
+ *   Document Service applies the Editor's tenant scoping.
+ * - Each link is a Preview Link row; its token is "<linkId>.<signature>", an HMAC of
+ *   the row (entry, tenant, expiry) with PREVIEW_SECRET (default: the admin JWT
+ *   secret). Revoking sets revokedAt, so a token stops working before it expires.
+ * - The frontend page (tenant.previewUrl, see public-urls.js) passes the token to
+ *   GET /api/previews/:token, which returns the current draft to the entry's tenant only.
+ */
+
+const PREVIEW_LINK_UID = 'api::preview-link.preview-link';
+const PREVIEW_UIDS = ['api::article.article', 'api::flash-news-item.flash-news-item'];
+const READ_ACTION = 'plugin::content-manager.explorer.read';
+const DEFAULT_HOURS = 72;
+const MAX_HOURS = 720;
+const TOKEN_PATTERN = /^([a-f0-9]{32})\.([A-Za-z0-9_-]{43})$/;
+
+function isPreviewType(uid) {
+  return PREVIEW_UIDS.includes(uid) && Boolean(strapi.contentTypes[uid]);
+}
+
+function getSecret() {
+  const secret = process.env.PREVIEW_SECRET || strapi.config.get('admin.auth.secret');
+  if (!secret) throw new errors.ApplicationError('Set PREVIEW_SECRET to create preview links.');
+  return secret;
+}
+
+function defaultHours() {
+  const configured = Number(process.env.PREVIEW_LINK_HOURS);
+  return configured >= 1 && configured <= MAX_HOURS ? configured : DEFAULT_HOURS;
+}
+
+function sign(link) {
+  const payload = [link.linkId, link.contentType, link.entryDocumentId, link.tenantId ?? '', new Date(link.expiresAt).toISOString()];
+  return crypto.createHmac('sha256', getSecret()).update(payload.join('\n')).digest('base64url');
+}
+
+function isActive(link, now = new Date()) {
+  return !link.revokedAt && new Date(link.expiresAt) > now;
+}
+
+/* ----- Admin: create, list, revoke ----- */
+
+/** The draft's slug and tenant, after checking the admin user may read it. */
+async function loadDraftForAdmin(uid, documentId, ability) {
+  if (!isPreviewType(uid)) throw new errors.NotFoundError('Previews are available for articles and flash news items.');
+  if (!ability?.can(READ_ACTION, uid)) throw new errors.PolicyError('You may not read this entry.');
+  // The populated tenant lets the Editor scoping middleware refuse another tenant's entry.
+  const entry = await strapi.documents(uid).findOne({
+    documentId,
+    status: 'draft',
+    fields: ['documentId'],
+    populate: { tenant: { fields: ['documentId'] } },
+  });
+  const hasSlug = Boolean(strapi.contentTypes[uid].attributes.slug);
+  const draft = entry
+    ? await strapi.db.query(uid).findOne({
+        where: { documentId, publishedAt: { $null: true } },
+        select: ['documentId', ...(hasSlug ? ['slug'] : [])],
+        populate: { tenant: { select: ['id', 'domain', 'previewUrl'] } },
+      })
+    : null;
+  if (!draft) throw new errors.NotFoundError('Entry not found.');
+  return draft;
+}
+
+function toLinkResult(uid, draft, link) {
+  const token = `${link.linkId}.${sign(link)}`;
+  return {
+    id: link.id,
+    token,
+    url: getPreviewUrl(draft.tenant, {
+      type: strapi.contentTypes[uid].info.singularName,
+      documentId: draft.documentId,
+      slug: draft.slug,
+      token,
+    }),
+    expiresAt: link.expiresAt,
+    createdBy: link.createdByEmail ?? null,
+    createdAt: link.createdAt,
+  };
+}
+
+/** Active (not expired, not revoked) links of the entry, newest first. */
+async function listPreviewLinks(uid, documentId, { ability }) {
+  const draft = await loadDraftForAdmin(uid, documentId, ability);
+  const links = await strapi.db.query(PREVIEW_LINK_UID).findMany({
+    where: { contentType: uid, entryDocumentId: documentId, revokedAt: { $null: true }, expiresAt: { $gt: new Date() } },
+    orderBy: { id: 'desc' },
+  });
+  return links.map((link) => toLinkResult(uid, draft, link));
+}
+
+/** New link valid for hours (default PREVIEW_LINK_HOURS). */
+async function createPreviewLink(uid, documentId, { user, ability, hours }) {
+  const draft = await loadDraftForAdmin(uid, documentId, ability);
+  const validity = hours == null || hours === '' ? defaultHours() : Number(hours);
+  if (!Number.isInteger(validity) || validity < 1 || validity > MAX_HOURS) {
+    throw new errors.ValidationError(`hours must be a whole number between 1 and ${MAX_HOURS}.`);
+  }
+  const link = await strapi.db.query(PREVIEW_LINK_UID).create({
+    data: {
+      linkId: crypto.randomBytes(16).toString('hex'),
+      contentType: uid,
+      entryDocumentId: documentId,
+      tenantId: getRelationId(draft.tenant) ?? null,
+      expiresAt: new Date(Date.now() + validity * 3600 * 1000),
+      createdByEmail: user?.email ?? null,
+    },
+  });
+  return toLinkResult(uid, draft, link);
+}
+
+/** Revoke one link of the entry (id), or all of them when id is omitted. Returns the number revoked. */
+async function revokePreviewLinks(uid, documentId, { ability, id }) {
+  await loadDraftForAdmin(uid, documentId, ability);
+  const where = { contentType: uid, entryDocumentId: documentId, revokedAt: { $null: true } };
+  if (id != null) where.id = Number(id);
+  const { count } = await strapi.db.query(PREVIEW_LINK_UID).updateMany({ where, data: { revokedAt: new Date() } });
+  if (id != null && count === 0) throw new errors.NotFoundError('Preview link not found.');
+  return count;
+}
+
+/* ----- Content API ----- */
+
+/**
+ * The Preview Link of a token when its signature is valid, it is neither expired nor
+ * revoked and the entry belongs to the calling tenant; null otherwise.
+ */
+async function resolvePreviewToken(token, tenant) {
+  const match = TOKEN_PATTERN.exec(String(token ?? ''));
+  if (!match) return null;
+  const link = await strapi.db.query(PREVIEW_LINK_UID).findOne({ where: { linkId: match[1] } });
+  if (!link || !isActive(link) || !isPreviewType(link.contentType)) return null;
+
+  const expected = Buffer.from(sign(link));
+  const given = Buffer.from(match[2]);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  if (link.tenantId != null && tenant?.id !== link.tenantId) return null;
+  return link;
+}
+
+module.exports = {
+  PREVIEW_UIDS,
+  listPreviewLinks,
+  createPreviewLink,
+  revokePreviewLinks,
+  resolvePreviewToken,
+};
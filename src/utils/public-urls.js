@@ -0,0 +1,135 @@
+'use strict';
+
+const { errors } = require('@strapi/utils');
+const { normalizeDomain } = require('./content-api-tenant');
+
+/**
+ * Absolute URLs of the public (frontend) sites, for feeds, sitemaps and other output
+ * read outside the frontend. Each tenant's site is https://<tenant.domain>; the page
+ * path of each type comes from the tenant's urlPatterns, e.g.
+ *   { "article": "/news/{slug}", "priest": "/directory/priests/{documentId}" }
+ * falling back to DEFAULT_PATTERNS. {slug} and {documentId} are replaced; a type set
+ * to null has no public page (left out of sitemaps).
+ */
+
+const DEFAULT_PATTERNS = {
+  article: '/articles/{slug}',
+  category: '/categories/{slug}',
+  tag: '/tags/{slug}',
+  diocese: '/dioceses/{slug}',
+  parish: '/parishes/{slug}',
+  priest: '/priests/{slug}',
+  bishop: '/bishops/{slug}',
+  'directory-entry': '/directory/{slug}',
+};
+
+/** Frontend draft preview page when the tenant has no previewUrl (src/utils/preview-links.js). */
+const DEFAULT_PREVIEW_URL = 'https://{domain}/preview?type={type}&documentId={documentId}&token={token}';
+
+/** Throw a ValidationError unless value is a valid urlPatterns object (or empty). */
+function validateUrlPatterns(value) {
+  if (value == null) return;
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new errors.ValidationError('URL patterns must be an object such as { "article": "/news/{slug}" }.');
+  }
+  for (const [type, pattern] of Object.entries(value)) {
+    if (!(type in DEFAULT_PATTERNS)) {
+      throw new errors.ValidationError(
+        `Unknown type "${type}" in URL patterns. Use: ${Object.keys(DEFAULT_PATTERNS).join(', ')}.`
+      );
+    }
+    if (pattern === null) continue;
+    if (typeof pattern !== 'string' || !pattern.startsWith('/') || !/\{(slug|documentId)\}/.test(pattern)) {
+      throw new errors.ValidationError(
+        `URL pattern for ${type} must start with / and contain {slug} or {documentId}, or be null.`
+      );
+    }
+  }
+}
+
+/** Throw a ValidationError unless value is an http(s) preview URL template with {token} (or empty). */
+function validatePreviewUrl(value) {
+  if (value == null || value === '') return;
+  if (typeof value !== 'string' || !/^https?:\/\/\S+$/i.test(value) || !value.includes('{token}')) {
+    throw new errors.ValidationError(
+      'Preview URL must be an http(s) URL containing {token}, e.g. https://{domain}/preview?token={token}.'
+    );
+  }
+}
+
+/** https://<domain> of the tenant's site, or null when the tenant has no domain. */
+function getSiteUrl(tenant) {
+  const domain = normalizeDomain(tenant?.domain);
+  return domain ? `https://${domain}` : null;
+}
+
+/** The tenant's path pattern for a type, or null when the type has no public page. */
+function getUrlPattern(tenant, type) {
+  const custom = tenant?.urlPatterns;
+  if (custom && typeof custom === 'object' && type in custom) return custom[type] || null;
+  return DEFAULT_PATTERNS[type] ?? null;
+}
+
+/** Path of an entry's page on the public site (type: article, category, parish, ...), or null. */
+function getEntryPath(tenant, type, entry) {
+  const pattern = getUrlPattern(tenant, type);
+  if (!pattern) return null;
+  let missing = false;
+  const path = pattern.replace(/\{(slug|documentId)\}/g, (_, key) => {
+    if (!entry?.[key]) missing = true;
+    return encodeURIComponent(entry?.[key] ?? '');
+  });
+  // An entry without the value the pattern needs (e.g. no slug) has no page.
+  return missing ? null : path;
+}
+
+/** Absolute URL of an entry's page, or null. */
+function getEntryUrl(tenant, type, entry) {
+  const site = getSiteUrl(tenant);
+  const path = site ? getEntryPath(tenant, type, entry) : null;
+  return path ? site + path : null;
+}
+
+/**
+ * Frontend URL that previews a draft: the tenant's previewUrl (or DEFAULT_PREVIEW_URL)
+ * with {domain}, {type}, {documentId}, {slug} and {token} filled in. null without a domain.
+ */
+function getPreviewUrl(tenant, { type, documentId, slug, token }) {
+  const domain = normalizeDomain(tenant?.domain);
+  if (!domain) return null;
+  const values = { domain, type, documentId, slug: slug ?? '', token };
+  return (tenant.previewUrl || DEFAULT_PREVIEW_URL).replace(/\{(domain|type|documentId|slug|token)\}/g, (_, key) =>
+    key === 'domain' ? domain : encodeURIComponent(values[key] ?? '')
+  );
+}
+
+/** This Strapi's public origin: server.url, or the request's origin when that is not set. */
+function getServerUrl(origin) {
+  const url = strapi.config.get('server.url');
+  return /^https?:\/\//i.test(url || '') ? url.replace(/\/$/, '') : origin || '';
+}
+
+/**
+ * Absolute URL of an uploaded file. Cloud providers (S3) already store absolute
+ * URLs; local uploads (/uploads/...) are served by Strapi itself.
+ */
+function getMediaUrl(url, origin) {
+  if (!url) return null;
+  if (/^https?:\/\//i.test(url)) return url;
+  const base = getServerUrl(origin);
+  return /^https?:\/\//i.test(base) ? new URL(url, base).href : url;
+}
+
+module.exports = {
+  DEFAULT_PATTERNS,
+  DEFAULT_PREVIEW_URL,
+  validateUrlPatterns,
+  validatePreviewUrl,
+  getSiteUrl,
+  getUrlPattern,
+  getEntryPath,
+  getEntryUrl,
+  getPreviewUrl,
+  getServerUrl,
+  getMediaUrl,
+};
@@ -0,0 +1,169 @@
+'use strict';
+
+const { errors } = require('@strapi/utils');
+const requestContext = require('./request-context');
+const { hasReviewWorkflow, recordScheduleBlocked } = require('./review-workflow');
+
+/**
+ * Scheduled publish / unpublish for Draft & Publish types that have the
+ * scheduledPublishAt / scheduledUnpublishAt fields (Article, Flash News Item).
+ *
+ * A timer inside the Strapi process checks every minute (PUBLISH_SCHEDULER_INTERVAL_MS)
+ * for due entries and publishes / unpublishes them through the Document Service, so
+ * the publish middlewares run as for a manual publish (tenant link copied to the
+ * published row, published date refreshed). Each due entry is claimed by clearing its
+ * schedule first, so several Strapi instances never publish the same entry twice; if
+ * the publish fails the schedule is restored and retried on the next run.
+ * Due entries that still need approval keep their schedule; each gets a `blocked`
+ * Review Event and a warning in the log, and is published on the first run after it
+ * is approved.
+ *
+ * The timer runs in the server process only: bootstrap starts it once the HTTP server
+ * listens, so scripts that load Strapi (provision-tenant.js, import-tenant.js, …) never
+ * publish. Set DISABLE_PUBLISH_SCHEDULER=1 to turn it off in a server as well.
+ */
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const APPROVED_STATUSES = ['approved', 'published'];
+
+let timer = null;
+let running = false;
+
+function getScheduledUids() {
+  return Object.keys(strapi.contentTypes).filter((uid) => {
+    const contentType = strapi.contentTypes[uid];
+    return contentType.options?.draftAndPublish && contentType.attributes?.scheduledPublishAt;
+  });
+}
+
+/** Clear the schedule on every row of the document; false when another run got there first. */
+async function claim(uid, documentId, field, now) {
+  const { count } = await strapi.db.query(uid).updateMany({
+    where: { documentId, [field]: { $notNull: true, $lte: now } },
+    data: { [field]: null },
+  });
+  return count > 0;
+}
+
+/** Due entries that are not approved yet: note each in the Review panel and the log. */
+async function reportBlocked(uid, now) {
+  const blocked = await strapi.documents(uid).findMany({
+    status: 'draft',
+    filters: {
+      scheduledPublishAt: { $lte: now },
+      $or: [{ reviewStatus: { $null: true } }, { reviewStatus: { $notIn: APPROVED_STATUSES } }],
+    },
+    fields: ['documentId', 'scheduledPublishAt'],
+  });
+  for (const entry of blocked) {
+    const reviewStatus = await recordScheduleBlocked(uid, entry.documentId, entry.scheduledPublishAt);
+    if (reviewStatus) {
+      strapi.log.warn(`Scheduled publish of ${uid} ${entry.documentId} is waiting for approval (review status: ${reviewStatus})`);
+    }
+  }
+  return blocked.length;
+}
+
+/**
+ * Schedules are read from the draft: editors set them there, also on already published entries.
+ * Types with the review workflow are only published once approved (see review-workflow.js).
+ */
+async function runDue(uid, field, action, now) {
+  const filters = { [field]: { $lte: now } };
+  if (action === 'publish' && hasReviewWorkflow(uid)) {
+    filters.reviewStatus = { $in: APPROVED_STATUSES };
+  }
+  const due = await strapi.documents(uid).findMany({
+    status: 'draft',
+    filters,
+    fields: ['documentId', field],
+  });
+  let done = 0;
+  for (const entry of due) {
+    if (!(await claim(uid, entry.documentId, field, now))) continue;
+    if (action === 'unpublish') {
+      const published = await strapi.documents(uid).findOne({
+        documentId: entry.documentId,
+        status: 'published',
+        fields: ['documentId'],
+      });
+      if (!published) continue;
+    }
+    try {
+      await strapi.documents(uid)[action]({ documentId: entry.documentId });
+      strapi.log.info(`Scheduled ${action}: ${uid} ${entry.documentId}`);
+      done += 1;
+    } catch (err) {
+      strapi.log.warn(`Scheduled ${action} failed for ${uid} ${entry.documentId}: ${err.message}`);
+      await strapi.db.query(uid).updateMany({
+        where: { documentId: entry.documentId },
+        data: { [field]: entry[field] },
+      });
+    }
+  }
+  return done;
+}
+
+/**
+ * Publish and unpublish everything due at `now`. Returns { published, unpublished, blocked },
+ * blocked counting due entries that wait for approval.
+ */
+async function runScheduledPublishing(now = new Date()) {
+  const result = { published: 0, unpublished: 0, blocked: 0 };
+  await requestContext.run(undefined, async () => {
+    for (const uid of getScheduledUids()) {
+      result.published += await runDue(uid, 'scheduledPublishAt', 'publish', now);
+      if (hasReviewWorkflow(uid)) result.blocked += await reportBlocked(uid, now);
+      if (strapi.contentTypes[uid].attributes.scheduledUnpublishAt) {
+        result.unpublished += await runDue(uid, 'scheduledUnpublishAt', 'unpublish', now);
+      }
+    }
+  });
+  return result;
+}
+
+function startPublishScheduler() {
+  if (timer || process.env.DISABLE_PUBLISH_SCHEDULER === '1' || process.env.DISABLE_PUBLISH_SCHEDULER === 'true') {
+    return;
+  }
+  const interval = Number(process.env.PUBLISH_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runScheduledPublishing();
+    } catch (err) {
+      strapi.log.warn('Publish scheduler run failed:', err.message);
+    } finally {
+      running = false;
+    }
+  }, interval);
+  timer.unref();
+}
+
+function stopPublishScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+/** Reject an unpublish time that is not after the publish time. */
+function validateSchedule(event) {
+  const data = event.params?.data;
+  if (!data?.scheduledPublishAt || !data?.scheduledUnpublishAt) return;
+  if (new Date(data.scheduledUnpublishAt) <= new Date(data.scheduledPublishAt)) {
+    throw new errors.ValidationError('Scheduled unpublish time must be after the scheduled publish time.');
+  }
+}
+
+function registerScheduleValidation() {
+  const models = getScheduledUids();
+  if (models.length === 0) return;
+  strapi.db.lifecycles.subscribe({ models, beforeCreate: validateSchedule, beforeUpdate: validateSchedule });
+}
+
+module.exports = {
+  runScheduledPublishing,
+  startPublishScheduler,
+  stopPublishScheduler,
+  registerScheduleValidation,
+};
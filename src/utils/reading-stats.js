@@ -0,0 +1,81 @@
+'use strict';
+
+const { markdownToText, countWords, truncateText } = require('./plain-text');
+
+/**
+ * Reading stats stored on each article row and returned by the Content API:
+ * wordCount, readingTimeMinutes and a plain-text excerpt. They are computed from
+ * description plus the text of the Rich text and Quote blocks, in that order.
+ *
+ * The article's db lifecycles (src/api/article/content-types/article/lifecycles.js)
+ * recompute them after a create and after an update that writes description or
+ * blocks; components are only stored by then. backfillReadingStats() fills rows
+ * saved before the fields existed (bootstrap).
+ */
+
+const ARTICLE_UID = 'api::article.article';
+const WORDS_PER_MINUTE = 200;
+const EXCERPT_LENGTH = 300;
+const BACKFILL_BATCH = 100;
+const STAT_FIELDS = ['wordCount', 'readingTimeMinutes', 'excerpt'];
+
+/** Text of the blocks that hold prose; media and sliders have none. */
+function blockText(block) {
+  switch (block?.__component) {
+    case 'shared.rich-text':
+      return markdownToText(block.body);
+    case 'shared.quote':
+      return [block.body, block.title].filter(Boolean).join('\n');
+    default:
+      return '';
+  }
+}
+
+/** { wordCount, readingTimeMinutes, excerpt } of an article's description and blocks. */
+function computeReadingStats({ description, blocks } = {}) {
+  const text = [markdownToText(description), ...(Array.isArray(blocks) ? blocks.map(blockText) : [])].join('\n');
+  const wordCount = countWords(text);
+  return {
+    wordCount,
+    readingTimeMinutes: wordCount > 0 ? Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE)) : 0,
+    excerpt: truncateText(text, EXCERPT_LENGTH) || null,
+  };
+}
+
+/** Store the stats of one row when they changed. updateMany skips the lifecycles that call this. */
+async function updateReadingStats(id) {
+  const query = strapi.db.query(ARTICLE_UID);
+  const row = await query.findOne({ where: { id }, select: ['id', 'description', ...STAT_FIELDS], populate: { blocks: true } });
+  if (!row) return false;
+  const stats = computeReadingStats(row);
+  if (STAT_FIELDS.every((field) => (row[field] ?? null) === stats[field])) return false;
+  await query.updateMany({ where: { id }, data: stats });
+  return true;
+}
+
+/** Compute the stats of articles that have none yet. Returns the number of rows updated. */
+async function backfillReadingStats() {
+  const query = strapi.db.query(ARTICLE_UID);
+  let updated = 0;
+  let lastId = 0;
+  for (;;) {
+    const rows = await query.findMany({
+      where: { wordCount: { $null: true }, id: { $gt: lastId } },
+      select: ['id'],
+      orderBy: { id: 'asc' },
+      limit: BACKFILL_BATCH,
+    });
+    if (rows.length === 0) break;
+    for (const row of rows) {
+      if (await updateReadingStats(row.id)) updated += 1;
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+  return updated;
+}
+
+module.exports = {
+  computeReadingStats,
+  updateReadingStats,
+  backfillReadingStats,
+};
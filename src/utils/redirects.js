@@ -0,0 +1,266 @@
+'use strict';
+
+const { errors } = require('@strapi/utils');
+const { getRelationId, isTenantScoped, allowsSharedEntries, tenantFilter } = require('./tenancy');
+const { isTypeAllowed } = require('./tenant-tokens');
+const { SLUG_FIELD, hasTenantSlugs } = require('./tenant-slugs');
+const { DEFAULT_PATTERNS, getSiteUrl, getUrlPattern, getEntryPath } = require('./public-urls');
+
+/**
+ * Slug history and redirect lookup for the public sites.
+ *
+ * Whenever a slug (uid field, or the per-tenant slug) of a type with public pages (articles, categories and
+ * the directory types, see DEFAULT_PATTERNS in public-urls.js) changes through the
+ * Document Service — an editor's save, a publish, the bulk slug fixer's PUTs — the
+ * old value is stored as a Slug History row for the entry. A slug that comes back
+ * into use by the same entry is dropped from its history again.
+ *
+ * resolvePath() answers GET /api/redirects/resolve?path= for the frontend's
+ * not-found handling. In order:
+ *   1. a manual Redirect of the tenant whose fromPath matches (Content Manager);
+ *   2. a published entry of the tenant currently at that path (canonical, no redirect);
+ *   3. an entry that had that slug before, redirected to its current path.
+ * Paths are matched against the tenant's urlPatterns.
+ */
+
+const SLUG_HISTORY_UID = 'api::slug-history.slug-history';
+const REDIRECT_UID = 'api::redirect.redirect';
+const TRACKED_ACTIONS = ['update', 'publish', 'discardDraft'];
+
+/** type (article, parish, ...) → uid, for the public page types that exist here. */
+function getPageTypes() {
+  return Object.keys(DEFAULT_PATTERNS)
+    .map((type) => [type, `api::${type}.${type}`])
+    .filter(([, uid]) => strapi.contentTypes[uid]);
+}
+
+/** uid fields, plus the per-tenant slug field (a plain string, src/utils/tenant-slugs.js). */
+function getUidFields(uid) {
+  const attributes = strapi.contentTypes[uid]?.attributes ?? {};
+  return Object.keys(attributes).filter(
+    (name) => attributes[name].type === 'uid' || (name === SLUG_FIELD && hasTenantSlugs(uid))
+  );
+}
+
+function hasSlugHistory(uid) {
+  return getPageTypes().some(([, pageUid]) => pageUid === uid) && getUidFields(uid).length > 0;
+}
+
+/** "/news/a/?x=1#top", "https://site/news/a" → "/news/a" (decoded, no trailing slash). */
+function normalizePath(value) {
+  let path = String(value ?? '').trim();
+  if (/^https?:\/\//i.test(path)) {
+    try {
+      path = new URL(path).pathname;
+    } catch (_) {
+      return null;
+    }
+  }
+  path = path.replace(/[?#].*$/, '');
+  try {
+    path = decodeURIComponent(path);
+  } catch (_) {
+    // Keep malformed escapes as they are.
+  }
+  path = `/${path}`.replace(/\/{2,}/g, '/');
+  return path.length > 1 ? path.replace(/\/+$/, '') : path;
+}
+
+/* ----- Recording ----- */
+
+/** Current uid values of all rows (draft and published) of a document, and its tenant id. */
+async function loadSlugs(uid, documentId, fields) {
+  const populate = isTenantScoped(uid) ? { tenant: { select: ['id'] } } : undefined;
+  const rows = await strapi.db.query(uid).findMany({ where: { documentId }, select: fields, populate });
+  const values = new Set();
+  let tenantId = null;
+  for (const row of rows) {
+    for (const field of fields) {
+      if (row[field]) values.add(`${field}\u0000${row[field]}`);
+    }
+    tenantId = tenantId ?? getRelationId(row.tenant) ?? null;
+  }
+  return { values, tenantId };
+}
+
+async function recordSlugChanges(uid, documentId, before) {
+  const after = await loadSlugs(uid, documentId, getUidFields(uid));
+  const history = strapi.db.query(SLUG_HISTORY_UID);
+  for (const key of before.values) {
+    if (after.values.has(key)) continue;
+    const [field, oldSlug] = key.split('\u0000');
+    const where = { contentType: uid, entryDocumentId: documentId, field, oldSlug };
+    if (await history.findOne({ where, select: ['id'] })) continue;
+    await history.create({ data: { ...where, tenantId: after.tenantId ?? before.tenantId } });
+  }
+  for (const key of after.values) {
+    const [field, slug] = key.split('\u0000');
+    await history.deleteMany({ where: { contentType: uid, entryDocumentId: documentId, field, oldSlug: slug } });
+  }
+}
+
+/** Document Service middleware: records old slugs on change, drops the history of deleted entries. */
+function registerSlugHistoryMiddleware() {
+  strapi.documents.use(async (context, next) => {
+    const { uid, action, params } = context;
+    const documentId = typeof params?.documentId === 'string' ? params.documentId : null;
+    if (!documentId || !hasSlugHistory(uid)) return next();
+
+    if (action === 'delete') {
+      const result = await next();
+      await strapi.db.query(SLUG_HISTORY_UID).deleteMany({ where: { contentType: uid, entryDocumentId: documentId } });
+      return result;
+    }
+    if (!TRACKED_ACTIONS.includes(action)) return next();
+
+    const before = await loadSlugs(uid, documentId, getUidFields(uid));
+    const result = await next();
+    try {
+      await recordSlugChanges(uid, documentId, before);
+    } catch (err) {
+      strapi.log.warn(`Could not record the slug history of ${uid} ${documentId}: ${err.message}`);
+    }
+    return result;
+  });
+}
+
+/* ----- Lookup ----- */
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** { slug?, documentId? } when path matches the pattern, else null. */
+function matchPattern(pattern, path) {
+  const normalized = normalizePath(pattern);
+  const source = escapeRegExp(normalized).replace(/\\\{(slug|documentId)\\\}/g, '(?<$1>[^/]+)');
+  const match = new RegExp(`^${source}$`).exec(path);
+  return match ? { ...match.groups } : null;
+}
+
+/** The entry's current public row: published (Draft & Publish), of the tenant or shared (scoped types). */
+async function findCurrent(uid, where, tenant) {
+  const contentType = strapi.contentTypes[uid];
+  const scoped = { ...where };
+  if (contentType.options?.draftAndPublish) scoped.publishedAt = { $notNull: true };
+  if (isTenantScoped(uid) && tenant?.id != null) Object.assign(scoped, tenantFilter(uid, tenant));
+  return strapi.db.query(uid).findOne({ where: scoped, select: ['documentId', ...getUidFields(uid)] });
+}
+
+/** Slug history rows of the tenant, plus those of shared entries for types that have them. */
+function historyTenantWhere(uid, tenant) {
+  if (!isTenantScoped(uid) || tenant?.id == null) return {};
+  return allowsSharedEntries(uid)
+    ? { $or: [{ tenantId: tenant.id }, { tenantId: { $null: true } }] }
+    : { tenantId: tenant.id };
+}
+
+function entryResult(tenant, type, uid, entry, { source, redirect }) {
+  const path = getEntryPath(tenant, type, entry);
+  const site = getSiteUrl(tenant);
+  return {
+    source,
+    redirect,
+    ...(redirect ? { statusCode: 301 } : {}),
+    type,
+    contentType: uid,
+    documentId: entry.documentId,
+    slug: entry.slug ?? null,
+    path,
+    url: site && path ? site + path : null,
+  };
+}
+
+async function findManualRedirect(path, tenant) {
+  const redirect = await strapi.db.query(REDIRECT_UID).findOne({
+    where: { fromPath: path, ...(tenant?.id != null ? { tenant: { id: tenant.id } } : {}) },
+    select: ['toPath', 'permanent'],
+    orderBy: { id: 'desc' },
+  });
+  if (!redirect) return null;
+  const absolute = /^https?:\/\//i.test(redirect.toPath);
+  const site = getSiteUrl(tenant);
+  return {
+    source: 'manual',
+    redirect: true,
+    statusCode: redirect.permanent === false ? 302 : 301,
+    path: absolute ? null : redirect.toPath,
+    url: absolute ? redirect.toPath : site ? site + redirect.toPath : null,
+  };
+}
+
+/**
+ * Resolve a public path of the tenant (see the module comment). binding: the request's
+ * tenant-bound API token, if any; types it may not read are skipped. Returns null when
+ * nothing matches.
+ */
+async function resolvePath(input, { tenant, binding } = {}) {
+  const path = normalizePath(input);
+  if (!path) return null;
+
+  if (!binding || isTypeAllowed(binding, REDIRECT_UID)) {
+    const manual = await findManualRedirect(path, tenant);
+    if (manual) return manual;
+  }
+
+  for (const [type, uid] of getPageTypes()) {
+    if (binding && !isTypeAllowed(binding, uid)) continue;
+    const pattern = getUrlPattern(tenant, type);
+    const params = pattern ? matchPattern(pattern, path) : null;
+    if (!params || (!params.slug && !params.documentId)) continue;
+
+    const where = params.documentId ? { documentId: params.documentId } : { slug: params.slug };
+    if (params.documentId && params.slug) where.slug = params.slug;
+    const current = await findCurrent(uid, where, tenant);
+    if (current) return entryResult(tenant, type, uid, current, { source: 'current', redirect: false });
+
+    if (params.documentId) {
+      // documentIds never change; only a changed slug in the same pattern can redirect.
+      const byId = await findCurrent(uid, { documentId: params.documentId }, tenant);
+      if (byId) return entryResult(tenant, type, uid, byId, { source: 'current', redirect: true });
+      continue;
+    }
+    const former = await strapi.db.query(SLUG_HISTORY_UID).findMany({
+      where: {
+        contentType: uid,
+        field: 'slug',
+        oldSlug: params.slug,
+        ...historyTenantWhere(uid, tenant),
+      },
+      select: ['entryDocumentId'],
+      orderBy: { id: 'desc' },
+    });
+    for (const row of former) {
+      const entry = await findCurrent(uid, { documentId: row.entryDocumentId }, tenant);
+      if (entry) return entryResult(tenant, type, uid, entry, { source: 'slug-history', redirect: true });
+    }
+  }
+  return null;
+}
+
+/** Lifecycle check of a manual redirect: normalised fromPath, toPath a path or http(s) URL. */
+function validateRedirectData(data) {
+  if (!data) return;
+  if (typeof data.fromPath === 'string') {
+    data.fromPath = normalizePath(data.fromPath);
+    if (!data.fromPath || data.fromPath === '/') {
+      throw new errors.ValidationError('From path must be a page path such as /old-page.');
+    }
+  }
+  if (typeof data.toPath === 'string') {
+    data.toPath = data.toPath.trim();
+    if (!data.toPath.startsWith('/') && !/^https?:\/\/\S+$/i.test(data.toPath)) {
+      throw new errors.ValidationError('To path must start with / or be a full http(s) URL.');
+    }
+  }
+  if (data.fromPath && data.toPath && normalizePath(data.toPath) === data.fromPath && data.toPath.startsWith('/')) {
+    throw new errors.ValidationError('A redirect cannot point to its own path.');
+  }
+}
+
+module.exports = {
+  normalizePath,
+  registerSlugHistoryMiddleware,
+  resolvePath,
+  validateRedirectData,
+};
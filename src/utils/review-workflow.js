@@ -0,0 +1,335 @@
+'use strict';
+
+const crypto = require('crypto');
+const { errors } = require('@strapi/utils');
+const { getAdminUserIdFromContext, getAdminUser } = require('./tenant-resolution');
+const { getRelationId } = require('./tenancy');
+const { buildPopulate } = require('./populate');
+
+/**
+ * Editorial review workflow for Draft & Publish types with a reviewStatus field
+ * (Article, Flash News Item): draft → in_review → approved → published.
+ *
+ * - submit:  draft → in_review, by anyone who may update the entry.
+ * - approve: in_review → approved, by a reviewer of the entry's tenant (Editor Tenant
+ *            Assignment with canReview) or a Super Admin.
+ * - reject:  in_review → draft, by a reviewer, with a comment for the author.
+ * - publish: approved → published. Publishing from the admin is refused until the entry
+ *            is approved; Content API tokens, the publish scheduler (which only picks
+ *            approved entries, and logs a `blocked` event on the others) and scripts
+ *            are not gated.
+ * - reset:   an approved or published entry whose content is edited goes back to draft.
+ * Unpublishing leaves the entry approved, so the same content can be published again.
+ *
+ * The state is kept on both rows of the document (reviewStatus, private) and every
+ * change is logged as a Review Event, shown in the Review panel of the edit view.
+ * Edits are detected by comparing a fingerprint of the draft with the one stored on
+ * the last approve / publish event, so the save the Content Manager runs before a
+ * publish does not count as an edit unless something changed.
+ */
+
+const EVENT_UID = 'api::review-event.review-event';
+const EDITOR_TENANT_UID = 'api::editor-tenant.editor-tenant';
+const SUPER_ADMIN_ROLE_CODE = 'strapi-super-admin';
+const UPDATE_ACTION = 'plugin::content-manager.explorer.update';
+
+const TRANSITIONS = {
+  submit: { from: ['draft'], to: 'in_review', reviewer: false },
+  approve: { from: ['in_review'], to: 'approved', reviewer: true },
+  reject: { from: ['in_review'], to: 'draft', reviewer: true, commentRequired: true },
+};
+
+/** Fields that are not part of the reviewed content. */
+const IGNORED_FIELDS = new Set([
+  'id',
+  'documentId',
+  'createdAt',
+  'updatedAt',
+  'publishedAt',
+  'createdBy',
+  'updatedBy',
+  'locale',
+  'localizations',
+  'reviewStatus',
+  'views',
+  'scheduledPublishAt',
+  'scheduledUnpublishAt',
+  'tenant',
+]);
+
+function hasReviewWorkflow(uid) {
+  const contentType = strapi.contentTypes[uid];
+  return Boolean(contentType?.options?.draftAndPublish && contentType.attributes?.reviewStatus);
+}
+
+function getReviewUids() {
+  return Object.keys(strapi.contentTypes).filter(hasReviewWorkflow);
+}
+
+/** Relations and media by documentId, components without their ids, keys sorted. */
+function normalize(value) {
+  if (Array.isArray(value)) return value.map(normalize);
+  if (!value || typeof value !== 'object') return value;
+  if (value.documentId) return value.documentId;
+  const out = {};
+  for (const key of Object.keys(value).sort()) {
+    if (key !== 'id') out[key] = normalize(value[key]);
+  }
+  return out;
+}
+
+/** Fingerprint of the draft, down to media and relations inside components and blocks. */
+async function contentHash(uid, documentId) {
+  const populate = buildPopulate(strapi.contentTypes[uid].attributes, {
+    include: (name, attribute) => !IGNORED_FIELDS.has(name) && !attribute.mappedBy,
+    media: { fields: ['documentId'] },
+  });
+  const draft = await strapi.documents(uid).findOne({ documentId, status: 'draft', populate });
+  if (!draft) return null;
+  const content = {};
+  for (const key of Object.keys(draft).sort()) {
+    if (!IGNORED_FIELDS.has(key)) content[key] = normalize(draft[key]);
+  }
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+/** Draft row with its review status and tenant id, or null. */
+async function loadDraft(uid, documentId) {
+  const draft = await strapi.db.query(uid).findOne({
+    where: { documentId, publishedAt: null },
+    select: ['id', 'documentId', 'reviewStatus'],
+    populate: { tenant: { select: ['id'] } },
+  });
+  if (!draft) return null;
+  return { ...draft, reviewStatus: draft.reviewStatus || 'draft', tenantId: getRelationId(draft.tenant) };
+}
+
+async function setStatus(uid, documentId, reviewStatus) {
+  await strapi.db.query(uid).updateMany({ where: { documentId }, data: { reviewStatus } });
+}
+
+async function recordEvent(uid, documentId, { action, fromStatus, toStatus, comment, performedBy, contentHash: hash }) {
+  return strapi.db.query(EVENT_UID).create({
+    data: {
+      contentType: uid,
+      entryDocumentId: documentId,
+      action,
+      fromStatus,
+      toStatus,
+      comment: comment || null,
+      performedBy: performedBy || 'system',
+      contentHash: hash || null,
+    },
+  });
+}
+
+/** Review events of a document, newest first. */
+async function getReviewEvents(uid, documentId, limit = 20) {
+  return strapi.db.query(EVENT_UID).findMany({
+    where: { contentType: uid, entryDocumentId: documentId },
+    select: ['action', 'fromStatus', 'toStatus', 'comment', 'performedBy', 'createdAt'],
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    limit,
+  });
+}
+
+async function lastReviewedHash(uid, documentId) {
+  const event = await strapi.db.query(EVENT_UID).findOne({
+    where: { contentType: uid, entryDocumentId: documentId, contentHash: { $notNull: true } },
+    select: ['contentHash'],
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+  });
+  return event?.contentHash ?? null;
+}
+
+/** Super Admins review everywhere; others need canReview on an assignment to the tenant. */
+/**
+ * Note in the Review panel that a due scheduled publish is waiting for approval. Once per
+ * wait: nothing is recorded while the last event of the entry is already this note.
+ * Returns the entry's review status when the note was recorded, otherwise null.
+ */
+async function recordScheduleBlocked(uid, documentId, scheduledAt) {
+  const draft = await loadDraft(uid, documentId);
+  if (!draft) return null;
+  const [last] = await getReviewEvents(uid, documentId, 1);
+  if (last?.action === 'blocked') return null;
+  await recordEvent(uid, documentId, {
+    action: 'blocked',
+    fromStatus: draft.reviewStatus,
+    toStatus: draft.reviewStatus,
+    comment: `Scheduled publish at ${new Date(scheduledAt).toISOString()} is waiting for approval; it runs once the entry is approved.`,
+  });
+  return draft.reviewStatus;
+}
+
+async function isReviewer(user, tenantId) {
+  if (user?.id == null) return false;
+  if ((user.roles || []).some((role) => role.code === SUPER_ADMIN_ROLE_CODE)) return true;
+  if (tenantId == null) return false;
+  const assignment = await strapi.db.query(EDITOR_TENANT_UID).findOne({
+    where: { adminUser: { id: user.id }, tenant: { id: tenantId }, canReview: true },
+    select: ['id'],
+  });
+  return Boolean(assignment);
+}
+
+/**
+ * Review state for the edit view panel: { status, transitions, events }. transitions
+ * lists what the user may do now. Loading the entry through the Document Service
+ * applies the Editor's tenant scoping (another tenant's entry is forbidden).
+ */
+async function getReviewState(uid, documentId, { user, ability }) {
+  if (!hasReviewWorkflow(uid)) throw new errors.NotFoundError('This content type has no review workflow.');
+  const entry = await strapi.documents(uid).findOne({
+    documentId,
+    status: 'draft',
+    fields: ['documentId'],
+    populate: { tenant: { fields: ['documentId'] } },
+  });
+  const draft = entry ? await loadDraft(uid, documentId) : null;
+  if (!draft) throw new errors.NotFoundError('Entry not found.');
+
+  const canUpdate = Boolean(ability?.can(UPDATE_ACTION, uid));
+  const reviewer = await isReviewer(user, draft.tenantId);
+  const transitions = Object.entries(TRANSITIONS)
+    .filter(([, rule]) => rule.from.includes(draft.reviewStatus) && (rule.reviewer ? reviewer : canUpdate))
+    .map(([name]) => name);
+
+  return {
+    status: draft.reviewStatus,
+    isReviewer: reviewer,
+    transitions,
+    events: await getReviewEvents(uid, documentId),
+  };
+}
+
+/** Apply submit / approve / reject for the admin user; returns the new review state. */
+async function transitionReview(uid, documentId, transition, { user, ability, comment }) {
+  const rule = TRANSITIONS[transition];
+  if (!rule) throw new errors.ValidationError(`Unknown review action "${transition}".`);
+  const state = await getReviewState(uid, documentId, { user, ability });
+  if (!state.transitions.includes(transition)) {
+    if (!rule.from.includes(state.status)) {
+      throw new errors.ValidationError(`Cannot ${transition} an entry that is ${state.status.replace('_', ' ')}.`);
+    }
+    throw new errors.PolicyError(
+      rule.reviewer ? 'Only reviewers of this tenant can do this.' : 'You may not edit this entry.'
+    );
+  }
+  const text = typeof comment === 'string' ? comment.trim() : '';
+  if (rule.commentRequired && !text) {
+    throw new errors.ValidationError('Add a comment telling the author what to change.');
+  }
+
+  await setStatus(uid, documentId, rule.to);
+  await recordEvent(uid, documentId, {
+    action: transition,
+    fromStatus: state.status,
+    toStatus: rule.to,
+    comment: text,
+    performedBy: user?.email,
+    contentHash: transition === 'approve' ? await contentHash(uid, documentId) : null,
+  });
+  return getReviewState(uid, documentId, { user, ability });
+}
+
+async function currentAdminEmail() {
+  const adminUser = await getAdminUser(await getAdminUserIdFromContext());
+  return adminUser?.email ?? null;
+}
+
+/**
+ * Document Service middleware: keeps reviewStatus out of submitted data, refuses admin
+ * publishing of unapproved entries, marks published entries and sends approved or
+ * published entries back to draft when their content changes.
+ */
+function registerReviewWorkflowMiddleware() {
+  strapi.documents.use(async (context, next) => {
+    const { uid, action, params } = context;
+    if (!hasReviewWorkflow(uid)) return next();
+
+    if ((action === 'create' || action === 'update') && params?.data && 'reviewStatus' in params.data) {
+      const { reviewStatus, ...data } = params.data;
+      context.params = { ...params, data };
+    }
+
+    const documentId = params?.documentId;
+
+    if (action === 'publish' && typeof documentId === 'string') {
+      const adminUserId = await getAdminUserIdFromContext();
+      const draft = await loadDraft(uid, documentId);
+      if (adminUserId != null && draft && !['approved', 'published'].includes(draft.reviewStatus)) {
+        throw new errors.ApplicationError(
+          draft.reviewStatus === 'in_review'
+            ? 'This entry is waiting for review. It can be published once a reviewer approves it.'
+            : 'This entry must be submitted for review and approved before it is published.'
+        );
+      }
+      const result = await next();
+      if (draft) {
+        await setStatus(uid, documentId, 'published');
+        await recordEvent(uid, documentId, {
+          action: 'publish',
+          fromStatus: draft.reviewStatus,
+          toStatus: 'published',
+          performedBy: await currentAdminEmail(),
+          contentHash: await contentHash(uid, documentId),
+        });
+      }
+      return result;
+    }
+
+    if (action === 'unpublish' && typeof documentId === 'string') {
+      const draft = await loadDraft(uid, documentId);
+      const result = await next();
+      if (draft?.reviewStatus === 'published') {
+        // The draft is still the reviewed version, so it may be published again.
+        await setStatus(uid, documentId, 'approved');
+        await recordEvent(uid, documentId, {
+          action: 'unpublish',
+          fromStatus: 'published',
+          toStatus: 'approved',
+          performedBy: await currentAdminEmail(),
+        });
+      }
+      return result;
+    }
+
+    if (action === 'update') {
+      const result = await next();
+      const updatedId = result?.documentId ?? documentId;
+      const draft = updatedId ? await loadDraft(uid, updatedId) : null;
+      if (draft && ['approved', 'published'].includes(draft.reviewStatus)) {
+        const hash = await contentHash(uid, updatedId);
+        if (hash !== (await lastReviewedHash(uid, updatedId))) {
+          await setStatus(uid, updatedId, 'draft');
+          await recordEvent(uid, updatedId, {
+            action: 'reset',
+            fromStatus: draft.reviewStatus,
+            toStatus: 'draft',
+            comment: 'Edited after approval; submit for review again.',
+            performedBy: await currentAdminEmail(),
+          });
+        }
+      }
+      return result;
+    }
+
+    if (action === 'delete' && typeof documentId === 'string') {
+      const result = await next();
+      await strapi.db.query(EVENT_UID).deleteMany({ where: { contentType: uid, entryDocumentId: documentId } });
+      return result;
+    }
+
+    return next();
+  });
+}
+
+module.exports = {
+  hasReviewWorkflow,
+  getReviewUids,
+  getReviewState,
+  transitionReview,
+  recordScheduleBlocked,
+  registerReviewWorkflowMiddleware,
+};
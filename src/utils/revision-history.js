@@ -0,0 +1,482 @@
+'use strict';
+
+const { errors } = require('@strapi/utils');
+const requestContext = require('./request-context');
+const { getAdminUserIdFromContext, getAdminUser } = require('./tenant-resolution');
+const { isTenantScoped } = require('./tenancy');
+const { buildPopulate } = require('./populate');
+
+/**
+ * Revision history for Draft & Publish content types (all api:: types with
+ * draftAndPublish; Article is the main user).
+ *
+ * A Document Service middleware snapshots the draft after every create, update,
+ * clone and discardDraft, and stores it as a Content Revision when it differs from
+ * the previous one (the save the Content Manager runs before a publish adds nothing
+ * when nothing changed). An entry edited for the first time since history was
+ * introduced gets its current version stored first, so the text being overwritten
+ * is never lost. Snapshots hold the fields editors see in the Content Manager,
+ * components and dynamic zone blocks, relations as documentIds and media as
+ * { id, name, url }; system fields, the tenant and fields hidden from the form are
+ * left out. REVISION_HISTORY_LIMIT (default 50) revisions are kept per entry.
+ *
+ * The /revisions admin routes list revisions, diff them field by field (rich text
+ * line by line, components and dynamic zones block by block) and restore one into
+ * the draft through the Document Service, so tenant scoping, the review workflow and
+ * a new revision follow as for a manual edit.
+ */
+
+const REVISION_UID = 'api::content-revision.content-revision';
+const DEFAULT_LIMIT = 50;
+const MAX_DIFF_CELLS = 1000000;
+const READ_ACTION = 'plugin::content-manager.explorer.read';
+const UPDATE_ACTION = 'plugin::content-manager.explorer.update';
+const TRACKED_ACTIONS = ['create', 'update', 'clone', 'discardDraft'];
+const SYSTEM_FIELDS = new Set([
+  'id',
+  'documentId',
+  'createdAt',
+  'updatedAt',
+  'publishedAt',
+  'createdBy',
+  'updatedBy',
+  'locale',
+  'localizations',
+  'tenant',
+]);
+
+function hasRevisionHistory(uid) {
+  return Boolean(uid?.startsWith('api::') && strapi.contentTypes[uid]?.options?.draftAndPublish);
+}
+
+function isTracked(name, attribute) {
+  if (SYSTEM_FIELDS.has(name) || attribute.pluginOptions?.['content-manager']?.visible === false) return false;
+  if (attribute.type === 'relation') return !attribute.mappedBy && typeof attribute.target === 'string';
+  return true;
+}
+
+function isToMany(attribute) {
+  return /ToMany$|^manyWay$/.test(attribute.relation);
+}
+
+function toList(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function componentAttributes(component) {
+  return strapi.components[component]?.attributes ?? {};
+}
+
+function serialize(attributes, entry) {
+  const data = {};
+  for (const [name, attribute] of Object.entries(attributes)) {
+    if (!isTracked(name, attribute) || !(name in entry)) continue;
+    const value = entry[name];
+    if (attribute.type === 'media') {
+      const files = toList(value).map((file) => ({ id: file.id, name: file.name, url: file.url }));
+      data[name] = attribute.multiple ? files : files[0] ?? null;
+    } else if (attribute.type === 'relation') {
+      const documentIds = toList(value).map((target) => target.documentId);
+      data[name] = isToMany(attribute) ? documentIds : documentIds[0] ?? null;
+    } else if (attribute.type === 'component') {
+      const nested = componentAttributes(attribute.component);
+      data[name] = attribute.repeatable
+        ? toList(value).map((item) => serialize(nested, item))
+        : value
+          ? serialize(nested, value)
+          : null;
+    } else if (attribute.type === 'dynamiczone') {
+      data[name] = toList(value).map((item) => ({
+        __component: item.__component,
+        ...serialize(componentAttributes(item.__component), item),
+      }));
+    } else {
+      data[name] = value ?? null;
+    }
+  }
+  return data;
+}
+
+/** Snapshot of the draft of a document, or null when it has none. */
+async function takeSnapshot(uid, documentId) {
+  const { attributes } = strapi.contentTypes[uid];
+  const populate = buildPopulate(attributes, { include: isTracked, media: { fields: ['name', 'url'] } });
+  const draft = await strapi.documents(uid).findOne({ documentId, status: 'draft', populate });
+  return draft ? serialize(attributes, draft) : null;
+}
+
+function changedFieldsBetween(before, after) {
+  const names = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...names].filter((name) => JSON.stringify(before?.[name] ?? null) !== JSON.stringify(after?.[name] ?? null));
+}
+
+async function latestRevision(uid, documentId) {
+  return strapi.db.query(REVISION_UID).findOne({
+    where: { contentType: uid, entryDocumentId: documentId },
+    orderBy: { revision: 'desc' },
+  });
+}
+
+async function currentActor() {
+  const ctx = requestContext.get();
+  if (!ctx) return 'system';
+  const adminUser = await getAdminUser(await getAdminUserIdFromContext(ctx));
+  if (adminUser) return adminUser.email;
+  const auth = ctx.state?.auth;
+  return auth?.strategy?.name === 'api-token' && auth.credentials?.name ? `api-token:${auth.credentials.name}` : 'system';
+}
+
+async function pruneRevisions(uid, documentId) {
+  const limit = Number(process.env.REVISION_HISTORY_LIMIT) || DEFAULT_LIMIT;
+  const old = await strapi.db.query(REVISION_UID).findMany({
+    where: { contentType: uid, entryDocumentId: documentId },
+    select: ['id'],
+    orderBy: { revision: 'desc' },
+    offset: limit,
+  });
+  if (old.length > 0) {
+    await strapi.db.query(REVISION_UID).deleteMany({ where: { id: { $in: old.map((row) => row.id) } } });
+  }
+}
+
+/** Store the current draft unless it equals the latest revision. baseline: only when there is none yet. */
+async function recordRevision(uid, documentId, { baseline = false } = {}) {
+  const latest = await latestRevision(uid, documentId);
+  if (baseline && latest) return;
+  const snapshot = await takeSnapshot(uid, documentId);
+  if (!snapshot) return;
+  const changedFields = changedFieldsBetween(latest?.snapshot, snapshot);
+  if (latest && changedFields.length === 0) return;
+  await strapi.db.query(REVISION_UID).create({
+    data: {
+      contentType: uid,
+      entryDocumentId: documentId,
+      revision: (latest?.revision ?? 0) + 1,
+      changedFields: baseline ? [] : changedFields,
+      snapshot,
+      performedBy: baseline ? null : await currentActor(),
+    },
+  });
+  await pruneRevisions(uid, documentId);
+}
+
+function registerRevisionHistoryMiddleware() {
+  strapi.documents.use(async (context, next) => {
+    const { uid, action, params } = context;
+    if (!hasRevisionHistory(uid)) return next();
+
+    if (action === 'delete' && typeof params?.documentId === 'string') {
+      const result = await next();
+      await strapi.db.query(REVISION_UID).deleteMany({
+        where: { contentType: uid, entryDocumentId: params.documentId },
+      });
+      return result;
+    }
+    if (!TRACKED_ACTIONS.includes(action)) return next();
+
+    const sourceId = typeof params?.documentId === 'string' ? params.documentId : null;
+    if (sourceId && action !== 'clone') {
+      try {
+        await recordRevision(uid, sourceId, { baseline: true });
+      } catch (err) {
+        strapi.log.warn(`Could not store the earlier version of ${uid} ${sourceId}: ${err.message}`);
+      }
+    }
+    const result = await next();
+    const documentId = result?.documentId ?? sourceId;
+    if (documentId) {
+      try {
+        await recordRevision(uid, documentId);
+      } catch (err) {
+        strapi.log.warn(`Could not store a revision of ${uid} ${documentId}: ${err.message}`);
+      }
+    }
+    return result;
+  });
+}
+
+/* ----- Diff ----- */
+
+/** Longest-common-subsequence diff: [{ op: 'equal' | 'removed' | 'added', before?, after? }]. */
+function diffSequence(before, after, key = (value) => value) {
+  const n = before.length;
+  const m = after.length;
+  if (n * m > MAX_DIFF_CELLS) {
+    return [...before.map((value) => ({ op: 'removed', before: value })), ...after.map((value) => ({ op: 'added', after: value }))];
+  }
+  const a = before.map(key);
+  const b = after.map(key);
+  const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) ops.push({ op: 'equal', before: before[i++], after: after[j++] });
+    else if (table[i + 1][j] >= table[i][j + 1]) ops.push({ op: 'removed', before: before[i++] });
+    else ops.push({ op: 'added', after: after[j++] });
+  }
+  while (i < n) ops.push({ op: 'removed', before: before[i++] });
+  while (j < m) ops.push({ op: 'added', after: after[j++] });
+  return ops;
+}
+
+function diffText(before, after) {
+  const lines = (value) => (value == null || value === '' ? [] : String(value).split('\n'));
+  return diffSequence(lines(before), lines(after)).map(({ op, before: removed, after: added }) => ({
+    op,
+    text: op === 'added' ? added : removed,
+  }));
+}
+
+/**
+ * Block-by-block diff of a dynamic zone or repeatable component. Within a run of
+ * removed and added blocks, a removed block and the next added block of the same
+ * component are reported as one changed block, with the field diff of the two.
+ */
+function diffBlocks(before, after, getComponent) {
+  const ops = diffSequence(toList(before), toList(after), (block) => JSON.stringify(block));
+  const blocks = [];
+  let beforeIndex = 0;
+  let afterIndex = 0;
+  let k = 0;
+  while (k < ops.length) {
+    if (ops[k].op === 'equal') {
+      blocks.push({ op: 'equal', index: afterIndex, component: getComponent(ops[k].after) });
+      beforeIndex += 1;
+      afterIndex += 1;
+      k += 1;
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    for (; k < ops.length && ops[k].op !== 'equal'; k += 1) {
+      if (ops[k].op === 'removed') removed.push({ block: ops[k].before, index: beforeIndex++ });
+      else added.push({ block: ops[k].after, index: afterIndex++ });
+    }
+    let r = 0;
+    for (const { block, index } of added) {
+      const component = getComponent(block);
+      const match = removed.findIndex((item, position) => position >= r && getComponent(item.block) === component);
+      if (match === -1) {
+        blocks.push({ op: 'added', index, component, after: block });
+        continue;
+      }
+      for (; r < match; r += 1) {
+        blocks.push({ op: 'removed', index: removed[r].index, component: getComponent(removed[r].block), before: removed[r].block });
+      }
+      blocks.push({
+        op: 'changed',
+        index,
+        component,
+        fields: diffFields(componentAttributes(component), removed[match].block, block),
+      });
+      r = match + 1;
+    }
+    for (; r < removed.length; r += 1) {
+      blocks.push({ op: 'removed', index: removed[r].index, component: getComponent(removed[r].block), before: removed[r].block });
+    }
+  }
+  return blocks;
+}
+
+function diffField(attribute, before, after) {
+  if (attribute.type === 'richtext' || attribute.type === 'text') {
+    return { type: 'text', lines: diffText(before, after) };
+  }
+  if (attribute.type === 'dynamiczone') {
+    return { type: 'blocks', blocks: diffBlocks(before, after, (block) => block?.__component) };
+  }
+  if (attribute.type === 'component' && attribute.repeatable) {
+    return { type: 'blocks', blocks: diffBlocks(before, after, () => attribute.component) };
+  }
+  if (attribute.type === 'component') {
+    return { type: 'component', fields: diffFields(componentAttributes(attribute.component), before || {}, after || {}) };
+  }
+  return { type: 'value', before: before ?? null, after: after ?? null };
+}
+
+/** Field-level diff from `before` to `after` snapshots: { field: diff } for changed fields only. */
+function diffFields(attributes, before, after) {
+  const diff = {};
+  for (const name of changedFieldsBetween(before, after)) {
+    const attribute = attributes[name];
+    if (attribute) diff[name] = diffField(attribute, before?.[name], after?.[name]);
+  }
+  return diff;
+}
+
+/* ----- Admin routes ----- */
+
+/** The user must hold `action` on the type and see the entry (tenant scoping applies). */
+async function assertAccess(uid, documentId, ability, action) {
+  if (!hasRevisionHistory(uid)) throw new errors.NotFoundError('This content type has no revision history.');
+  if (!ability?.can(action, uid)) {
+    throw new errors.PolicyError(`You may not ${action === UPDATE_ACTION ? 'edit' : 'read'} this content type.`);
+  }
+  const entry = await strapi.documents(uid).findOne({
+    documentId,
+    status: 'draft',
+    fields: ['documentId'],
+    ...(isTenantScoped(uid) ? { populate: { tenant: { fields: ['documentId'] } } } : {}),
+  });
+  if (!entry) throw new errors.NotFoundError('Entry not found.');
+}
+
+function toSummary(row) {
+  return {
+    revision: row.revision,
+    createdAt: row.createdAt,
+    performedBy: row.performedBy ?? null,
+    changedFields: row.changedFields ?? [],
+    restoredFrom: row.restoredFrom ?? null,
+  };
+}
+
+async function findRevision(uid, documentId, revision) {
+  const row = await strapi.db.query(REVISION_UID).findOne({
+    where: { contentType: uid, entryDocumentId: documentId, revision: Number(revision) },
+  });
+  if (!row) throw new errors.NotFoundError(`Revision ${revision} not found.`);
+  return row;
+}
+
+/** Revisions of an entry, newest first (without snapshots). */
+async function listRevisions(uid, documentId, { ability }) {
+  await assertAccess(uid, documentId, ability, READ_ACTION);
+  const rows = await strapi.db.query(REVISION_UID).findMany({
+    where: { contentType: uid, entryDocumentId: documentId },
+    select: ['revision', 'createdAt', 'performedBy', 'changedFields', 'restoredFrom'],
+    orderBy: { revision: 'desc' },
+  });
+  return rows.map(toSummary);
+}
+
+/**
+ * One revision with its snapshot and the diff from `compare` to it: the previous
+ * revision by default, another revision number, or 'current' (the draft as it is now,
+ * i.e. what a restore would change).
+ */
+async function getRevision(uid, documentId, revision, { ability, compare }) {
+  await assertAccess(uid, documentId, ability, READ_ACTION);
+  const row = await findRevision(uid, documentId, revision);
+  let base = null;
+  let compareTo = null;
+  if (compare === 'current') {
+    base = await takeSnapshot(uid, documentId);
+    compareTo = 'current';
+  } else if (compare != null && compare !== '') {
+    const other = await findRevision(uid, documentId, compare);
+    base = other.snapshot;
+    compareTo = other.revision;
+  } else {
+    const previous = await strapi.db.query(REVISION_UID).findOne({
+      where: { contentType: uid, entryDocumentId: documentId, revision: { $lt: row.revision } },
+      orderBy: { revision: 'desc' },
+    });
+    base = previous?.snapshot ?? {};
+    compareTo = previous?.revision ?? null;
+  }
+  return {
+    ...toSummary(row),
+    compareTo,
+    snapshot: row.snapshot,
+    diff: diffFields(strapi.contentTypes[uid].attributes, base, row.snapshot),
+  };
+}
+
+/** Document Service data for a snapshot; relations and media that no longer exist are dropped. */
+async function toDocumentData(attributes, snapshot, warnings, path = '') {
+  const data = {};
+  for (const [name, attribute] of Object.entries(attributes)) {
+    if (!isTracked(name, attribute) || !(name in snapshot)) continue;
+    const value = snapshot[name];
+    const label = `${path}${name}`;
+    if (attribute.type === 'media') {
+      const files = toList(value);
+      const ids = files.length
+        ? (
+            await strapi.db.query('plugin::upload.file').findMany({
+              where: { id: { $in: files.map((file) => file.id) } },
+              select: ['id'],
+            })
+          ).map((file) => file.id)
+        : [];
+      files.filter((file) => !ids.includes(file.id)).forEach((file) => warnings.push(`${label}: file "${file.name}" no longer exists`));
+      data[name] = attribute.multiple ? ids : ids[0] ?? null;
+    } else if (attribute.type === 'relation') {
+      const documentIds = toList(value);
+      const existing = documentIds.length
+        ? (
+            await strapi.db.query(attribute.target).findMany({
+              where: { documentId: { $in: documentIds } },
+              select: ['documentId'],
+            })
+          ).map((target) => target.documentId)
+        : [];
+      const kept = documentIds.filter((documentId) => existing.includes(documentId));
+      documentIds
+        .filter((documentId) => !kept.includes(documentId))
+        .forEach((documentId) => warnings.push(`${label}: ${attribute.target} ${documentId} no longer exists`));
+      data[name] = { set: kept };
+    } else if (attribute.type === 'component') {
+      const nested = componentAttributes(attribute.component);
+      if (attribute.repeatable) {
+        data[name] = [];
+        for (const [index, item] of toList(value).entries()) {
+          data[name].push(await toDocumentData(nested, item, warnings, `${label}[${index}].`));
+        }
+      } else {
+        data[name] = value ? await toDocumentData(nested, value, warnings, `${label}.`) : null;
+      }
+    } else if (attribute.type === 'dynamiczone') {
+      data[name] = [];
+      for (const [index, block] of toList(value).entries()) {
+        if (!strapi.components[block.__component]) {
+          warnings.push(`${label}[${index}]: component ${block.__component} no longer exists`);
+          continue;
+        }
+        data[name].push({
+          __component: block.__component,
+          ...(await toDocumentData(componentAttributes(block.__component), block, warnings, `${label}[${index}].`)),
+        });
+      }
+    } else {
+      data[name] = value;
+    }
+  }
+  return data;
+}
+
+/**
+ * Write a revision back into the draft (the published version is untouched until the
+ * entry is published again). Returns { restored, revision, warnings }: revision is the
+ * new revision the restore created.
+ */
+async function restoreRevision(uid, documentId, revision, { ability }) {
+  await assertAccess(uid, documentId, ability, UPDATE_ACTION);
+  const row = await findRevision(uid, documentId, revision);
+  const before = await latestRevision(uid, documentId);
+  const warnings = [];
+  const data = await toDocumentData(strapi.contentTypes[uid].attributes, row.snapshot, warnings);
+  await strapi.documents(uid).update({ documentId, data });
+
+  const latest = await latestRevision(uid, documentId);
+  if (latest && latest.revision !== before?.revision) {
+    await strapi.db.query(REVISION_UID).update({ where: { id: latest.id }, data: { restoredFrom: row.revision } });
+  }
+  return { restored: row.revision, revision: latest?.revision ?? null, warnings };
+}
+
+module.exports = {
+  hasRevisionHistory,
+  registerRevisionHistoryMiddleware,
+  listRevisions,
+  getRevision,
+  restoreRevision,
+};
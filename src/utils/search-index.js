@@ -0,0 +1,464 @@
+'use strict';
+
+const { getRelationId, isTenantScoped, allowsSharedEntries } = require('./tenancy');
+const { markdownToText, blocksToText } = require('./plain-text');
+const { buildPopulate } = require('./populate');
+
+/**
+ * Full-text search index behind GET /api/search (src/api/search).
+ *
+ * Content types opt in with pluginOptions.search in their schema:
+ *   "search": { "label": "Parishes", "title": "name", "fields": ["address", "description"] }
+ * title is weighted higher than the other fields; fields may be strings, text, rich
+ * text (markdown is stripped), blocks, components and dynamic zones (their text fields).
+ * Only published entries of Draft & Publish types are indexed.
+ *
+ * The index is an inverted index in two tables: Search Document (one row per entry,
+ * with its tenant and plain text for snippets) and Search Term (word → document, with
+ * title and body frequencies). Text is normalised to NFC, legacy Malayalam chillu
+ * sequences (consonant + virama + ZWJ) are folded into the atomic chillu letters and
+ * zero-width joiners are dropped, both when indexing and when querying, so the same
+ * word typed on different keyboards matches. Results are ranked with BM25; every
+ * query word must match, the last one as a prefix (search as you type).
+ *
+ * Entries are re-indexed from db lifecycles once the surrounding transaction commits;
+ * npm run search:rebuild rebuilds the whole index.
+ */
+
+const DOCUMENT_UID = 'api::search.search-document';
+const TERM_UID = 'api::search.search-term';
+const TITLE_WEIGHT = 3;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MAX_QUERY_TERMS = 8;
+const MAX_TERM_LENGTH = 64;
+const INSERT_CHUNK = 200;
+const SNIPPET_LENGTH = 200;
+
+/** Legacy chillu (consonant + virama + ZWJ) → atomic chillu letter (Unicode 5.1). */
+const CHILLU = [
+  [/\u0D23\u0D4D\u200D/g, '\u0D7A'],
+  [/\u0D28\u0D4D\u200D/g, '\u0D7B'],
+  [/\u0D30\u0D4D\u200D/g, '\u0D7C'],
+  [/\u0D32\u0D4D\u200D/g, '\u0D7D'],
+  [/\u0D33\u0D4D\u200D/g, '\u0D7E'],
+  [/\u0D15\u0D4D\u200D/g, '\u0D7F'],
+];
+
+const pending = new Set();
+let flushing = null;
+
+/** NFC, atomic Malayalam chillus, no zero-width characters. */
+function normalizeText(value) {
+  let text = String(value ?? '').normalize('NFC');
+  for (const [sequence, chillu] of CHILLU) text = text.replace(sequence, chillu);
+  return text.replace(/[\u200B-\u200D\u2060\uFEFF]/g, '');
+}
+
+function tokenize(value) {
+  return normalizeText(value)
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(Boolean)
+    .map((token) => token.slice(0, MAX_TERM_LENGTH));
+}
+
+function getSearchConfig(uid) {
+  const config = strapi.contentTypes[uid]?.pluginOptions?.search;
+  return config?.title ? config : null;
+}
+
+function getSearchableUids() {
+  return Object.keys(strapi.contentTypes).filter((uid) => uid.startsWith('api::') && getSearchConfig(uid));
+}
+
+/** Search type name (singularName) → uid. */
+function getSearchTypes() {
+  return new Map(getSearchableUids().map((uid) => [strapi.contentTypes[uid].info.singularName, uid]));
+}
+
+function attributeText(attribute, value) {
+  if (value == null) return '';
+  switch (attribute.type) {
+    case 'string':
+    case 'text':
+    case 'email':
+      return String(value);
+    case 'richtext':
+      return markdownToText(value);
+    case 'blocks':
+      return blocksToText(value);
+    case 'component': {
+      const attributes = strapi.components[attribute.component]?.attributes ?? {};
+      const items = Array.isArray(value) ? value : [value];
+      return items.map((item) => componentText(attributes, item)).join('\n');
+    }
+    case 'dynamiczone':
+      return value
+        .map((item) => componentText(strapi.components[item.__component]?.attributes ?? {}, item))
+        .join('\n');
+    default:
+      return '';
+  }
+}
+
+function componentText(attributes, item) {
+  return Object.entries(attributes)
+    .map(([name, attribute]) => attributeText(attribute, item?.[name]))
+    .filter(Boolean)
+    .join('\n');
+}
+
+/** The indexed components and dynamic zones (to any depth), plus the tenant. */
+function indexPopulate(uid, config) {
+  const { attributes } = strapi.contentTypes[uid];
+  const fields = new Set(config.fields || []);
+  const indexed = Object.fromEntries(Object.entries(attributes).filter(([name]) => fields.has(name)));
+  const populate = buildPopulate(indexed, { media: false, relations: false });
+  return attributes.tenant ? { ...populate, tenant: { select: ['id'] } } : populate;
+}
+
+function countTerms(tokens, counts, field) {
+  for (const token of tokens) {
+    const entry = counts.get(token) || { titleFrequency: 0, bodyFrequency: 0 };
+    entry[field] += 1;
+    counts.set(token, entry);
+  }
+}
+
+async function removeFromIndex(uid, documentId) {
+  const knex = strapi.db.connection;
+  const documentTable = strapi.db.metadata.get(DOCUMENT_UID).tableName;
+  const rows = await strapi.db
+    .query(DOCUMENT_UID)
+    .findMany({ where: { contentType: uid, entryDocumentId: documentId }, select: ['id'] });
+  if (rows.length === 0) return;
+  const ids = rows.map((row) => row.id);
+  const { tableName, attributes } = strapi.db.metadata.get(TERM_UID);
+  await knex(tableName).whereIn(attributes.searchDocumentId.columnName, ids).del();
+  await knex(documentTable).whereIn('id', ids).del();
+}
+
+/** Count (or, with remove, delete) the Search Documents and Search Terms of a tenant's entries. */
+async function tenantIndexRows(tenantId, remove) {
+  const rows = await strapi.db.query(DOCUMENT_UID).findMany({ where: { tenantId }, select: ['id'] });
+  const ids = rows.map((row) => row.id);
+  if (ids.length === 0) return { documents: 0, terms: 0 };
+  // Query engine rather than knex, so the removal joins the offboarding transaction.
+  let terms = 0;
+  for (let i = 0; i < ids.length; i += INSERT_CHUNK) {
+    const where = { searchDocumentId: { $in: ids.slice(i, i + INSERT_CHUNK) } };
+    if (remove) {
+      terms += (await strapi.db.query(TERM_UID).deleteMany({ where })).count;
+      await strapi.db.query(DOCUMENT_UID).deleteMany({ where: { id: where.searchDocumentId } });
+    } else {
+      terms += await strapi.db.query(TERM_UID).count({ where });
+    }
+  }
+  return { documents: ids.length, terms };
+}
+
+/** { documents, terms } in the index for the tenant's entries. */
+function countTenantIndex(tenantId) {
+  return tenantIndexRows(tenantId, false);
+}
+
+/** Drop the tenant's entries from the index (tenant offboarding); returns what was removed. */
+function removeTenantIndex(tenantId) {
+  return tenantIndexRows(tenantId, true);
+}
+
+/** (Re-)index one entry: its published version, or the entry itself for types without Draft & Publish. */
+async function indexDocument(uid, documentId, { replace = true } = {}) {
+  const config = getSearchConfig(uid);
+  if (!config) return false;
+  const contentType = strapi.contentTypes[uid];
+  const draftAndPublish = Boolean(contentType.options?.draftAndPublish);
+  const entry = await strapi.db.query(uid).findOne({
+    where: { documentId, ...(draftAndPublish ? { publishedAt: { $notNull: true } } : {}) },
+    populate: indexPopulate(uid, config),
+  });
+  if (replace) await removeFromIndex(uid, documentId);
+  if (!entry) return false;
+
+  let tenantId = getRelationId(entry.tenant) ?? null;
+  if (tenantId == null && contentType.attributes.tenant && draftAndPublish) {
+    // The published row's tenant link is copied after publish; fall back to the draft.
+    const draft = await strapi.db.query(uid).findOne({
+      where: { documentId, publishedAt: null },
+      populate: { tenant: { select: ['id'] } },
+    });
+    tenantId = getRelationId(draft?.tenant) ?? null;
+  }
+
+  const title = normalizeText(entry[config.title] ?? '').trim();
+  const body = (config.fields || [])
+    .map((name) => (contentType.attributes[name] ? attributeText(contentType.attributes[name], entry[name]) : ''))
+    .map((text) => normalizeText(text).replace(/[ \t]+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+  const titleTokens = tokenize(title);
+  const bodyTokens = tokenize(body);
+  const counts = new Map();
+  countTerms(titleTokens, counts, 'titleFrequency');
+  countTerms(bodyTokens, counts, 'bodyFrequency');
+
+  const document = await strapi.db.query(DOCUMENT_UID).create({
+    data: {
+      contentType: uid,
+      entryDocumentId: documentId,
+      tenantId,
+      title,
+      slug: typeof entry.slug === 'string' ? entry.slug : null,
+      text: body,
+      length: titleTokens.length * TITLE_WEIGHT + bodyTokens.length,
+    },
+  });
+  const { tableName, attributes } = strapi.db.metadata.get(TERM_UID);
+  const rows = [...counts].map(([term, frequency]) => ({
+    [attributes.term.columnName]: term,
+    [attributes.searchDocumentId.columnName]: document.id,
+    [attributes.titleFrequency.columnName]: frequency.titleFrequency,
+    [attributes.bodyFrequency.columnName]: frequency.bodyFrequency,
+  }));
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK) {
+    await strapi.db.connection(tableName).insert(rows.slice(i, i + INSERT_CHUNK));
+  }
+  return true;
+}
+
+async function flushQueue() {
+  while (pending.size > 0) {
+    const [key] = pending;
+    pending.delete(key);
+    const [uid, documentId] = key.split('\u0000');
+    try {
+      await indexDocument(uid, documentId);
+    } catch (err) {
+      strapi.log.warn(`Could not update the search index for ${uid} ${documentId}: ${err.message}`);
+    }
+  }
+}
+
+/** Re-index after the current transaction commits (right away outside a transaction). */
+async function queueReindex(uid, documentId) {
+  if (typeof documentId !== 'string') return;
+  await strapi.db.transaction(({ onCommit }) => {
+    onCommit(() => {
+      pending.add(`${uid}\u0000${documentId}`);
+      if (flushing) return;
+      flushing = flushQueue().finally(() => {
+        flushing = null;
+      });
+    });
+  });
+}
+
+function registerSearchIndexLifecycles() {
+  const models = getSearchableUids();
+  if (models.length === 0) return;
+  const reindex = (event) => queueReindex(event.model.uid, event.result?.documentId);
+  strapi.db.lifecycles.subscribe({ models, afterCreate: reindex, afterUpdate: reindex, afterDelete: reindex });
+}
+
+/** Wait for queued re-indexing (used on shutdown and by tests). */
+async function waitForSearchIndex() {
+  while (flushing) await flushing;
+}
+
+/** Drop and rebuild the whole index. Returns { [uid]: indexed count }. */
+async function rebuildSearchIndex({ onProgress } = {}) {
+  const knex = strapi.db.connection;
+  await knex(strapi.db.metadata.get(TERM_UID).tableName).del();
+  await knex(strapi.db.metadata.get(DOCUMENT_UID).tableName).del();
+  const counts = {};
+  for (const uid of getSearchableUids()) {
+    const draftAndPublish = Boolean(strapi.contentTypes[uid].options?.draftAndPublish);
+    const rows = await strapi.db.query(uid).findMany({
+      where: draftAndPublish ? { publishedAt: { $notNull: true } } : {},
+      select: ['documentId'],
+    });
+    const documentIds = [...new Set(rows.map((row) => row.documentId))];
+    counts[uid] = 0;
+    for (const documentId of documentIds) {
+      if (await indexDocument(uid, documentId, { replace: false })) counts[uid] += 1;
+    }
+    if (onProgress) onProgress(uid, counts[uid]);
+  }
+  return counts;
+}
+
+/* ----- Query ----- */
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** HTML-escaped text with the query words wrapped in <mark>. */
+function highlight(text, tokens) {
+  const pattern = new RegExp(`(${tokens.map(escapeRegExp).join('|')})`, 'giu');
+  return text
+    .split(pattern)
+    .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+}
+
+/** About SNIPPET_LENGTH characters of text around the first query word, highlighted. */
+function snippet(text, tokens) {
+  if (!text) return '';
+  const lower = text.toLowerCase();
+  const positions = lower.length === text.length ? tokens.map((token) => lower.indexOf(token)).filter((p) => p >= 0) : [];
+  const first = positions.length ? Math.min(...positions) : 0;
+  let start = Math.max(0, first - Math.floor(SNIPPET_LENGTH / 3));
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < first) start = space + 1;
+  }
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > first) end = space;
+  }
+  const excerpt = text.slice(start, end).replace(/\s*\n\s*/g, ' … ');
+  return `${start > 0 ? '… ' : ''}${highlight(excerpt, tokens)}${end < text.length ? ' …' : ''}`;
+}
+
+/** Query words (normalised, de-duplicated, at most MAX_QUERY_TERMS). */
+function parseQuery(q) {
+  return [...new Set(tokenize(q))].slice(0, MAX_QUERY_TERMS);
+}
+
+/**
+ * Ranked search. uids limits the types; tenant limits to that tenant's entries.
+ * Returns groups ordered by their best hit:
+ * [{ uid, type, label, total, results: [{ documentId, slug, title, highlight: { title, snippet }, score }] }]
+ */
+async function search(q, { uids, tenant, limit }) {
+  const tokens = parseQuery(q);
+  if (tokens.length === 0 || uids.length === 0) return [];
+  const knex = strapi.db.connection;
+  const documentMeta = strapi.db.metadata.get(DOCUMENT_UID);
+  const termMeta = strapi.db.metadata.get(TERM_UID);
+  const dc = (name) => `d.${documentMeta.attributes[name].columnName}`;
+  const tc = (name) => `t.${termMeta.attributes[name].columnName}`;
+  // Same scoping as Content API reads: the tenant's entries, plus shared ones where allowed.
+  const scope = (query) => {
+    if (tenant?.id == null) return query.whereIn(dc('contentType'), uids);
+    return query.where((builder) => {
+      for (const uid of uids) {
+        builder.orWhere((clause) => {
+          clause.where(dc('contentType'), uid);
+          if (!isTenantScoped(uid)) return;
+          if (allowsSharedEntries(uid)) {
+            clause.andWhere((tenantClause) => tenantClause.where(dc('tenantId'), tenant.id).orWhereNull(dc('tenantId')));
+          } else {
+            clause.andWhere(dc('tenantId'), tenant.id);
+          }
+        });
+      }
+    });
+  };
+
+  const [{ total, averageLength }] = await scope(
+    knex({ d: documentMeta.tableName }).count({ total: '*' }).avg({ averageLength: dc('length') })
+  );
+  const documentCount = Number(total) || 0;
+  const avgLength = Number(averageLength) || 1;
+  if (documentCount === 0) return [];
+
+  let scores = null;
+  for (const [index, token] of tokens.entries()) {
+    const prefix = index === tokens.length - 1 && token.length >= 2;
+    const query = scope(
+      knex({ t: termMeta.tableName })
+        .join({ d: documentMeta.tableName }, tc('searchDocumentId'), 'd.id')
+        .select({
+          id: 'd.id',
+          titleFrequency: tc('titleFrequency'),
+          bodyFrequency: tc('bodyFrequency'),
+          length: dc('length'),
+        })
+    );
+    // Tokens hold only letters, marks and digits, so they need no LIKE escaping.
+    if (prefix) query.where(tc('term'), 'like', `${token}%`);
+    else query.where(tc('term'), token);
+    const rows = await query;
+
+    const matches = new Map();
+    for (const row of rows) {
+      const tf = Number(row.titleFrequency) * TITLE_WEIGHT + Number(row.bodyFrequency);
+      const previous = matches.get(row.id);
+      matches.set(row.id, { tf: (previous?.tf ?? 0) + tf, length: Number(row.length) || 1 });
+    }
+    const idf = Math.log(1 + (documentCount - matches.size + 0.5) / (matches.size + 0.5));
+    const next = new Map();
+    for (const [id, { tf, length }] of matches) {
+      if (scores && !scores.has(id)) continue;
+      const termScore = (idf * tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + (BM25_B * length) / avgLength));
+      next.set(id, (scores?.get(id) ?? 0) + termScore);
+    }
+    scores = next;
+    if (scores.size === 0) return [];
+  }
+
+  const ranked = [...scores].sort((a, b) => b[1] - a[1]);
+  const byUid = new Map();
+  const documents = new Map(
+    (
+      await strapi.db.query(DOCUMENT_UID).findMany({
+        where: { id: { $in: ranked.map(([id]) => id) } },
+        select: ['id', 'contentType'],
+      })
+    ).map((row) => [row.id, row])
+  );
+  for (const [id, score] of ranked) {
+    const row = documents.get(id);
+    if (!row) continue;
+    if (!byUid.has(row.contentType)) byUid.set(row.contentType, []);
+    byUid.get(row.contentType).push({ id, score });
+  }
+
+  const groups = [];
+  for (const [uid, hits] of byUid) {
+    const top = hits.slice(0, limit);
+    const rows = await strapi.db.query(DOCUMENT_UID).findMany({
+      where: { id: { $in: top.map((hit) => hit.id) } },
+      select: ['id', 'entryDocumentId', 'slug', 'title', 'text'],
+    });
+    const byId = new Map(rows.map((row) => [row.id, row]));
+    const contentType = strapi.contentTypes[uid];
+    groups.push({
+      uid,
+      type: contentType.info.singularName,
+      label: getSearchConfig(uid).label || contentType.info.displayName,
+      total: hits.length,
+      results: top.map(({ id, score }) => {
+        const row = byId.get(id);
+        return {
+          documentId: row.entryDocumentId,
+          slug: row.slug ?? null,
+          title: row.title,
+          highlight: { title: highlight(row.title || '', tokens), snippet: snippet(row.text || '', tokens) },
+          score: Math.round(score * 1000) / 1000,
+        };
+      }),
+    });
+  }
+  return groups;
+}
+
+module.exports = {
+  normalizeText,
+  getSearchTypes,
+  indexDocument,
+  countTenantIndex,
+  removeTenantIndex,
+  registerSearchIndexLifecycles,
+  waitForSearchIndex,
+  rebuildSearchIndex,
+  search,
+};
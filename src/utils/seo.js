@@ -0,0 +1,229 @@
+'use strict';
+
+const { isTenantScoped } = require('./tenancy');
+const { findTenantSingleton } = require('./tenant-singleton');
+const { getEntryUrl, getMediaUrl } = require('./public-urls');
+const { markdownToText, truncateText } = require('./plain-text');
+
+/**
+ * Resolved meta tags and JSON-LD for GET /api/seo/resolve?type=&slug= (src/api/seo).
+ *
+ * Articles, categories, dioceses and parishes have an optional `seo` component
+ * (shared.seo). Each value falls back field by field:
+ *   title        seo.metaTitle → the entry's title / name → global.defaultSeo.metaTitle → siteName
+ *   description  seo.metaDescription → the entry's excerpt / description → defaultSeo → siteDescription
+ *   image        seo.shareImage → the entry's cover / image → defaultSeo.shareImage
+ *   canonical    seo.canonicalUrl → the entry's page on the tenant's site (public-urls.js)
+ * noIndex on the entry or on defaultSeo makes the page noindex. Global is the calling
+ * tenant's copy, else the shared one.
+ */
+
+const DESCRIPTION_LENGTH = 160;
+const HEADLINE_LENGTH = 110;
+
+/** type → where its title, description and image come from. */
+const SEO_TYPES = {
+  article: { uid: 'api::article.article', title: 'title', image: 'cover', ogType: 'article' },
+  category: { uid: 'api::category.category', title: 'name' },
+  diocese: { uid: 'api::diocese.diocese', title: 'name', image: 'image' },
+  parish: { uid: 'api::parish.parish', title: 'name', image: 'image' },
+};
+
+const SEO_POPULATE = { populate: { shareImage: true } };
+
+function getSeoType(type) {
+  const config = Object.prototype.hasOwnProperty.call(SEO_TYPES, type) ? SEO_TYPES[type] : null;
+  return config && strapi.contentTypes[config.uid] ? config : null;
+}
+
+/** Drop null, undefined and empty values (JSON-LD and meta tags only list what is known). */
+function compact(value) {
+  if (Array.isArray(value)) {
+    const items = value.map(compact).filter((item) => item != null);
+    return items.length ? items : null;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value)
+      .map(([key, item]) => [key, compact(item)])
+      .filter(([, item]) => item != null);
+    return entries.length ? Object.fromEntries(entries) : null;
+  }
+  return value === '' ? null : value ?? null;
+}
+
+function firstText(...values) {
+  for (const value of values) {
+    if (typeof value === 'string' && value.trim()) return value.trim();
+  }
+  return null;
+}
+
+function toImage(media, origin) {
+  if (!media?.url) return null;
+  return {
+    url: getMediaUrl(media.url, origin),
+    width: media.width ?? null,
+    height: media.height ?? null,
+    alt: media.alternativeText || null,
+    type: media.mime || null,
+  };
+}
+
+/** The published entry of the tenant with that slug, with its seo, image and what JSON-LD needs. */
+async function findEntry(config, slug, tenant) {
+  const contentType = strapi.contentTypes[config.uid];
+  const where = { slug };
+  if (contentType.options?.draftAndPublish) where.publishedAt = { $notNull: true };
+  if (isTenantScoped(config.uid) && tenant?.id != null) where.tenant = { id: tenant.id };
+
+  const populate = { seo: SEO_POPULATE };
+  if (config.image) populate[config.image] = true;
+  if (config.uid === 'api::article.article') {
+    populate.author = { select: ['name'] };
+    populate.category = { select: ['name'] };
+  }
+  return strapi.db.query(config.uid).findOne({ where, populate });
+}
+
+function entryDescription(type, entry) {
+  if (type === 'article') return entry.excerpt || markdownToText(entry.description);
+  return entry.description;
+}
+
+function postalAddress(entry) {
+  const street = [entry.addressLine1, entry.addressLine2].filter(Boolean).join(', ') || entry.address;
+  return {
+    '@type': 'PostalAddress',
+    streetAddress: street,
+    addressLocality: entry.city,
+    addressRegion: entry.state,
+    postalCode: entry.postalCode,
+    addressCountry: entry.country,
+  };
+}
+
+function firstPhone(phones) {
+  return firstText(...String(phones ?? '').split(/[\n,;]/));
+}
+
+function buildJsonLd(type, entry, seo, site) {
+  const base = { '@context': 'https://schema.org' };
+  const image = seo.image?.url;
+  switch (type) {
+    case 'article':
+      return {
+        ...base,
+        '@type': 'NewsArticle',
+        url: seo.canonical,
+        headline: truncateText(entry.title || seo.title, HEADLINE_LENGTH),
+        description: seo.description,
+        image: image ? [image] : null,
+        datePublished: entry.publishedAt,
+        dateModified: entry.updatedAt,
+        author: entry.author?.name ? { '@type': 'Person', name: entry.author.name } : null,
+        publisher: { '@type': 'Organization', name: site.name, logo: site.logo ? { '@type': 'ImageObject', url: site.logo } : null },
+        mainEntityOfPage: seo.canonical ? { '@type': 'WebPage', '@id': seo.canonical } : null,
+        articleSection: entry.category?.name,
+        wordCount: entry.wordCount,
+      };
+    case 'category':
+      return { ...base, '@type': 'CollectionPage', url: seo.canonical, name: entry.name, description: seo.description };
+    case 'diocese':
+      return {
+        ...base,
+        '@type': 'Organization',
+        url: seo.canonical,
+        name: entry.name,
+        description: seo.description,
+        image,
+        email: entry.email,
+        telephone: firstPhone(entry.phones),
+        address: entry.address ? { '@type': 'PostalAddress', streetAddress: entry.address } : null,
+        sameAs: entry.website ? [entry.website] : null,
+      };
+    case 'parish':
+      return {
+        ...base,
+        '@type': 'Church',
+        url: seo.canonical,
+        name: entry.name,
+        image,
+        email: entry.email,
+        telephone: firstPhone(entry.phones) || entry.phoneSecondary,
+        address: postalAddress(entry),
+      };
+    default:
+      return null;
+  }
+}
+
+function buildMetaTags(seo) {
+  const image = seo.image;
+  return [
+    { name: 'description', content: seo.description },
+    { name: 'robots', content: seo.robots },
+    { property: 'og:type', content: seo.openGraph.type },
+    { property: 'og:title', content: seo.title },
+    { property: 'og:description', content: seo.description },
+    { property: 'og:url', content: seo.canonical },
+    { property: 'og:site_name', content: seo.openGraph.siteName },
+    { property: 'og:image', content: image?.url },
+    { property: 'og:image:width', content: image?.width != null ? String(image.width) : null },
+    { property: 'og:image:height', content: image?.height != null ? String(image.height) : null },
+    { property: 'og:image:alt', content: image?.alt },
+    { name: 'twitter:card', content: seo.twitter.card },
+    { name: 'twitter:title', content: seo.title },
+    { name: 'twitter:description', content: seo.description },
+    { name: 'twitter:image', content: image?.url },
+  ].filter((tag) => tag.content);
+}
+
+/**
+ * Meta tags and JSON-LD of the tenant's published entry (type: article, category,
+ * diocese, parish) with that slug, or null when there is none.
+ */
+async function resolveSeo(type, slug, { tenant, origin } = {}) {
+  const config = getSeoType(type);
+  if (!config) return null;
+  const entry = await findEntry(config, slug, tenant);
+  if (!entry) return null;
+
+  const global = await findTenantSingleton('api::global.global', tenant, {
+    fields: ['siteName', 'siteDescription'],
+    populate: { favicon: true, defaultSeo: SEO_POPULATE },
+  });
+  const own = entry.seo ?? {};
+  const defaults = global?.defaultSeo ?? {};
+  const site = { name: global?.siteName || tenant?.name || null, logo: getMediaUrl(global?.favicon?.url, origin) };
+
+  const entryText = entryDescription(type, entry);
+  const description = firstText(
+    own.metaDescription,
+    entryText ? truncateText(entryText, DESCRIPTION_LENGTH) : null,
+    defaults.metaDescription,
+    global?.siteDescription
+  );
+  const image =
+    toImage(own.shareImage, origin) ?? toImage(config.image ? entry[config.image] : null, origin) ?? toImage(defaults.shareImage, origin);
+  const seo = {
+    type,
+    documentId: entry.documentId,
+    slug: entry.slug,
+    title: firstText(own.metaTitle, entry[config.title], defaults.metaTitle, site.name),
+    description,
+    canonical: firstText(own.canonicalUrl) ?? getEntryUrl(tenant, type, entry),
+    robots: own.noIndex || defaults.noIndex ? 'noindex, follow' : 'index, follow',
+    image,
+  };
+  seo.openGraph = { type: own.ogType || config.ogType || 'website', siteName: site.name };
+  seo.twitter = { card: image ? 'summary_large_image' : 'summary' };
+  seo.metaTags = buildMetaTags(seo);
+  seo.jsonLd = compact(buildJsonLd(type, entry, seo, site));
+  return seo;
+}
+
+module.exports = {
+  SEO_TYPES,
+  getSeoType,
+  resolveSeo,
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+const { DEFAULT_PATTERNS, getSiteUrl, getUrlPattern, getEntryUrl } = require('./public-urls');
+
+/**
+ * Per-tenant XML sitemaps for GET /sitemaps/:tenantSlug/* (src/api/sitemap).
+ *
+ * A tenant's sitemap lists its home page, published articles, the categories and
+ * tags those articles have and its directory pages (dioceses, parishes, priests, bishops,
+ * directory entries), each with lastmod from updatedAt. Page URLs follow the
+ * tenant's urlPatterns (src/utils/public-urls.js); a type whose pattern is null is
+ * left out. Above SITEMAP_MAX_URLS (at most 50,000, the protocol's limit) sitemap.xml
+ * becomes a sitemap index of sitemap-1.xml, sitemap-2.xml, ...
+ */
+
+const PROTOCOL_MAX_URLS = 50000;
+const XMLNS = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function getChunkSize() {
+  const configured = Number(process.env.SITEMAP_MAX_URLS);
+  return configured > 0 ? Math.min(Math.floor(configured), PROTOCOL_MAX_URLS) : PROTOCOL_MAX_URLS;
+}
+
+function toDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+/** Rows of one type with a public page, as { loc, lastmod }. */
+async function typeEntries(tenant, type) {
+  const uid = `api::${type}.${type}`;
+  const contentType = strapi.contentTypes[uid];
+  if (!contentType || !getUrlPattern(tenant, type)) return [];
+
+  let where;
+  if (type === 'category') {
+    // Shared and own categories; list those with published articles of this tenant.
+    where = { articles: { tenant: { id: tenant.id }, publishedAt: { $notNull: true } } };
+  } else if (type === 'tag') {
+    // Topic pages without published articles would be empty.
+    where = { tenant: { id: tenant.id }, articles: { publishedAt: { $notNull: true } } };
+  } else {
+    where = { tenant: { id: tenant.id } };
+    if (contentType.options?.draftAndPublish) where.publishedAt = { $notNull: true };
+  }
+  const rows = await strapi.db.query(uid).findMany({
+    where,
+    select: ['documentId', 'slug', 'updatedAt'],
+    orderBy: { id: 'asc' },
+  });
+  return rows
+    .map((row) => ({ loc: getEntryUrl(tenant, type, row), lastmod: toDate(row.updatedAt) }))
+    .filter((entry) => entry.loc);
+}
+
+/** All sitemap entries of the tenant: [{ loc, lastmod }], home page first. */
+async function collectSitemapEntries(tenant) {
+  const site = getSiteUrl(tenant);
+  if (!site) return [];
+  let entries = [];
+  for (const type of Object.keys(DEFAULT_PATTERNS)) {
+    entries = entries.concat(await typeEntries(tenant, type));
+  }
+  return [{ loc: `${site}/`, lastmod: latestLastmod(entries) }, ...entries];
+}
+
+/** Newest lastmod of the entries, or null. */
+function latestLastmod(entries) {
+  return entries.reduce((max, entry) => (entry.lastmod && (!max || entry.lastmod > max) ? entry.lastmod : max), null);
+}
+
+function renderUrlset(entries) {
+  const urls = entries.map(
+    (entry) =>
+      `<url><loc>${escapeXml(entry.loc)}</loc>${entry.lastmod ? `<lastmod>${entry.lastmod.toISOString()}</lastmod>` : ''}</url>`
+  );
+  return ['<?xml version="1.0" encoding="UTF-8"?>', `<urlset xmlns="${XMLNS}">`, ...urls, '</urlset>'].join('\n');
+}
+
+/** sitemaps: [{ loc, lastmod }] of the chunk files. */
+function renderSitemapIndex(sitemaps) {
+  const items = sitemaps.map(
+    (sitemap) =>
+      `<sitemap><loc>${escapeXml(sitemap.loc)}</loc>${sitemap.lastmod ? `<lastmod>${sitemap.lastmod.toISOString()}</lastmod>` : ''}</sitemap>`
+  );
+  return ['<?xml version="1.0" encoding="UTF-8"?>', `<sitemapindex xmlns="${XMLNS}">`, ...items, '</sitemapindex>'].join(
+    '\n'
+  );
+}
+
+function renderRobots(sitemapUrl) {
+  return ['User-agent: *', 'Allow: /', '', `Sitemap: ${sitemapUrl}`, ''].join('\n');
+}
+
+module.exports = {
+  getChunkSize,
+  collectSitemapEntries,
+  latestLastmod,
+  renderUrlset,
+  renderSitemapIndex,
+  renderRobots,
+};
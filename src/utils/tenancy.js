@@ -0,0 +1,161 @@
+'use strict';
+
+/**
+ * Tenant scoping is declared once per content type in its schema:
+ *
+ *   "pluginOptions": { "tenancy": { "scoped": true } }
+ *
+ * Everything that used to keep its own list of tenant-scoped UIDs (content-manager
+ * extension, hide-tenant middleware, Editor permissions, layout cleanup, document
+ * middlewares, lifecycles) reads it from here, so a new content type becomes
+ * tenant-aware by setting the flag and adding a `tenant` relation.
+ *
+ * Optional flags next to `scoped`:
+ * - `singleton`: at most one entry per tenant (per-tenant replacement for a single
+ *   type, served by src/utils/tenant-singleton.js at e.g. GET /api/homepage).
+ * - `allowShared`: an entry without a tenant is a shared default that the Content
+ *   API serves to every tenant (alongside, or instead of, the tenant's own entries).
+ */
+
+function getTenancyOptions(uid) {
+  const contentType = uid ? strapi.contentTypes[uid] : null;
+  const options = contentType?.pluginOptions?.tenancy;
+  return options && typeof options === 'object' ? options : null;
+}
+
+function isTenantScoped(uid) {
+  return getTenancyOptions(uid)?.scoped === true;
+}
+
+function isTenantSingleton(uid) {
+  return isTenantScoped(uid) && getTenancyOptions(uid).singleton === true;
+}
+
+function allowsSharedEntries(uid) {
+  return isTenantScoped(uid) && getTenancyOptions(uid).allowShared === true;
+}
+
+/** Related id from a relation value (id, documentId, { id }, { connect | set: [...] }). */
+function getRelationId(value) {
+  if (value == null) return undefined;
+  if (typeof value !== 'object') return value;
+  if (Array.isArray(value)) return getRelationId(value[0]);
+  const ref = value.connect ?? value.set;
+  if (ref !== undefined) return getRelationId(Array.isArray(ref) ? ref[0] : ref);
+  return value.id ?? value.documentId;
+}
+
+/** Where clause matching a relation by numeric id or documentId. */
+function relationWhere(relationId) {
+  return typeof relationId === 'string' && Number.isNaN(Number(relationId))
+    ? { documentId: relationId }
+    : { id: relationId };
+}
+
+/** Filter limiting a tenant-scoped type to the tenant's entries (plus shared ones with allowShared). */
+function tenantFilter(uid, tenant) {
+  return allowsSharedEntries(uid)
+    ? { $or: [{ tenant: { id: tenant.id } }, { tenant: { id: { $null: true } } }] }
+    : { tenant: { id: tenant.id } };
+}
+
+const POPULATABLE_TYPES = ['relation', 'component', 'dynamiczone', 'media'];
+const POPULATE_ALL_SKIPPED = new Set(['createdBy', 'updatedBy', 'localizations']);
+
+function attributesOf(uid) {
+  return (strapi.contentTypes[uid] ?? strapi.components[uid])?.attributes ?? {};
+}
+
+/** A populate param ('*', 'a,b.c', ['a', 'b.c'] or an object) as an object keyed by attribute. */
+function toPopulateObject(uid, populate) {
+  if (populate === '*' || populate === true || populate === 'true') {
+    const all = {};
+    for (const [name, attribute] of Object.entries(attributesOf(uid))) {
+      if (POPULATABLE_TYPES.includes(attribute.type) && !POPULATE_ALL_SKIPPED.has(name)) all[name] = true;
+    }
+    return all;
+  }
+  const paths = typeof populate === 'string' ? populate.split(',') : Array.isArray(populate) ? populate : null;
+  if (!paths) return populate && typeof populate === 'object' ? populate : null;
+  const nested = new Map();
+  for (const path of paths) {
+    const [head, ...rest] = String(path).trim().split('.');
+    if (!head) continue;
+    if (head === '*') {
+      for (const name of Object.keys(toPopulateObject(uid, '*'))) if (!nested.has(name)) nested.set(name, []);
+      continue;
+    }
+    if (!nested.has(head)) nested.set(head, []);
+    if (rest.length > 0) nested.get(head).push(rest.join('.'));
+  }
+  return Object.fromEntries([...nested].map(([name, rest]) => [name, rest.length > 0 ? { populate: rest } : true]));
+}
+
+/**
+ * Populate param with the tenant filter added to every relation (at any depth) that
+ * targets a tenant-scoped type, so e.g. /api/categories?populate=articles only lists
+ * the tenant's articles. isAllowed(targetUid) false drops the relation altogether.
+ */
+function scopePopulate(uid, populate, tenant, isAllowed = () => true) {
+  const object = toPopulateObject(uid, populate);
+  if (!object) return populate;
+  const attributes = attributesOf(uid);
+  const scoped = {};
+  for (const [name, value] of Object.entries(object)) {
+    const attribute = attributes[name];
+    const options = value && typeof value === 'object' ? value : {};
+    if (!attribute || value === false || value === 'false') {
+      scoped[name] = value;
+    } else if (attribute.type === 'relation') {
+      if (!isAllowed(attribute.target)) continue;
+      const next = { ...options };
+      if (isTenantScoped(attribute.target)) {
+        const filter = tenantFilter(attribute.target, tenant);
+        next.filters = options.filters ? { $and: [options.filters, filter] } : filter;
+      }
+      if (options.populate) next.populate = scopePopulate(attribute.target, options.populate, tenant, isAllowed);
+      scoped[name] = Object.keys(next).length > 0 ? next : value;
+    } else if (attribute.type === 'component' && options.populate) {
+      scoped[name] = { ...options, populate: scopePopulate(attribute.component, options.populate, tenant, isAllowed) };
+    } else if (attribute.type === 'dynamiczone' && options.on && typeof options.on === 'object') {
+      const on = {};
+      for (const [component, componentOptions] of Object.entries(options.on)) {
+        on[component] = componentOptions?.populate
+          ? { ...componentOptions, populate: scopePopulate(component, componentOptions.populate, tenant, isAllowed) }
+          : componentOptions;
+      }
+      scoped[name] = { ...options, on };
+    } else {
+      scoped[name] = value;
+    }
+  }
+  return scoped;
+}
+
+/** UIDs of all content types flagged with pluginOptions.tenancy.scoped. */
+function getTenantScopedUids() {
+  return Object.keys(strapi.contentTypes).filter(isTenantScoped);
+}
+
+/** Log scoped content types that are missing the `tenant` relation the flag relies on. */
+function warnOnMisconfiguredTenancy() {
+  for (const uid of getTenantScopedUids()) {
+    const attr = strapi.contentTypes[uid].attributes?.tenant;
+    if (attr?.type !== 'relation' || attr.target !== 'api::tenant.tenant') {
+      strapi.log.warn(`${uid} has pluginOptions.tenancy.scoped but no "tenant" relation to api::tenant.tenant`);
+    }
+  }
+}
+
+module.exports = {
+  getTenancyOptions,
+  isTenantScoped,
+  isTenantSingleton,
+  allowsSharedEntries,
+  getRelationId,
+  relationWhere,
+  tenantFilter,
+  scopePopulate,
+  getTenantScopedUids,
+  warnOnMisconfiguredTenancy,
+};
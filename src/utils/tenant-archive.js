@@ -0,0 +1,530 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { errors } = require('@strapi/utils');
+const requestContext = require('./request-context');
+const { getTenantScopedUids, isTenantScoped, isTenantSingleton, allowsSharedEntries } = require('./tenancy');
+const { SLUG_FIELD, hasTenantSlugs, slugScopeWhere } = require('./tenant-slugs');
+const { buildPopulate } = require('./populate');
+
+/**
+ * Per-tenant export / import archive (scripts/export-tenant.js, scripts/import-tenant.js).
+ *
+ * Export collects every tenant-scoped content type (articles, flash news, ads, all
+ * directory types, liturgy days, homepage, the tenant's own categories, ...), the
+ * shared entries they point to (shared categories, authors) and the metadata of every referenced media file. Entries are
+ * keyed by their source documentId; relations are stored as lists of documentIds.
+ *
+ * Draft & Publish entries carry the draft (data, relations) and, when published, the
+ * published version (publishedData, publishedRelations) separately, so unpublished
+ * edits survive the round trip without going live.
+ *
+ * Import recreates the entries in a target tenant (the archived one or another),
+ * which gives every entry a new documentId, then rewires relations through the
+ * old → new documentId map, publishes the published version and puts the draft
+ * back on top of it. Version 1 archives (draft only) are still read. Shared entries and
+ * media are reused when the target instance already has them (same documentId,
+ * slug / name, or file URL); media records are recreated from their metadata, the
+ * files themselves stay where the URL points (S3 / CDN). Authors that belong to the
+ * tenant (tenant set) are exported whether or not an entry points to them, and are
+ * matched and recreated within the target tenant only.
+ *
+ * Slugs are unique per tenant for articles, categories, tags and the directory types
+ * (src/utils/tenant-slugs.js) and other uid fields per instance: a slug already taken
+ * in the target gets the tenantId appended, with a warning in the report.
+ *
+ * Limitation: relations inside components are not rewired (the current schema has none).
+ */
+
+const FORMAT = 'tenant-archive';
+const VERSION = 2;
+const READABLE_VERSIONS = [1, 2];
+const SYSTEM_FIELDS = new Set([
+  'id',
+  'documentId',
+  'createdAt',
+  'updatedAt',
+  'publishedAt',
+  'locale',
+  'localizations',
+  'createdBy',
+  'updatedBy',
+  'tenant',
+  'slugKey',
+]);
+/** Shared types whose entries may belong to one tenant through a plain tenant relation. */
+const TENANT_OWNED_UIDS = ['api::author.author'];
+const MEDIA_FIELDS = [
+  'name',
+  'alternativeText',
+  'caption',
+  'width',
+  'height',
+  'formats',
+  'hash',
+  'ext',
+  'mime',
+  'size',
+  'url',
+  'previewUrl',
+  'provider',
+  'provider_metadata',
+];
+
+/** Relations exported by documentId: owning side only, content types only. */
+function isExportedRelation(attribute) {
+  return (
+    attribute.type === 'relation' &&
+    !attribute.mappedBy &&
+    typeof attribute.target === 'string' &&
+    attribute.target.startsWith('api::') &&
+    attribute.target !== 'api::tenant.tenant'
+  );
+}
+
+function isToMany(attribute) {
+  return /ToMany$/.test(attribute.relation);
+}
+
+/** Populate for the documents API: media, components and (with relations) the exported relations. */
+function entryPopulate(attributes, { relations = true } = {}) {
+  return buildPopulate(attributes, {
+    include: (name) => !SYSTEM_FIELDS.has(name),
+    relations: relations && ((name, attribute) => isExportedRelation(attribute)),
+    componentRelations: false,
+  });
+}
+
+/** Plain data (scalars, components, media ids) of an entry; records media ids in mediaIds. */
+function serializeData(attributes, entry, mediaIds) {
+  const data = {};
+  for (const [name, attribute] of Object.entries(attributes)) {
+    if (SYSTEM_FIELDS.has(name) || !(name in entry)) continue;
+    const value = entry[name];
+    if (attribute.type === 'relation') continue;
+    if (attribute.type === 'media') {
+      const files = value == null ? [] : Array.isArray(value) ? value : [value];
+      files.forEach((file) => mediaIds.add(file.id));
+      data[name] = attribute.multiple ? files.map((file) => file.id) : files[0]?.id ?? null;
+    } else if (attribute.type === 'component') {
+      const componentAttributes = strapi.components[attribute.component].attributes;
+      const serialize = (item) => (item ? serializeData(componentAttributes, item, mediaIds) : null);
+      data[name] = attribute.repeatable ? (value || []).map(serialize) : serialize(value);
+    } else if (attribute.type === 'dynamiczone') {
+      data[name] = (value || []).map((item) => ({
+        __component: item.__component,
+        ...serializeData(strapi.components[item.__component].attributes, item, mediaIds),
+      }));
+    } else {
+      data[name] = value;
+    }
+  }
+  return data;
+}
+
+function serializeRelations(attributes, entry) {
+  const relations = {};
+  for (const [name, attribute] of Object.entries(attributes)) {
+    if (!isExportedRelation(attribute) || !(name in entry)) continue;
+    const value = entry[name];
+    const targets = value == null ? [] : Array.isArray(value) ? value : [value];
+    relations[name] = { target: attribute.target, documentIds: targets.map((t) => t.documentId) };
+  }
+  return relations;
+}
+
+/**
+ * Build the archive for one tenant (by tenantId). Returns a plain object ready for
+ * JSON.stringify.
+ */
+async function exportTenantArchive(tenantId) {
+  const tenant = await strapi.db.query('api::tenant.tenant').findOne({ where: { tenantId } });
+  if (!tenant) throw new errors.NotFoundError(`Tenant not found: ${tenantId}`);
+
+  const mediaIds = new Set();
+  const sharedRefs = new Map();
+  const entries = {};
+
+  const collectSharedRefs = (relations) => {
+    for (const { target, documentIds } of Object.values(relations)) {
+      if (isTenantScoped(target) && !allowsSharedEntries(target)) continue;
+      if (!sharedRefs.has(target)) sharedRefs.set(target, new Set());
+      documentIds.forEach((id) => sharedRefs.get(target).add(id));
+    }
+    return relations;
+  };
+
+  await requestContext.run(undefined, async () => {
+    for (const uid of getTenantScopedUids()) {
+      const { attributes, options } = strapi.contentTypes[uid];
+      const documents = strapi.documents(uid);
+      const query = { filters: { tenant: { id: tenant.id } }, populate: entryPopulate(attributes) };
+      const rows = await documents.findMany(query);
+      if (rows.length === 0) continue;
+
+      const published = new Map();
+      if (options?.draftAndPublish) {
+        const publishedRows = await documents.findMany({ ...query, status: 'published' });
+        publishedRows.forEach((row) => published.set(row.documentId, row));
+      }
+
+      entries[uid] = rows.map((row) => {
+        const entry = {
+          documentId: row.documentId,
+          published: published.has(row.documentId),
+          publishedAt: published.get(row.documentId)?.publishedAt ?? null,
+          data: serializeData(attributes, row, mediaIds),
+          relations: collectSharedRefs(serializeRelations(attributes, row)),
+        };
+        const publishedRow = published.get(row.documentId);
+        if (publishedRow) {
+          entry.publishedData = serializeData(attributes, publishedRow, mediaIds);
+          entry.publishedRelations = collectSharedRefs(serializeRelations(attributes, publishedRow));
+        }
+        return entry;
+      });
+    }
+  });
+
+  const owned = new Set();
+  for (const uid of TENANT_OWNED_UIDS) {
+    const rows = await strapi.db.query(uid).findMany({ where: { tenant: { id: tenant.id } }, select: ['documentId'] });
+    if (rows.length === 0) continue;
+    if (!sharedRefs.has(uid)) sharedRefs.set(uid, new Set());
+    rows.forEach((row) => {
+      owned.add(row.documentId);
+      sharedRefs.get(uid).add(row.documentId);
+    });
+  }
+
+  const shared = {};
+  for (const [uid, documentIds] of sharedRefs) {
+    const { attributes } = strapi.contentTypes[uid];
+    const filters = { documentId: { $in: [...documentIds] } };
+    // The tenant's own entries of types with shared entries are already in entries.
+    if (isTenantScoped(uid)) filters.tenant = { id: { $null: true } };
+    const rows = await strapi.documents(uid).findMany({
+      filters,
+      populate: entryPopulate(attributes, { relations: false }),
+    });
+    if (rows.length === 0) continue;
+    shared[uid] = rows.map((row) => ({
+      documentId: row.documentId,
+      ...(owned.has(row.documentId) ? { tenantOwned: true } : {}),
+      data: serializeData(attributes, row, mediaIds),
+    }));
+  }
+
+  const files = mediaIds.size
+    ? await strapi.db.query('plugin::upload.file').findMany({ where: { id: { $in: [...mediaIds] } } })
+    : [];
+  const media = files.map((file) => {
+    const item = { sourceId: file.id };
+    MEDIA_FIELDS.forEach((field) => {
+      if (file[field] !== undefined) item[field] = file[field];
+    });
+    return item;
+  });
+
+  return {
+    format: FORMAT,
+    version: VERSION,
+    exportedAt: new Date().toISOString(),
+    tenant: {
+      tenantId: tenant.tenantId,
+      name: tenant.name,
+      slug: tenant.slug,
+      domain: tenant.domain,
+      description: tenant.description ?? null,
+      urlPatterns: tenant.urlPatterns ?? null,
+      previewUrl: tenant.previewUrl ?? null,
+    },
+    media,
+    shared,
+    entries,
+  };
+}
+
+/** Replace source media ids in data (including components) with target ids. */
+function remapMedia(attributes, data, mediaMap) {
+  const out = {};
+  for (const [name, value] of Object.entries(data || {})) {
+    const attribute = attributes[name];
+    if (!attribute) continue;
+    if (attribute.type === 'media') {
+      const mapId = (id) => mediaMap.get(id) ?? null;
+      out[name] = Array.isArray(value) ? value.map(mapId).filter((id) => id != null) : value == null ? null : mapId(value);
+    } else if (attribute.type === 'component') {
+      const componentAttributes = strapi.components[attribute.component].attributes;
+      const remap = (item) => (item ? remapMedia(componentAttributes, item, mediaMap) : null);
+      out[name] = Array.isArray(value) ? value.map(remap) : remap(value);
+    } else if (attribute.type === 'dynamiczone') {
+      out[name] = (value || [])
+        .filter((item) => strapi.components[item.__component])
+        .map((item) => ({
+          __component: item.__component,
+          ...remapMedia(strapi.components[item.__component].attributes, item, mediaMap),
+        }));
+    } else {
+      out[name] = value;
+    }
+  }
+  return out;
+}
+
+async function importMedia(media, report) {
+  const mediaMap = new Map();
+  for (const item of media || []) {
+    const { sourceId, ...metadata } = item;
+    const existing = await strapi.db.query('plugin::upload.file').findOne({
+      where: metadata.hash ? { url: metadata.url, hash: metadata.hash } : { url: metadata.url },
+      select: ['id'],
+    });
+    if (existing) {
+      mediaMap.set(sourceId, existing.id);
+      report.media.reused += 1;
+      continue;
+    }
+    const created = await strapi.db.query('plugin::upload.file').create({ data: metadata });
+    mediaMap.set(sourceId, created.id);
+    report.media.created += 1;
+  }
+  return mediaMap;
+}
+
+/**
+ * Find an existing shared entry: same documentId, then slug, then name. Entries the
+ * archived tenant owned only match entries of the target tenant, shared entries of
+ * tenant-scoped types (categories) only shared ones.
+ */
+async function findSharedMatch(uid, item, tenant) {
+  const { attributes } = strapi.contentTypes[uid];
+  const scope = item.tenantOwned
+    ? { tenant: { id: tenant.id } }
+    : isTenantScoped(uid)
+      ? { tenant: { id: { $null: true } } }
+      : {};
+  const candidates = [{ documentId: item.documentId }];
+  if (attributes.slug && item.data.slug) candidates.push({ slug: item.data.slug });
+  if (attributes.name && item.data.name) candidates.push({ name: item.data.name });
+  for (const where of candidates) {
+    const match = await strapi.db.query(uid).findOne({ where: { ...where, ...scope }, select: ['documentId'] });
+    if (match) return match;
+  }
+  return null;
+}
+
+/** Suffix uid values (slugs) already used by another document of the target tenant (or instance). */
+async function freeUidValues(uid, data, { tenantId, tenant, documentId, label }, report) {
+  for (const [name, attribute] of Object.entries(strapi.contentTypes[uid].attributes)) {
+    const isTenantSlug = name === SLUG_FIELD && hasTenantSlugs(uid);
+    if ((attribute.type !== 'uid' && !isTenantSlug) || typeof data[name] !== 'string' || !data[name]) continue;
+    const scope = isTenantSlug ? slugScopeWhere(uid, tenant.id) : {};
+    const base = data[name];
+    let candidate = base;
+    for (let n = 1; ; n += 1) {
+      const where = { [name]: candidate, ...scope };
+      if (documentId) where.documentId = { $ne: documentId };
+      if (!(await strapi.db.query(uid).findOne({ where, select: ['id'] }))) break;
+      candidate = `${base}-${tenantId}${n > 1 ? `-${n}` : ''}`.toLowerCase().replace(/[^a-z0-9-_.~]/g, '-');
+    }
+    if (candidate !== base) {
+      report.warnings.push(`${label}: ${name} "${base}" is taken, imported as "${candidate}"`);
+      data[name] = candidate;
+    }
+  }
+}
+
+/**
+ * The version an entry is created from: the published one when it was published
+ * (version 1 archives only have the draft), else the draft.
+ */
+function firstVersion(item) {
+  return item.published && item.publishedData
+    ? { data: item.publishedData, relations: item.publishedRelations || {} }
+    : { data: item.data, relations: item.relations || {} };
+}
+
+/** True when a published entry had draft changes that were not published. */
+function hasUnpublishedDraft(item) {
+  if (!item.published || !item.publishedData) return false;
+  return (
+    JSON.stringify(item.data) !== JSON.stringify(item.publishedData) ||
+    JSON.stringify(item.relations || {}) !== JSON.stringify(item.publishedRelations || {})
+  );
+}
+
+/** Archived relations (documentIds) as update data with the target's documentIds. */
+function mapRelations(uid, item, relations, documentIdMap, report) {
+  const { attributes } = strapi.contentTypes[uid];
+  const data = {};
+  for (const [field, { documentIds }] of Object.entries(relations)) {
+    const attribute = attributes[field];
+    if (!attribute || !isExportedRelation(attribute)) continue;
+    const mapped = [];
+    for (const sourceId of documentIds) {
+      const targetId = documentIdMap.get(sourceId);
+      if (targetId) mapped.push(targetId);
+      else report.warnings.push(`${uid} ${item.documentId}: ${field} → ${sourceId} not in archive, dropped`);
+    }
+    data[field] = isToMany(attribute) ? mapped : mapped[0] ?? null;
+  }
+  return data;
+}
+
+function count(bucket, uid) {
+  bucket[uid] = (bucket[uid] || 0) + 1;
+}
+
+/**
+ * Import an archive. options.tenantId imports into another tenant (created from the
+ * archived tenant's name/domain when missing); options.domain overrides the domain
+ * of a newly created tenant.
+ * Returns { tenant, created: { uid: n }, reused: { uid: n }, media: { created, reused }, warnings }.
+ */
+async function importTenantArchive(archive, options = {}) {
+  if (archive?.format !== FORMAT || !READABLE_VERSIONS.includes(archive.version)) {
+    throw new errors.ValidationError(`Not a ${FORMAT} v${READABLE_VERSIONS.join('/')} file.`);
+  }
+  const tenantId = options.tenantId || archive.tenant.tenantId;
+  const report = { tenant: tenantId, created: {}, reused: {}, media: { created: 0, reused: 0 }, warnings: [] };
+  const documentIdMap = new Map();
+  const imported = [];
+
+  await requestContext.run(undefined, async () => {
+    let tenant = await strapi.db.query('api::tenant.tenant').findOne({ where: { tenantId } });
+    if (!tenant) {
+      tenant = await strapi.documents('api::tenant.tenant').create({
+        data: {
+          tenantId,
+          name: archive.tenant.name,
+          domain: options.domain || archive.tenant.domain,
+          description: archive.tenant.description,
+          urlPatterns: archive.tenant.urlPatterns ?? null,
+          previewUrl: archive.tenant.previewUrl ?? null,
+        },
+      });
+      count(report.created, 'api::tenant.tenant');
+    }
+
+    const mediaMap = await importMedia(archive.media, report);
+
+    for (const [uid, items] of Object.entries(archive.shared || {})) {
+      if (!strapi.contentTypes[uid]) {
+        report.warnings.push(`Skipped unknown content type ${uid}`);
+        continue;
+      }
+      const { attributes } = strapi.contentTypes[uid];
+      for (const item of items) {
+        const match = await findSharedMatch(uid, item, tenant);
+        if (match) {
+          documentIdMap.set(item.documentId, match.documentId);
+          count(report.reused, uid);
+          continue;
+        }
+        const data = remapMedia(attributes, item.data, mediaMap);
+        if (item.tenantOwned) data.tenant = tenant.id;
+        const created = await strapi.documents(uid).create({ data });
+        documentIdMap.set(item.documentId, created.documentId);
+        count(report.created, uid);
+      }
+    }
+
+    // Pass 1: entries without relations (the targets may not exist yet).
+    for (const [uid, items] of Object.entries(archive.entries || {})) {
+      if (!strapi.contentTypes[uid]) {
+        report.warnings.push(`Skipped unknown content type ${uid}`);
+        continue;
+      }
+      const { attributes } = strapi.contentTypes[uid];
+      const documents = strapi.documents(uid);
+      for (const item of items) {
+        const data = remapMedia(attributes, firstVersion(item).data, mediaMap);
+        try {
+          const existing = isTenantSingleton(uid)
+            ? await documents.findFirst({ filters: { tenant: { id: tenant.id } }, fields: ['documentId'] })
+            : null;
+          await freeUidValues(
+            uid,
+            data,
+            { tenantId, tenant, documentId: existing?.documentId, label: `${uid} ${item.documentId}` },
+            report
+          );
+          const result = existing
+            ? await documents.update({ documentId: existing.documentId, data })
+            : await documents.create({ data: { ...data, tenant: tenant.id } });
+          documentIdMap.set(item.documentId, result.documentId);
+          imported.push({ uid, item, documentId: result.documentId });
+          count(existing ? report.reused : report.created, uid);
+        } catch (err) {
+          report.warnings.push(`${uid} ${item.documentId}: ${err.message}`);
+        }
+      }
+    }
+
+    // Pass 2: rewire relations through the old → new documentId map.
+    for (const { uid, item, documentId } of imported) {
+      const data = mapRelations(uid, item, firstVersion(item).relations, documentIdMap, report);
+      if (Object.keys(data).length === 0) continue;
+      try {
+        await strapi.documents(uid).update({ documentId, data });
+      } catch (err) {
+        report.warnings.push(`${uid} ${item.documentId}: relations not restored (${err.message})`);
+      }
+    }
+
+    // Pass 3: publish what was published, keeping the original publish dates.
+    for (const { uid, item, documentId } of imported) {
+      if (!item.published || !strapi.contentTypes[uid].options?.draftAndPublish) continue;
+      try {
+        await strapi.documents(uid).publish({ documentId });
+        if (item.publishedAt) {
+          await strapi.db.query(uid).updateMany({
+            where: { documentId, publishedAt: { $notNull: true } },
+            data: { publishedAt: item.publishedAt },
+          });
+        }
+      } catch (err) {
+        report.warnings.push(`${uid} ${item.documentId}: not published (${err.message})`);
+      }
+    }
+
+    // Pass 4: put unpublished draft changes back on top of the published version.
+    for (const { uid, item, documentId } of imported) {
+      if (!hasUnpublishedDraft(item) || !strapi.contentTypes[uid].options?.draftAndPublish) continue;
+      const label = `${uid} ${item.documentId}`;
+      const data = remapMedia(strapi.contentTypes[uid].attributes, item.data, mediaMap);
+      try {
+        await freeUidValues(uid, data, { tenantId, tenant, documentId, label }, report);
+        Object.assign(data, mapRelations(uid, item, item.relations || {}, documentIdMap, report));
+        await strapi.documents(uid).update({ documentId, data });
+      } catch (err) {
+        report.warnings.push(`${label}: draft changes not restored (${err.message})`);
+      }
+    }
+  });
+
+  return report;
+}
+
+/** Write an archive as JSON; gzipped when the file name ends in .gz. */
+function writeArchiveFile(filePath, archive) {
+  const json = JSON.stringify(archive, null, 2);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, filePath.endsWith('.gz') ? zlib.gzipSync(json) : json);
+}
+
+function readArchiveFile(filePath) {
+  const raw = fs.readFileSync(filePath);
+  return JSON.parse(filePath.endsWith('.gz') ? zlib.gunzipSync(raw) : raw);
+}
+
+module.exports = {
+  TENANT_OWNED_UIDS,
+  exportTenantArchive,
+  importTenantArchive,
+  writeArchiveFile,
+  readArchiveFile,
+};
@@ -0,0 +1,282 @@
+'use strict';
+
+const { getTenantScopedUids, allowsSharedEntries } = require('./tenancy');
+
+/**
+ * Tenant integrity check (scripts/check-tenant-integrity.js, GET /tenants/integrity).
+ *
+ * Reads every tenant-scoped type's link tables through strapi.db.metadata and reports:
+ * - orphaned-link:   a tenant link pointing at a tenant that no longer exists.
+ * - missing-tenant:  a draft or published row without a tenant link while another row
+ *                    of the same document has one (typically the published row).
+ * - tenant-mismatch: the draft and published rows of a document link different tenants.
+ * - no-tenant:       a document with no tenant on any row (types without allowShared).
+ * - cross-tenant:    a relation from one tenant's entry to another tenant's entry
+ *                    (e.g. flash news → article, parish → diocese, article → category).
+ *                    Shared entries (allowShared, no tenant) may be linked by any tenant.
+ * - missing-relation: a draft or published row without a required relation (e.g.
+ *                    article.category) while another row of the same document has it.
+ *
+ * With fix, each issue is repaired in the link tables directly (no lifecycles run):
+ * orphaned links and cross-tenant links are removed, missing tenant and relation
+ * links are copied from the sibling row, mismatching published rows take the draft row's tenant. no-tenant
+ * is report-only: the owning tenant cannot be inferred. So are cross-tenant links of
+ * required relations, since removing them would leave the entry invalid.
+ *
+ * Report: { generatedAt, fix, totals: { check: { found, fixed } }, issues: [{ check, uid,
+ * documentId, rowId, detail, fixed }] }
+ */
+
+const CHECKS = ['orphaned-link', 'missing-tenant', 'tenant-mismatch', 'no-tenant', 'cross-tenant', 'missing-relation'];
+const SINGLE_RELATIONS = ['manyToOne', 'oneToOne'];
+
+function joinTableOf(uid, attributeName) {
+  const attribute = strapi.db.metadata.get(uid)?.attributes?.[attributeName];
+  const joinTable = attribute?.joinTable;
+  if (!joinTable?.name || !joinTable.joinColumn?.name || !joinTable.inverseJoinColumn?.name) return null;
+  return { table: joinTable.name, source: joinTable.joinColumn.name, target: joinTable.inverseJoinColumn.name };
+}
+
+/** Rows of a tenant-scoped type with their tenant link: [{ id, documentId, published, tenantId, link }]. */
+async function loadTenantRows(uid) {
+  const knex = strapi.db.connection;
+  const { tableName } = strapi.db.metadata.get(uid);
+  const join = joinTableOf(uid, 'tenant');
+  const rows = await knex(tableName).select('id', 'document_id', 'published_at');
+  const links = join ? await knex(join.table).select('*') : [];
+  const linkBySource = new Map(links.map((link) => [link[join.source], link]));
+  return {
+    join,
+    rows: rows.map((row) => {
+      const link = linkBySource.get(row.id) || null;
+      return {
+        id: row.id,
+        documentId: row.document_id,
+        published: row.published_at != null,
+        tenantId: link ? link[join.target] : null,
+        link,
+      };
+    }),
+  };
+}
+
+function groupByDocument(rows) {
+  const documents = new Map();
+  for (const row of rows) {
+    if (!documents.has(row.documentId)) documents.set(row.documentId, []);
+    documents.get(row.documentId).push(row);
+  }
+  return documents;
+}
+
+async function checkTenantLinks(uid, { join, rows }, tenantIds, record) {
+  const knex = strapi.db.connection;
+
+  for (const row of rows) {
+    if (row.tenantId == null || tenantIds.has(row.tenantId)) continue;
+    await record(
+      { check: 'orphaned-link', uid, documentId: row.documentId, rowId: row.id, detail: `tenant #${row.tenantId}` },
+      () => knex(join.table).where({ [join.source]: row.id }).del()
+    );
+    row.tenantId = null;
+    row.link = null;
+  }
+
+  const copyLink = ({ id, ...link }, rowId) => ({ ...link, [join.source]: rowId });
+
+  for (const [documentId, documentRows] of groupByDocument(rows)) {
+    const linked = documentRows.filter((row) => row.tenantId != null);
+    if (linked.length === 0) {
+      if (!allowsSharedEntries(uid)) {
+        await record({ check: 'no-tenant', uid, documentId, rowId: documentRows[0].id, detail: 'assign a tenant manually' });
+      }
+      continue;
+    }
+    const source = linked.find((row) => !row.published) || linked[0];
+    for (const row of documentRows) {
+      if (row.tenantId == null) {
+        const { fixed } = await record(
+          {
+            check: 'missing-tenant',
+            uid,
+            documentId,
+            rowId: row.id,
+            detail: `${row.published ? 'published' : 'draft'} row, tenant #${source.tenantId} on the other row`,
+          },
+          () => knex(join.table).insert(copyLink(source.link, row.id))
+        );
+        if (fixed) row.tenantId = source.tenantId;
+      } else if (row.tenantId !== source.tenantId) {
+        const { fixed } = await record(
+          {
+            check: 'tenant-mismatch',
+            uid,
+            documentId,
+            rowId: row.id,
+            detail: `tenant #${row.tenantId}, draft has tenant #${source.tenantId}`,
+          },
+          () => knex(join.table).where({ [join.source]: row.id }).update({ [join.target]: source.tenantId })
+        );
+        if (fixed) row.tenantId = source.tenantId;
+      }
+    }
+  }
+}
+
+async function checkCrossTenantRelations(uid, tenantRowsByUid, record) {
+  const knex = strapi.db.connection;
+  const tenantOf = (rowsUid) => new Map(tenantRowsByUid.get(rowsUid).rows.map((row) => [row.id, row]));
+  const sourceRows = tenantOf(uid);
+
+  for (const [name, attribute] of Object.entries(strapi.contentTypes[uid].attributes)) {
+    if (attribute.type !== 'relation' || attribute.mappedBy || !tenantRowsByUid.has(attribute.target)) continue;
+    const join = joinTableOf(uid, name);
+    if (!join) continue;
+    const targetRows = tenantOf(attribute.target);
+    const links = await knex(join.table).select(join.source, join.target);
+    for (const link of links) {
+      const source = sourceRows.get(link[join.source]);
+      const target = targetRows.get(link[join.target]);
+      if (source?.tenantId == null || target?.tenantId == null || source.tenantId === target.tenantId) continue;
+      await record(
+        {
+          check: 'cross-tenant',
+          uid,
+          documentId: source.documentId,
+          rowId: source.id,
+          detail:
+            `${name} → ${attribute.target} ${target.documentId} (tenant #${target.tenantId}, entry has tenant #${source.tenantId})` +
+            (attribute.required ? `; ${name} is required, pick one of the tenant's entries by hand` : ''),
+        },
+        attribute.required
+          ? null
+          : () =>
+              knex(join.table)
+                .where({ [join.source]: link[join.source], [join.target]: link[join.target] })
+                .del()
+      );
+    }
+  }
+}
+
+/** Id of the row of the target's document in the given state (target types with Draft & Publish). */
+async function siblingTargetRowId(targetUid, targetRowId, published) {
+  const knex = strapi.db.connection;
+  const { tableName } = strapi.db.metadata.get(targetUid);
+  const target = await knex(tableName).where({ id: targetRowId }).select('document_id').first();
+  if (!target) return null;
+  const row = await knex(tableName)
+    .where({ document_id: target.document_id })
+    .modify((query) => (published ? query.whereNotNull('published_at') : query.whereNull('published_at')))
+    .select('id')
+    .first();
+  return row?.id ?? null;
+}
+
+async function checkRequiredRelations(uid, { rows }, record) {
+  if (!strapi.contentTypes[uid].options?.draftAndPublish) return;
+  const knex = strapi.db.connection;
+  const documents = [...groupByDocument(rows)].filter(([, documentRows]) => documentRows.length > 1);
+
+  for (const [name, attribute] of Object.entries(strapi.contentTypes[uid].attributes)) {
+    if (name === 'tenant' || attribute.type !== 'relation' || !attribute.required || attribute.mappedBy) continue;
+    if (!SINGLE_RELATIONS.includes(attribute.relation)) continue;
+    const join = joinTableOf(uid, name);
+    if (!join) continue;
+    const targetHasDrafts = Boolean(strapi.contentTypes[attribute.target]?.options?.draftAndPublish);
+    const links = await knex(join.table).select('*');
+    const linkBySource = new Map(links.map((link) => [link[join.source], link]));
+
+    for (const [documentId, documentRows] of documents) {
+      const linked = documentRows.filter((row) => linkBySource.has(row.id));
+      if (linked.length === 0 || linked.length === documentRows.length) continue;
+      const { id, ...link } = linkBySource.get((linked.find((row) => !row.published) || linked[0]).id);
+      for (const row of documentRows) {
+        if (linkBySource.has(row.id)) continue;
+        const targetId = targetHasDrafts
+          ? await siblingTargetRowId(attribute.target, link[join.target], row.published)
+          : link[join.target];
+        await record(
+          {
+            check: 'missing-relation',
+            uid,
+            documentId,
+            rowId: row.id,
+            detail:
+              `${row.published ? 'published' : 'draft'} row has no ${name}, the other row links ${attribute.target} #${link[join.target]}` +
+              (targetId == null ? ` (no ${row.published ? 'published' : 'draft'} row of it to link)` : ''),
+          },
+          targetId == null ? null : () => knex(join.table).insert({ ...link, [join.source]: row.id, [join.target]: targetId })
+        );
+      }
+    }
+  }
+}
+
+/** Scan all tenant-scoped types; repair what can be repaired when fix is set. */
+async function checkTenantIntegrity({ fix = false } = {}) {
+  const report = {
+    generatedAt: new Date().toISOString(),
+    fix: Boolean(fix),
+    totals: Object.fromEntries(CHECKS.map((check) => [check, { found: 0, fixed: 0 }])),
+    issues: [],
+  };
+
+  const record = async (issue, repair) => {
+    const entry = { ...issue, fixed: false };
+    if (fix && repair) {
+      try {
+        await repair();
+        entry.fixed = true;
+        report.totals[issue.check].fixed += 1;
+      } catch (err) {
+        entry.detail += ` (repair failed: ${err.message})`;
+      }
+    }
+    report.totals[issue.check].found += 1;
+    report.issues.push(entry);
+    return entry;
+  };
+
+  const tenantIds = new Set(
+    (await strapi.db.connection(strapi.db.metadata.get('api::tenant.tenant').tableName).select('id')).map((t) => t.id)
+  );
+  const tenantRowsByUid = new Map();
+  for (const uid of getTenantScopedUids()) {
+    const tenantRows = await loadTenantRows(uid);
+    if (!tenantRows.join) continue;
+    tenantRowsByUid.set(uid, tenantRows);
+    await checkTenantLinks(uid, tenantRows, tenantIds, record);
+    await checkRequiredRelations(uid, tenantRows, record);
+  }
+  // Judged on the tenant links as repaired above (when fixing).
+  for (const uid of tenantRowsByUid.keys()) {
+    await checkCrossTenantRelations(uid, tenantRowsByUid, record);
+  }
+
+  return report;
+}
+
+/** Human-readable version of the report. */
+function formatIntegrityReport(report) {
+  const lines = [`Tenant integrity report (${report.generatedAt})${report.fix ? ' — repair run' : ''}`];
+  for (const [check, { found, fixed }] of Object.entries(report.totals)) {
+    lines.push(`  ${check.padEnd(16)} ${String(found).padStart(5)} found${report.fix ? `, ${fixed} fixed` : ''}`);
+  }
+  if (report.issues.length === 0) {
+    lines.push('No issues found.');
+    return lines.join('\n');
+  }
+  lines.push('');
+  for (const issue of report.issues) {
+    const status = report.fix ? (issue.fixed ? '[fixed] ' : '[open]  ') : '';
+    lines.push(`${status}${issue.check}: ${issue.uid} ${issue.documentId} (row #${issue.rowId}) — ${issue.detail}`);
+  }
+  if (!report.fix) lines.push('', 'Run with --fix to repair (no-tenant entries and cross-tenant links of required relations need fixing by hand).');
+  return lines.join('\n');
+}
+
+module.exports = {
+  checkTenantIntegrity,
+  formatIntegrityReport,
+};
@@ -0,0 +1,140 @@
+'use strict';
+
+const { errors } = require('@strapi/utils');
+const {
+  getTenantScopedUids,
+  isTenantSingleton,
+  allowsSharedEntries,
+  getRelationId,
+  relationWhere,
+} = require('./tenancy');
+const { getAdminUserIdFromContext, getTenantForAdminUser } = require('./tenant-resolution');
+
+/**
+ * One set of tenant lifecycles for every content type flagged with
+ * pluginOptions.tenancy.scoped (replaces the per-type lifecycles.js copies).
+ *
+ * - beforeCreate: an Editor's tenant is always written to data.tenant; for other
+ *   callers (Super Admin, sync scripts, data imports) a tenant already in the
+ *   payload is preserved. A new entry with an `author` relation and no author picked
+ *   gets the admin user's author profile (Author.adminUser), preferring the one of
+ *   that tenant.
+ * - afterCreate / afterUpdate: if the entry still has no tenant, connect the
+ *   tenant of the admin user who created/updated it (on create only for types
+ *   with shared entries, whose entries without a tenant are shared on purpose).
+ * - Singletons (pluginOptions.tenancy.singleton): creating a second entry for the
+ *   same tenant (or a second shared entry) is rejected.
+ */
+
+function hasRelationValue(value) {
+  if (value == null) return false;
+  if (typeof value !== 'object') return true;
+  if (Array.isArray(value)) return value.length > 0;
+  const connect = value.connect ?? value.set;
+  if (connect !== undefined) return Array.isArray(connect) ? connect.length > 0 : connect != null;
+  return value.id != null || value.documentId != null;
+}
+
+async function rejectSecondSingleton(uid, data) {
+  const tenantId = hasRelationValue(data.tenant) ? getRelationId(data.tenant) : undefined;
+  const where = {
+    tenant: tenantId != null ? relationWhere(tenantId) : { id: { $null: true } },
+  };
+  if (data.documentId) where.documentId = { $ne: data.documentId };
+  const existing = await strapi.db.query(uid).findOne({ where, select: ['id'] });
+  if (existing) {
+    const displayName = strapi.contentTypes[uid]?.info?.displayName || uid;
+    throw new errors.ValidationError(
+      tenantId != null
+        ? `${displayName} already exists for this tenant. Edit the existing entry instead.`
+        : `A shared ${displayName} already exists. Edit the existing entry instead.`
+    );
+  }
+}
+
+const AUTHOR_UID = 'api::author.author';
+
+/** The admin user's author profile: the one of the tenant first, then one without a tenant. */
+async function findAuthorProfile(adminUserId, tenantId) {
+  const profiles = await strapi.db.query(AUTHOR_UID).findMany({
+    where: { adminUser: { id: adminUserId } },
+    select: ['id'],
+    populate: { tenant: { select: ['id'] } },
+    orderBy: { id: 'asc' },
+  });
+  return (
+    profiles.find((profile) => tenantId != null && profile.tenant?.id === tenantId) ??
+    profiles.find((profile) => !profile.tenant) ??
+    null
+  );
+}
+
+async function defaultAuthor(uid, data, adminUserId, tenantId) {
+  if (strapi.contentTypes[uid]?.attributes?.author?.target !== AUTHOR_UID || hasRelationValue(data.author)) return;
+  // Publishing and discarding a draft also create rows; only new documents get a default.
+  if (data.documentId && (await strapi.db.query(uid).findOne({ where: { documentId: data.documentId }, select: ['id'] }))) {
+    return;
+  }
+  const profile = await findAuthorProfile(adminUserId, tenantId);
+  if (profile) data.author = profile.id;
+}
+
+async function connectTenant(uid, result, adminUserId) {
+  if (!result || result.tenant || !result.documentId) return;
+  const tenant = await getTenantForAdminUser(adminUserId);
+  const relationId = tenant?.id ?? tenant?.documentId;
+  if (relationId == null) return;
+
+  try {
+    await strapi.documents(uid).update({
+      documentId: result.documentId,
+      data: { tenant: { connect: [relationId] } },
+    });
+  } catch (err) {
+    strapi.log.warn(`Could not auto-assign tenant to ${uid}:`, err.message);
+  }
+}
+
+const lifecycles = {
+  async beforeCreate(event) {
+    if (!event.params?.data) return;
+    const adminUserId = await getAdminUserIdFromContext();
+    const tenant = await getTenantForAdminUser(adminUserId);
+    const relationId = tenant?.id ?? tenant?.documentId;
+    if (relationId != null) {
+      event.params.data.tenant = relationId;
+    } else if (!hasRelationValue(event.params.data.tenant)) {
+      delete event.params.data.tenant;
+    }
+    if (adminUserId != null) {
+      await defaultAuthor(event.model.uid, event.params.data, adminUserId, tenant?.id ?? null);
+    }
+    if (isTenantSingleton(event.model.uid)) {
+      await rejectSecondSingleton(event.model.uid, event.params.data);
+    }
+  },
+
+  async afterCreate(event) {
+    const { result } = event;
+    const createdById = typeof result?.createdBy === 'object' ? result.createdBy?.id : result?.createdBy;
+    await connectTenant(event.model.uid, result, createdById);
+  },
+
+  async afterUpdate(event) {
+    // A shared entry stays shared when a Super Admin with a tenant edits it.
+    if (allowsSharedEntries(event.model.uid)) return;
+    const { result } = event;
+    const updatedBy = result?.updatedBy ?? result?.createdBy;
+    const updatedById = typeof updatedBy === 'object' ? updatedBy?.id : updatedBy;
+    await connectTenant(event.model.uid, result, updatedById);
+  },
+};
+
+/** Subscribe the tenant lifecycles for all tenant-scoped content types. */
+function registerTenantLifecycles() {
+  const models = getTenantScopedUids();
+  if (models.length === 0) return;
+  strapi.db.lifecycles.subscribe({ models, ...lifecycles });
+}
+
+module.exports = { registerTenantLifecycles };
@@ -0,0 +1,166 @@
+'use strict';
+
+const path = require('path');
+const { errors } = require('@strapi/utils');
+const requestContext = require('./request-context');
+const { getTenantScopedUids } = require('./tenancy');
+const { TENANT_OWNED_UIDS, exportTenantArchive, writeArchiveFile } = require('./tenant-archive');
+const { countTenantIndex, removeTenantIndex } = require('./search-index');
+
+/**
+ * Decommission a tenant:
+ * 1. write an archive of everything it owns (src/utils/tenant-archive.js format, so
+ *    npm run import:tenant can restore it) to exports/offboarded/,
+ * 2. in one transaction: delete its documents in every tenant-scoped content type and
+ *    its own authors (those with its tenant set), the revisions and review events of
+ *    those documents, its Editor Tenant Assignments, API Token Tenant Bindings, the
+ *    rows keyed by its id (preview links, slug history, article view counts, search
+ *    index) and the Tenant itself, and
+ * 3. leave a Tenant Audit Log entry (who, when, counts per type, archive path).
+ *
+ * Shared entries (categories, authors without a tenant, shared homepage, ...) and media
+ * files are kept: other tenants may use them. With dryRun only the counts are returned.
+ *
+ * Report: { dryRun, tenant: { tenantId, name }, counts: { uid: n }, archivePath, auditLog }
+ */
+
+const TENANT_UID = 'api::tenant.tenant';
+const EDITOR_TENANT_UID = 'api::editor-tenant.editor-tenant';
+const AUDIT_LOG_UID = 'api::tenant-audit-log.tenant-audit-log';
+const REVISION_UID = 'api::content-revision.content-revision';
+const REVIEW_EVENT_UID = 'api::review-event.review-event';
+const SEARCH_DOCUMENT_UID = 'api::search.search-document';
+const SEARCH_TERM_UID = 'api::search.search-term';
+
+/** Types that link to the tenant by relation, and types that store its id in tenantId. */
+const TENANT_RELATION_UIDS = [EDITOR_TENANT_UID, 'api::api-token-tenant.api-token-tenant'];
+const TENANT_ID_UIDS = [
+  'api::preview-link.preview-link',
+  'api::slug-history.slug-history',
+  'api::article-view-count.article-view-count',
+];
+/** Types keyed by contentType + entryDocumentId of the deleted documents. */
+const HISTORY_UIDS = [REVISION_UID, REVIEW_EVENT_UID];
+const ID_CHUNK = 500;
+
+function defaultArchivePath(tenantId) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  return path.join(process.cwd(), 'exports', 'offboarded', `tenant_${tenantId}_${stamp}.json.gz`);
+}
+
+/** documentIds of the tenant's documents per type: tenant-scoped types and its own authors. */
+async function findTenantDocuments(tenant) {
+  const documents = new Map();
+  for (const uid of [...getTenantScopedUids(), ...TENANT_OWNED_UIDS]) {
+    const rows = await strapi.db.query(uid).findMany({
+      where: { tenant: { id: tenant.id } },
+      select: ['documentId'],
+    });
+    if (rows.length > 0) documents.set(uid, [...new Set(rows.map((row) => row.documentId))]);
+  }
+  return documents;
+}
+
+/** Call fn with the where clause for the history rows of each chunk of documents. */
+async function forEachHistoryChunk(documents, fn) {
+  for (const [uid, documentIds] of documents) {
+    for (let i = 0; i < documentIds.length; i += ID_CHUNK) {
+      await fn({ contentType: uid, entryDocumentId: { $in: documentIds.slice(i, i + ID_CHUNK) } });
+    }
+  }
+}
+
+/**
+ * Documents per type (drafts count, so every document once), their revisions and
+ * review events, the tenant's assignments, token bindings and the rows keyed by its id.
+ */
+async function countTenantDocuments(tenant, documents) {
+  const counts = {};
+  for (const [uid, documentIds] of documents) counts[uid] = documentIds.length;
+  for (const uid of HISTORY_UIDS) {
+    counts[uid] = 0;
+    await forEachHistoryChunk(documents, async (where) => {
+      counts[uid] += await strapi.db.query(uid).count({ where });
+    });
+  }
+  for (const uid of TENANT_RELATION_UIDS) {
+    counts[uid] = await strapi.db.query(uid).count({ where: { tenant: { id: tenant.id } } });
+  }
+  for (const uid of TENANT_ID_UIDS) {
+    counts[uid] = await strapi.db.query(uid).count({ where: { tenantId: tenant.id } });
+  }
+  const index = await countTenantIndex(tenant.id);
+  counts[SEARCH_DOCUMENT_UID] = index.documents;
+  counts[SEARCH_TERM_UID] = index.terms;
+  return counts;
+}
+
+async function deleteTenantDocuments(tenant, documents) {
+  for (const [uid, documentIds] of documents) {
+    for (const documentId of documentIds) {
+      await strapi.documents(uid).delete({ documentId });
+    }
+  }
+  for (const uid of HISTORY_UIDS) {
+    await forEachHistoryChunk(documents, (where) => strapi.db.query(uid).deleteMany({ where }));
+  }
+  for (const uid of TENANT_RELATION_UIDS) {
+    const rows = await strapi.db.query(uid).findMany({ where: { tenant: { id: tenant.id } }, select: ['id'] });
+    if (rows.length > 0) {
+      await strapi.db.query(uid).deleteMany({ where: { id: { $in: rows.map((row) => row.id) } } });
+    }
+  }
+  for (const uid of TENANT_ID_UIDS) {
+    await strapi.db.query(uid).deleteMany({ where: { tenantId: tenant.id } });
+  }
+  await removeTenantIndex(tenant.id);
+  await strapi.documents(TENANT_UID).delete({ documentId: tenant.documentId });
+}
+
+/**
+ * Offboard a tenant by tenantId. options: { dryRun, archivePath, performedBy }.
+ * Runs outside the caller's request context so the Editor tenant guards do not apply.
+ */
+async function offboardTenant(tenantId, { dryRun = false, archivePath, performedBy = 'script' } = {}) {
+  const tenant = await strapi.db.query(TENANT_UID).findOne({ where: { tenantId } });
+  if (!tenant) throw new errors.NotFoundError(`Tenant not found: ${tenantId}`);
+
+  const report = {
+    dryRun: Boolean(dryRun),
+    tenant: { tenantId: tenant.tenantId, name: tenant.name },
+    counts: {},
+    archivePath: null,
+    auditLog: null,
+  };
+
+  await requestContext.run(undefined, async () => {
+    const documents = await findTenantDocuments(tenant);
+    report.counts = await countTenantDocuments(tenant, documents);
+    if (dryRun) return;
+
+    // The archive must be on disk before anything is deleted.
+    report.archivePath = path.resolve(archivePath || defaultArchivePath(tenantId));
+    writeArchiveFile(report.archivePath, await exportTenantArchive(tenantId));
+
+    // All or nothing: a failure part-way leaves the tenant as it was.
+    report.auditLog = await strapi.db.transaction(async () => {
+      await deleteTenantDocuments(tenant, documents);
+      const auditLog = await strapi.documents(AUDIT_LOG_UID).create({
+        data: {
+          action: 'offboard',
+          tenantId: tenant.tenantId,
+          tenantName: tenant.name,
+          performedBy,
+          counts: report.counts,
+          archivePath: report.archivePath,
+        },
+      });
+      return auditLog.documentId;
+    });
+    strapi.log.info(`Tenant ${tenantId} offboarded by ${performedBy}; archive: ${report.archivePath}`);
+  });
+
+  return report;
+}
+
+module.exports = { offboardTenant };
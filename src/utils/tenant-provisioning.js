@@ -0,0 +1,153 @@
+'use strict';
+
+const { errors } = require('@strapi/utils');
+const requestContext = require('./request-context');
+const { normalizeDomain } = require('./content-api-tenant');
+
+/**
+ * Create a tenant from the template in config/tenant-template.js: shared default
+ * categories, the tenant's homepage and directory-home, and Editor Tenant
+ * Assignments for the given admin users.
+ *
+ * Idempotent: every step looks for what it would create and leaves existing
+ * content untouched, so re-running after a partial failure or a template change
+ * only fills the gaps. With dryRun nothing is written; the report lists what
+ * would be created.
+ *
+ * Report: { dryRun, tenant: { tenantId, documentId }, steps: [{ step, status, detail }] }
+ * where status is 'created', 'exists', 'would-create' or 'skipped'.
+ */
+
+const TENANT_UID = 'api::tenant.tenant';
+
+function validateInput(input) {
+  const tenantId = typeof input?.tenantId === 'string' ? input.tenantId.trim() : '';
+  const name = typeof input?.name === 'string' ? input.name.trim() : '';
+  const domain = normalizeDomain(input?.domain);
+  const missing = [!tenantId && 'tenantId', !name && 'name', !domain && 'domain'].filter(Boolean);
+  if (missing.length > 0) {
+    throw new errors.ValidationError(`Missing required field(s): ${missing.join(', ')}`);
+  }
+  const editors = Array.isArray(input.editors) ? input.editors : input.editors ? [input.editors] : [];
+  return {
+    tenantId,
+    name,
+    domain,
+    slug: typeof input.slug === 'string' && input.slug.trim() ? input.slug.trim() : undefined,
+    description: typeof input.description === 'string' ? input.description : undefined,
+    editors: editors.map((e) => String(e).trim()).filter(Boolean),
+  };
+}
+
+async function ensureTenant(input, report, dryRun) {
+  const existing = await strapi.db.query(TENANT_UID).findOne({ where: { tenantId: input.tenantId } });
+  if (existing) {
+    report.steps.push({ step: 'tenant', status: 'exists', detail: input.tenantId });
+    return existing;
+  }
+  if (dryRun) {
+    report.steps.push({ step: 'tenant', status: 'would-create', detail: input.tenantId });
+    return null;
+  }
+  const data = { tenantId: input.tenantId, name: input.name, domain: input.domain };
+  if (input.slug) data.slug = input.slug;
+  if (input.description) data.description = input.description;
+  const created = await strapi.documents(TENANT_UID).create({ data });
+  report.steps.push({ step: 'tenant', status: 'created', detail: input.tenantId });
+  return created;
+}
+
+async function ensureCategories(categories, report, dryRun) {
+  for (const category of categories || []) {
+    const existing = await strapi.db.query('api::category.category').findOne({
+      where: { slug: category.slug, tenant: { id: { $null: true } } },
+      select: ['id'],
+    });
+    const step = `category:${category.slug}`;
+    if (existing) {
+      report.steps.push({ step, status: 'exists' });
+    } else if (dryRun) {
+      report.steps.push({ step, status: 'would-create' });
+    } else {
+      await strapi.documents('api::category.category').create({ data: { ...category } });
+      report.steps.push({ step, status: 'created' });
+    }
+  }
+}
+
+/** One tenant entry of a singleton type (homepage, directory-home) from the template. */
+async function ensureSingleton(uid, step, defaults, tenant, report, dryRun) {
+  if (!defaults) return;
+  const existing = tenant
+    ? await strapi.db.query(uid).findOne({ where: { tenant: { id: tenant.id } }, select: ['id'] })
+    : null;
+  if (existing) {
+    report.steps.push({ step, status: 'exists' });
+  } else if (dryRun) {
+    report.steps.push({ step, status: 'would-create' });
+  } else {
+    await strapi.documents(uid).create({ data: { ...defaults, tenant: tenant.id } });
+    report.steps.push({ step, status: 'created' });
+  }
+}
+
+async function ensureEditorAssignments(editors, tenant, report, dryRun) {
+  for (const editor of editors) {
+    const step = `editor:${editor}`;
+    const adminUser = await strapi.db.query('admin::user').findOne({
+      where: /^\d+$/.test(editor) ? { id: Number(editor) } : { email: { $eqi: editor } },
+      select: ['id', 'email'],
+    });
+    if (!adminUser) {
+      report.steps.push({ step, status: 'skipped', detail: 'No admin user with this email or id' });
+      continue;
+    }
+    const existing = tenant
+      ? await strapi.db.query('api::editor-tenant.editor-tenant').findOne({
+          where: { adminUser: { id: adminUser.id }, tenant: { id: tenant.id } },
+          select: ['id'],
+        })
+      : null;
+    if (existing) {
+      report.steps.push({ step, status: 'exists' });
+    } else if (dryRun) {
+      report.steps.push({ step, status: 'would-create' });
+    } else {
+      await strapi.db.query('api::editor-tenant.editor-tenant').create({
+        data: { adminUser: adminUser.id, tenant: tenant.id },
+      });
+      report.steps.push({ step, status: 'created' });
+    }
+  }
+}
+
+/**
+ * Provision a tenant. input: { tenantId, name, domain, slug?, description?, editors?: [email | id] }.
+ * Runs outside the caller's request context so the writes are not re-assigned to the
+ * requesting admin's own tenant by the tenant lifecycles.
+ */
+async function provisionTenant(rawInput, { dryRun = false } = {}) {
+  const input = validateInput(rawInput);
+  const template = strapi.config.get('tenant-template', {});
+  const report = { dryRun: Boolean(dryRun), tenant: { tenantId: input.tenantId, documentId: null }, steps: [] };
+
+  await requestContext.run(undefined, async () => {
+    const tenant = await ensureTenant(input, report, dryRun);
+    report.tenant.documentId = tenant?.documentId ?? null;
+    await ensureCategories(template.categories, report, dryRun);
+    await ensureSingleton('api::homepage.homepage', 'homepage', template.homepage, tenant, report, dryRun);
+    await ensureSingleton(
+      'api::directory-home.directory-home',
+      'directory-home',
+      template.directoryHome,
+      tenant,
+      report,
+      dryRun
+    );
+    await ensureEditorAssignments(input.editors, tenant, report, dryRun);
+  });
+
+  return report;
+}
+
+module.exports = { provisionTenant };
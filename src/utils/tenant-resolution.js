@@ -0,0 +1,292 @@
+'use strict';
+
+const { errors } = require('@strapi/utils');
+const requestContext = require('./request-context');
+const { isContentApiPath } = require('./content-api-tenant');
+
+/**
+ * Shared editor → tenant resolution for the admin side (content-manager extension,
+ * document middlewares, RBAC condition, tenant lifecycles, relation picker).
+ *
+ * Two cache layers keep a 50-row list page from re-reading editor-tenant rows:
+ * - a per-request memo stored on ctx.state (also dedupes concurrent lookups), and
+ * - a process-level cache (admin user id → tenants, admin user id → { email, isEditor }),
+ *   cleared by editor-tenant lifecycles and admin user updates, with a TTL as a
+ *   safety net when several Strapi instances share one database.
+ *
+ * Assignments are linked to admin::user by id (adminUser relation), so an email
+ * change or typo no longer drops an Editor's scoping. An Editor without an
+ * assignment is denied (ForbiddenError) instead of seeing unscoped data.
+ *
+ * An admin user may be assigned to several tenants (one Editor Tenant Assignment
+ * row per tenant). The tenant they work in is the "active tenant" chosen in the
+ * admin switcher, stored per admin session (login device) in the core store; it is
+ * read fresh on every request so a switch applies on all instances at once.
+ * Without a choice, the first assignment (lowest id) is active.
+ */
+
+const EDITOR_ROLE_CODE = 'strapi-editor';
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const MEMO_KEY = Symbol('tenantResolutionMemo');
+const ACTIVE_TENANT_STORE = { type: 'core', name: 'active-tenant' };
+
+const tenantsByAdminUserId = new Map();
+const adminUserById = new Map();
+const sessionKeyBySessionId = new Map();
+
+function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() : '';
+}
+
+function toTenantRef(tenant) {
+  if (!tenant) return null;
+  const id = tenant.id;
+  const documentId = tenant.documentId ?? tenant.document_id;
+  if (id == null && documentId == null) return null;
+  const ref = { id: id ?? undefined, documentId: documentId ?? undefined };
+  if (tenant.name !== undefined) ref.name = tenant.name;
+  if (tenant.tenantId !== undefined) ref.tenantId = tenant.tenantId;
+  return ref;
+}
+
+function readCache(cache, key) {
+  const entry = cache.get(key);
+  if (!entry) return undefined;
+  if (entry.expiresAt <= Date.now()) {
+    cache.delete(key);
+    return undefined;
+  }
+  return entry.value;
+}
+
+function writeCache(cache, key, value) {
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+}
+
+/** Drop all cached editor/tenant lookups. */
+function invalidateTenantResolution() {
+  tenantsByAdminUserId.clear();
+  adminUserById.clear();
+}
+
+/** Memoize a lookup on the current request (no-op outside a request). */
+function memoizeForRequest(key, load) {
+  const ctx = requestContext.get();
+  if (!ctx?.state) return load();
+  const memo = ctx.state[MEMO_KEY] || (ctx.state[MEMO_KEY] = new Map());
+  if (!memo.has(key)) memo.set(key, load());
+  return memo.get(key);
+}
+
+/** Payload ({ userId, sessionId }) of the admin access token sent with this request. */
+function getAdminTokenPayload(ctx) {
+  const authz = ctx.request?.header?.authorization || ctx.request?.headers?.authorization;
+  if (!authz || typeof authz !== 'string') return null;
+  const parts = authz.trim().split(/\s+/);
+  if (parts[0].toLowerCase() !== 'bearer' || !parts[1]) return null;
+  const manager = strapi.sessionManager;
+  if (!manager) return null;
+  try {
+    const result = manager('admin').validateAccessToken(parts[1]);
+    return result?.isValid ? result.payload ?? null : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get admin user id for this request. Admin auth runs in route policy (after global
+ * middlewares), so ctx.state.user may not be set yet; fall back to the Bearer token.
+ * Content API requests never resolve: their ctx.state.user is a users-permissions user.
+ */
+async function getAdminUserIdFromContext(ctx = requestContext.get()) {
+  if (!ctx || isContentApiPath(ctx)) return null;
+  const fromState = ctx.state?.user?.id ?? ctx.state?.admin?.id;
+  if (fromState != null) return fromState;
+
+  const raw = getAdminTokenPayload(ctx)?.userId;
+  if (raw == null) return null;
+  const num = Number(raw);
+  return Number.isFinite(num) && String(num) === String(raw) ? num : raw;
+}
+
+/**
+ * Key of the admin session for this request. Refresh-token rotation issues new
+ * session ids, so the login device id is used when the session has one.
+ */
+async function getAdminSessionKey(ctx = requestContext.get()) {
+  if (!ctx || isContentApiPath(ctx)) return null;
+  const sessionId = getAdminTokenPayload(ctx)?.sessionId;
+  if (!sessionId) return null;
+  const cached = readCache(sessionKeyBySessionId, sessionId);
+  if (cached !== undefined) return cached;
+  const session = await strapi.db.query('admin::session').findOne({
+    where: { sessionId },
+    select: ['deviceId'],
+  });
+  const key = session?.deviceId ? `device:${session.deviceId}` : `session:${sessionId}`;
+  return writeCache(sessionKeyBySessionId, sessionId, key);
+}
+
+/** Returns { id, email, isEditor } for an admin user, or null. */
+async function getAdminUser(userId) {
+  if (userId == null) return null;
+  return memoizeForRequest(`admin-user:${userId}`, async () => {
+    const cached = readCache(adminUserById, String(userId));
+    if (cached !== undefined) return cached;
+    const adminUser = await strapi.db.query('admin::user').findOne({
+      where: { id: userId },
+      populate: { roles: true },
+      select: ['id', 'email'],
+    });
+    const value = adminUser
+      ? {
+          id: adminUser.id,
+          email: adminUser.email,
+          isEditor: (adminUser.roles || []).some((r) => r.code === EDITOR_ROLE_CODE),
+        }
+      : null;
+    return writeCache(adminUserById, String(userId), value);
+  });
+}
+
+/**
+ * All tenants an admin user is assigned to, oldest assignment first.
+ * Returns [{ id, documentId, name, tenantId }].
+ */
+async function getTenantsForAdminUser(userId) {
+  if (userId == null) return [];
+  return memoizeForRequest(`tenants-for-user:${userId}`, async () => {
+    const cached = readCache(tenantsByAdminUserId, String(userId));
+    if (cached !== undefined) return cached;
+    const mappings = await strapi.db.query('api::editor-tenant.editor-tenant').findMany({
+      where: { adminUser: { id: userId } },
+      populate: { tenant: { select: ['id', 'documentId', 'name', 'tenantId'] } },
+      orderBy: { id: 'asc' },
+    });
+    const tenants = [];
+    for (const mapping of mappings) {
+      const ref = toTenantRef(mapping.tenant);
+      if (ref && !tenants.some((t) => t.id === ref.id)) tenants.push(ref);
+    }
+    return writeCache(tenantsByAdminUserId, String(userId), tenants);
+  });
+}
+
+function activeTenantStoreKey(userId, sessionKey) {
+  return { ...ACTIVE_TENANT_STORE, key: `${userId}:${sessionKey}` };
+}
+
+/** documentId of the tenant chosen in the admin switcher for this session, if any. */
+async function getActiveTenantChoice(userId, ctx = requestContext.get()) {
+  const sessionKey = await getAdminSessionKey(ctx);
+  if (!sessionKey) return null;
+  return memoizeForRequest(`active-tenant:${userId}:${sessionKey}`, async () => {
+    const value = await strapi.store.get(activeTenantStoreKey(userId, sessionKey));
+    return typeof value === 'string' ? value : null;
+  });
+}
+
+/**
+ * Store the active tenant (documentId) for the current admin session. Returns the
+ * tenant, or null when the user is not assigned to it.
+ */
+async function setActiveTenant(userId, tenantDocumentId, ctx = requestContext.get()) {
+  const tenant = (await getTenantsForAdminUser(userId)).find((t) => t.documentId === tenantDocumentId);
+  const sessionKey = await getAdminSessionKey(ctx);
+  if (!tenant || !sessionKey) return null;
+  await strapi.store.set({ ...activeTenantStoreKey(userId, sessionKey), value: tenant.documentId });
+  if (ctx?.state) delete ctx.state[MEMO_KEY];
+  return tenant;
+}
+
+/**
+ * Resolve the tenant an admin user (any role) works in: the active tenant of the
+ * current admin session when the request is theirs, otherwise their first
+ * assignment. Returns { id, documentId, ... } or null. Use id for relation writes
+ * (link table FK is tenants.id); documentId for queries.
+ */
+async function getTenantForAdminUser(userId) {
+  if (userId == null) return null;
+  const tenants = await getTenantsForAdminUser(userId);
+  if (tenants.length === 0) return null;
+  if (tenants.length === 1) return tenants[0];
+
+  const ctx = requestContext.get();
+  if (String(await getAdminUserIdFromContext(ctx)) !== String(userId)) return tenants[0];
+  const choice = await getActiveTenantChoice(userId, ctx);
+  return tenants.find((t) => t.documentId === choice) ?? tenants[0];
+}
+
+/**
+ * Tenant of an Editor (strapi-editor role); null for other roles.
+ * Throws ForbiddenError for an Editor without an Editor Tenant Assignment.
+ */
+async function resolveEditorTenantForUser(userId) {
+  const adminUser = await getAdminUser(userId);
+  if (!adminUser?.isEditor) return null;
+  const tenant = await getTenantForAdminUser(adminUser.id);
+  if (!tenant) {
+    throw new errors.ForbiddenError(
+      'Your account has no tenant assigned. Ask a Super Admin to add an Editor Tenant Assignment for you.'
+    );
+  }
+  return tenant;
+}
+
+/** Tenant of the Editor making the current admin request; null when not an Editor. */
+async function resolveEditorTenant() {
+  const ctx = requestContext.get();
+  if (!ctx) return null;
+  return memoizeForRequest('editor-tenant', async () => {
+    const userId = await getAdminUserIdFromContext(ctx);
+    return resolveEditorTenantForUser(userId);
+  });
+}
+
+/** Keep the adminUserEmail shown on assignments in step with the admin user's email. */
+async function syncAssignmentEmail(adminUser) {
+  if (adminUser?.id == null || !adminUser.email) return;
+  const email = normalizeEmail(adminUser.email);
+  try {
+    // updateMany cannot filter on relations; select the row ids first.
+    const rows = await strapi.db.query('api::editor-tenant.editor-tenant').findMany({
+      where: { adminUser: { id: adminUser.id }, adminUserEmail: { $ne: email } },
+      select: ['id'],
+    });
+    if (rows.length === 0) return;
+    await strapi.db.query('api::editor-tenant.editor-tenant').updateMany({
+      where: { id: { $in: rows.map((row) => row.id) } },
+      data: { adminUserEmail: email },
+    });
+  } catch (err) {
+    strapi.log.warn('Could not sync Editor Tenant Assignment email:', err.message);
+  }
+}
+
+/** Clear cached admin users when roles or emails change. */
+function registerTenantResolutionInvalidation() {
+  strapi.db.lifecycles.subscribe({
+    models: ['admin::user'],
+    async afterUpdate(event) {
+      invalidateTenantResolution();
+      await syncAssignmentEmail(event.result);
+    },
+    afterDelete: invalidateTenantResolution,
+  });
+}
+
+module.exports = {
+  EDITOR_ROLE_CODE,
+  normalizeEmail,
+  invalidateTenantResolution,
+  getAdminUserIdFromContext,
+  getAdminUser,
+  getTenantsForAdminUser,
+  setActiveTenant,
+  getTenantForAdminUser,
+  resolveEditorTenantForUser,
+  resolveEditorTenant,
+  registerTenantResolutionInvalidation,
+};
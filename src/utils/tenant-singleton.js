@@ -0,0 +1,94 @@
+'use strict';
+
+const { errors } = require('@strapi/utils');
+const { createCoreController } = require('@strapi/strapi').factories;
+const { allowsSharedEntries } = require('./tenancy');
+
+/**
+ * Per-tenant "single types": collection types flagged with
+ * pluginOptions.tenancy.singleton hold at most one entry per tenant, and keep the
+ * single-type Content API shape (GET / PUT / DELETE /api/<singularName>).
+ *
+ * The calling tenant comes from global::content-api-tenant (X-Tenant-Id or Host).
+ * GET returns that tenant's entry, falling back to the shared entry (no tenant)
+ * when the type sets allowShared; requests without a tenant get the shared entry.
+ * PUT / DELETE only touch the calling tenant's own entry (or the shared one).
+ */
+
+function tenantClause(tenant) {
+  return tenant?.id != null ? { tenant: { id: tenant.id } } : { tenant: { id: { $null: true } } };
+}
+
+function withFilters(params, clause) {
+  return { ...params, filters: params?.filters ? { $and: [params.filters, clause] } : clause };
+}
+
+/** The tenant's own entry, else the shared one (allowShared). */
+async function findTenantSingleton(uid, tenant, params = {}) {
+  const documents = strapi.documents(uid);
+  if (tenant?.id != null) {
+    const own = await documents.findFirst(withFilters(params, tenantClause(tenant)));
+    if (own || !allowsSharedEntries(uid)) return own;
+  }
+  return documents.findFirst(withFilters(params, tenantClause(null)));
+}
+
+function createTenantSingletonController(uid) {
+  return createCoreController(uid, () => ({
+    async find(ctx) {
+      await this.validateQuery(ctx);
+      const sanitizedQuery = await this.sanitizeQuery(ctx);
+      const entity = await findTenantSingleton(uid, ctx.state.tenant, sanitizedQuery);
+      const sanitizedEntity = await this.sanitizeOutput(entity, ctx);
+      return this.transformResponse(sanitizedEntity);
+    },
+
+    async update(ctx) {
+      const { query, body = {} } = ctx.request;
+      if (!body.data || typeof body.data !== 'object') {
+        throw new errors.ValidationError('Missing "data" payload in the request body');
+      }
+      await this.validateInput(body.data, ctx);
+      const data = await this.sanitizeInput(body.data, ctx);
+      const tenant = ctx.state.tenant;
+      const documents = strapi.documents(uid);
+
+      const existing = await documents.findFirst({ filters: tenantClause(tenant), fields: ['documentId'] });
+      const entity = existing
+        ? await documents.update({ ...query, documentId: existing.documentId, data })
+        : await documents.create({
+            ...query,
+            data: { ...data, ...(tenant?.id != null ? { tenant: tenant.id } : {}) },
+          });
+      const sanitizedEntity = await this.sanitizeOutput(entity, ctx);
+      return this.transformResponse(sanitizedEntity);
+    },
+
+    async delete(ctx) {
+      const existing = await strapi.documents(uid).findFirst({
+        filters: tenantClause(ctx.state.tenant),
+        fields: ['documentId'],
+      });
+      if (!existing) return ctx.notFound();
+      await strapi.documents(uid).delete({ ...ctx.query, documentId: existing.documentId });
+      ctx.status = 204;
+    },
+  }));
+}
+
+/** Single-type style routes (/api/<singularName>) instead of the collection routes. */
+function createTenantSingletonRouter(uid) {
+  const path = `/${uid.split('.').pop()}`;
+  return {
+    routes: ['GET find', 'PUT update', 'DELETE delete'].map((entry) => {
+      const [method, action] = entry.split(' ');
+      return { method, path, handler: `${uid}.${action}`, config: {} };
+    }),
+  };
+}
+
+module.exports = {
+  findTenantSingleton,
+  createTenantSingletonController,
+  createTenantSingletonRouter,
+};
@@ -0,0 +1,286 @@
+'use strict';
+
+const { errors } = require('@strapi/utils');
+const { getRelationId, relationWhere, isTenantScoped, allowsSharedEntries } = require('./tenancy');
+
+/**
+ * Slugs are unique per tenant, not per instance: two tenants can both publish
+ * "christmas-message". Applies to every type with a hidden `slugKey` attribute
+ * (articles, categories, tags and the directory types).
+ *
+ * - `slug` is a plain string field (regex limited to the uid character set), not a
+ *   Strapi uid: a uid is always checked for uniqueness across the whole instance.
+ *   When it is left empty, a Document Service middleware fills it from the field
+ *   named in the slug attribute's pluginOptions.tenancy.slugSource (title, name),
+ *   made unique the way the Content Manager's uid generator would.
+ * - slugKey holds "<tenant id>:<slug>" on live rows (published, or every row of a
+ *   type without Draft & Publish) and null on drafts, like Strapi's own uid check
+ *   which ignores drafts. A unique index on it enforces the rule in the database.
+ *   Entries without a tenant use 0. For types with shared entries (categories) a
+ *   tenant's entry also may not take the slug of a shared one, and the other way
+ *   round, so a slug always names one entry for every tenant.
+ * - DB lifecycles fill slugKey on every write and reject a taken slug with a
+ *   ValidationError on the slug field, before the index would.
+ * - On startup, syncSlugKeys() fills slugKey for existing rows and logs duplicates
+ *   (the entry with the lowest id keeps the slug; the others must be renamed).
+ */
+
+const SLUG_FIELD = 'slug';
+const KEY_FIELD = 'slugKey';
+const SHARED_TENANT_KEY = 0;
+const MAX_REPORTED = 20;
+
+function hasTenantSlugs(uid) {
+  return Boolean(uid && strapi.contentTypes[uid]?.attributes?.[KEY_FIELD]);
+}
+
+function getTenantSlugUids() {
+  return Object.keys(strapi.contentTypes).filter(hasTenantSlugs);
+}
+
+/**
+ * Where clause limiting a slug lookup to what the tenant sees: its entries, plus the
+ * shared ones for types that have them (instance-wide without a tenant).
+ */
+function slugScopeWhere(uid, tenantId) {
+  if (!isTenantScoped(uid) || tenantId == null) return {};
+  const own = { tenant: { id: tenantId } };
+  return allowsSharedEntries(uid) ? { $or: [own, { tenant: { id: { $null: true } } }] } : own;
+}
+
+function toSlugKey(uid, { slug, publishedAt, tenantId }) {
+  if (!slug || publishedAt == null) return null;
+  const tenantKey = isTenantScoped(uid) ? tenantId ?? SHARED_TENANT_KEY : SHARED_TENANT_KEY;
+  return `${tenantKey}:${slug}`;
+}
+
+/** Tenant id written by a relation value: undefined when unchanged, null when cleared. */
+async function tenantIdFromData(value) {
+  if (value === null) return null;
+  if (Array.isArray(value?.set) && value.set.length === 0) return null;
+  const relationId = getRelationId(value);
+  if (relationId === undefined) {
+    return Array.isArray(value?.disconnect) && value.disconnect.length > 0 ? null : undefined;
+  }
+  if (typeof relationId === 'number' || !Number.isNaN(Number(relationId))) return Number(relationId);
+  const tenant = await strapi.db.query('api::tenant.tenant').findOne({
+    where: relationWhere(relationId),
+    select: ['id'],
+  });
+  return tenant?.id ?? null;
+}
+
+async function loadRow(uid, where) {
+  return strapi.db.query(uid).findOne({
+    where,
+    select: ['id', SLUG_FIELD, 'publishedAt'],
+    populate: isTenantScoped(uid) ? { tenant: { select: ['id'] } } : undefined,
+  });
+}
+
+function slugTakenError(uid, slug) {
+  const label = strapi.contentTypes[uid].info?.displayName || uid;
+  let message = `The slug "${slug}" is already used by another ${label}.`;
+  if (allowsSharedEntries(uid)) message = `The slug "${slug}" is already used by a shared ${label} or another one of this tenant.`;
+  else if (isTenantScoped(uid)) message = `The slug "${slug}" is already used by another ${label} of this tenant.`;
+  return new errors.ValidationError(message, {
+    errors: [{ path: [SLUG_FIELD], message, name: 'ValidationError', value: slug }],
+  });
+}
+
+/**
+ * Where clause for live rows holding the slug that a row with this key clashes with:
+ * the same key, plus (types with shared entries) the shared entry's key for a
+ * tenant's row and any tenant's key for a shared row.
+ */
+function clashWhere(uid, key, slug) {
+  if (!allowsSharedEntries(uid)) return { [KEY_FIELD]: key };
+  if (key.startsWith(`${SHARED_TENANT_KEY}:`)) return { [SLUG_FIELD]: slug, [KEY_FIELD]: { $notNull: true } };
+  return { [KEY_FIELD]: { $in: [key, `${SHARED_TENANT_KEY}:${slug}`] } };
+}
+
+/** Set data.slugKey for the row being written; throw when another live row of the tenant has the slug. */
+async function applySlugKey(uid, data, current) {
+  let tenantId = 'tenant' in data ? await tenantIdFromData(data.tenant) : undefined;
+  if (tenantId === undefined) tenantId = getRelationId(current?.tenant) ?? null;
+  const slug = SLUG_FIELD in data ? data[SLUG_FIELD] : current?.[SLUG_FIELD];
+  const publishedAt = 'publishedAt' in data ? data.publishedAt : current?.publishedAt;
+  const key = toSlugKey(uid, { slug, publishedAt, tenantId });
+
+  if (key) {
+    const taken = await strapi.db.query(uid).findOne({
+      where: { ...clashWhere(uid, key, slug), ...(current?.id != null ? { id: { $ne: current.id } } : {}) },
+      select: ['id'],
+    });
+    if (taken) throw slugTakenError(uid, slug);
+  }
+  data[KEY_FIELD] = key;
+}
+
+function registerSlugKeyLifecycles(uids) {
+  strapi.db.lifecycles.subscribe({
+    models: uids,
+    async beforeCreate(event) {
+      const { data } = event.params;
+      if (data) await applySlugKey(event.model.uid, data, null);
+    },
+    async beforeUpdate(event) {
+      const { data, where } = event.params;
+      if (!data || !where) return;
+      // Most updates (views, review status, ...) cannot change the key.
+      if (![SLUG_FIELD, 'publishedAt', 'tenant', KEY_FIELD].some((field) => field in data)) return;
+      const current = await loadRow(event.model.uid, where);
+      await applySlugKey(event.model.uid, data, current);
+    },
+  });
+}
+
+/** Field a missing slug is generated from (slug attribute pluginOptions.tenancy.slugSource). */
+function getSlugSource(uid) {
+  return strapi.contentTypes[uid]?.attributes?.[SLUG_FIELD]?.pluginOptions?.tenancy?.slugSource ?? null;
+}
+
+/** "Christmas Message!" → "christmas-message": lower case, accents dropped, the uid character set. */
+function slugify(value) {
+  return String(value ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Fill an empty slug on create (and on update when it is cleared) from the slug
+ * source, unique within the tenant. Runs before Strapi's validation, so required
+ * slug fields accept an entry saved without one.
+ */
+function registerSlugGeneration(uids) {
+  strapi.documents.use(async (context, next) => {
+    const { uid, action, params } = context;
+    if (!uids.includes(uid) || (action !== 'create' && action !== 'update')) return next();
+    const data = params?.data;
+    const source = getSlugSource(uid);
+    const isEmpty = action === 'create' ? !data?.[SLUG_FIELD] : data?.[SLUG_FIELD] === '';
+    if (!data || !source || !isEmpty) return next();
+
+    const current =
+      action === 'update' && typeof params.documentId === 'string'
+        ? await strapi.db.query(uid).findOne({
+            where: { documentId: params.documentId },
+            select: [source],
+            populate: isTenantScoped(uid) ? { tenant: { select: ['id'] } } : undefined,
+          })
+        : null;
+    const base = slugify(source in data ? data[source] : current?.[source]);
+    if (!base) return next();
+    let tenantId = 'tenant' in data ? await tenantIdFromData(data.tenant) : undefined;
+    if (tenantId === undefined) tenantId = getRelationId(current?.tenant) ?? null;
+    // Without a known tenant (e.g. the Editor's tenant is set later) the slug is made unique instance-wide.
+    const slug = await findUniqueSlug(uid, base, tenantId, current ? params.documentId : null);
+    context.params = { ...params, data: { ...data, [SLUG_FIELD]: slug } };
+    return next();
+  });
+}
+
+function registerTenantSlugValidation() {
+  const uids = getTenantSlugUids();
+  if (uids.length === 0) return;
+  registerSlugGeneration(uids);
+  registerSlugKeyLifecycles(uids);
+}
+
+/**
+ * Fill slugKey for rows written before it existed (or outside Strapi) and log slugs
+ * used by more than one live entry of a tenant. Returns { updated, duplicates }.
+ */
+async function syncSlugKeys() {
+  let updated = 0;
+  const duplicates = [];
+  for (const uid of getTenantSlugUids()) {
+    const scoped = isTenantScoped(uid);
+    const rows = await strapi.db.query(uid).findMany({
+      select: ['id', 'documentId', SLUG_FIELD, 'publishedAt', KEY_FIELD],
+      populate: scoped ? { tenant: { select: ['id', 'tenantId'] } } : undefined,
+      orderBy: { id: 'asc' },
+    });
+
+    const holders = new Map();
+    const wanted = new Map();
+    const keyOf = (row) => toSlugKey(uid, { slug: row[SLUG_FIELD], publishedAt: row.publishedAt, tenantId: row.tenant?.id });
+    // Rows that already hold their key keep it; otherwise the lowest id wins.
+    const ordered = [...rows].sort((a, b) => Number(keyOf(b) === b[KEY_FIELD]) - Number(keyOf(a) === a[KEY_FIELD]));
+    for (const row of ordered) {
+      const key = keyOf(row);
+      if (key && holders.has(key)) {
+        holders.get(key).push(row);
+        wanted.set(row.id, null);
+        continue;
+      }
+      if (key) holders.set(key, [row]);
+      wanted.set(row.id, key);
+    }
+    for (const group of holders.values()) {
+      if (group.length < 2) continue;
+      duplicates.push({
+        uid,
+        slug: group[0][SLUG_FIELD],
+        tenant: scoped ? group[0].tenant?.tenantId ?? null : null,
+        documentIds: group.map((row) => row.documentId),
+      });
+    }
+
+    const changed = rows.filter((row) => (row[KEY_FIELD] ?? null) !== wanted.get(row.id));
+    // Clear first so that keys moving between rows never collide on the unique index.
+    // updateMany skips the per-row lifecycles above.
+    const query = strapi.db.query(uid);
+    for (const row of changed) {
+      if (row[KEY_FIELD] != null) await query.updateMany({ where: { id: row.id }, data: { [KEY_FIELD]: null } });
+    }
+    for (const row of changed) {
+      if (wanted.get(row.id) != null) {
+        await query.updateMany({ where: { id: row.id }, data: { [KEY_FIELD]: wanted.get(row.id) } });
+      }
+    }
+    updated += changed.length;
+  }
+
+  for (const duplicate of duplicates.slice(0, MAX_REPORTED)) {
+    strapi.log.warn(
+      `Duplicate slug "${duplicate.slug}" in ${duplicate.uid}${duplicate.tenant ? ` (tenant ${duplicate.tenant})` : ''}: ` +
+        `${duplicate.documentIds.join(', ')}. ${duplicate.documentIds[0]} keeps it; give the others a new slug.`
+    );
+  }
+  if (duplicates.length > MAX_REPORTED) {
+    strapi.log.warn(`${duplicates.length - MAX_REPORTED} more duplicate slugs not listed.`);
+  }
+  return { updated, duplicates };
+}
+
+/**
+ * value, or value-1, value-2, ... : the first slug no other entry of the tenant
+ * (drafts included, shared entries too for types that have them) uses.
+ */
+async function findUniqueSlug(uid, value, tenantId, documentId = null) {
+  const rows = await strapi.db.query(uid).findMany({
+    where: {
+      [SLUG_FIELD]: { $startsWith: value },
+      ...slugScopeWhere(uid, tenantId),
+      ...(documentId ? { documentId: { $ne: documentId } } : {}),
+    },
+    select: [SLUG_FIELD],
+  });
+  const taken = new Set(rows.map((row) => row[SLUG_FIELD]));
+  if (!taken.has(value)) return value;
+  let n = 1;
+  while (taken.has(`${value}-${n}`)) n += 1;
+  return `${value}-${n}`;
+}
+
+module.exports = {
+  SLUG_FIELD,
+  hasTenantSlugs,
+  slugScopeWhere,
+  registerTenantSlugValidation,
+  syncSlugKeys,
+};
@@ -0,0 +1,135 @@
+'use strict';
+
+/**
+ * Tenant-bound Content API tokens (API Token Tenant Binding content type).
+ *
+ * A binding links an API token (Settings → API Tokens), a tenant and the content
+ * types the token may use. global::content-api-tenant looks the request's Bearer
+ * token up here and, when it is bound, pins ctx.state.tenant to the binding's tenant
+ * (an X-Tenant-Id for another tenant is rejected) and stores the binding on
+ * ctx.state.tenantToken. The document middleware in bootstrap
+ * (registerContentApiTenantMiddleware) then enforces the allowlist and forces the
+ * tenant onto writes. The token's own type (read-only, full access, custom) still
+ * applies; a binding only narrows it.
+ *
+ * A binding whose tenant no longer exists does not lift the restriction: the token is
+ * refused (403) until the binding is fixed or deleted. Bound tokens never reach the
+ * admin-only types below, whatever allowedTypes says; those are managed in the admin
+ * panel.
+ *
+ * Bindings point at the token by id, so renaming a token keeps its binding. They are
+ * looked up by the token's hashed access key and cached briefly; the cache is cleared
+ * when a binding changes and when a token is renamed, regenerated or deleted
+ * (registerTenantTokenInvalidation).
+ */
+
+const CACHE_TTL_MS = 60 * 1000;
+
+const ADMIN_ONLY_UIDS = [
+  'api::api-token-tenant.api-token-tenant',
+  'api::tenant.tenant',
+  'api::editor-tenant.editor-tenant',
+  'api::tenant-audit-log.tenant-audit-log',
+  'api::preview-link.preview-link',
+  'api::content-revision.content-revision',
+  'api::review-event.review-event',
+  'api::slug-history.slug-history',
+  'api::article-view-count.article-view-count',
+  'api::search.search-document',
+  'api::search.search-term',
+];
+
+const cache = new Map();
+
+function clearTenantTokenCache() {
+  cache.clear();
+}
+
+function getBearerToken(ctx) {
+  const [scheme, token, ...rest] = String(ctx.request?.header?.authorization || '').split(/\s+/);
+  if (!token || rest.length > 0 || scheme.toLowerCase() !== 'bearer') return null;
+  return token;
+}
+
+async function loadBinding(accessKey) {
+  const apiToken = await strapi.db.query('admin::api-token').findOne({
+    where: { accessKey },
+    select: ['id', 'name'],
+  });
+  if (!apiToken) return null;
+  const binding = await strapi.db.query('api::api-token-tenant.api-token-tenant').findOne({
+    where: { apiToken: { id: apiToken.id } },
+    populate: { tenant: { select: ['id', 'documentId', 'tenantId', 'slug', 'name', 'domain', 'urlPatterns'] } },
+  });
+  if (!binding) return null;
+  if (!binding.tenant) return { tokenName: apiToken.name, tenant: null, invalid: true, allowedTypes: [] };
+  const { id, documentId, tenantId, slug, name, domain, urlPatterns } = binding.tenant;
+  return {
+    tokenName: apiToken.name,
+    tenant: { id, documentId, tenantId, slug, name, domain, urlPatterns },
+    allowedTypes: Array.isArray(binding.allowedTypes) ? binding.allowedTypes : [],
+  };
+}
+
+/**
+ * The tenant binding of the request's API token, or null (no token, unknown or unbound
+ * token). A binding whose tenant is gone comes back with invalid: true and no tenant.
+ */
+async function getTenantTokenBinding(ctx) {
+  const token = getBearerToken(ctx);
+  if (!token) return null;
+  const accessKey = strapi.service('admin::api-token').hash(token);
+  const cached = cache.get(accessKey);
+  if (cached && cached.expiresAt > Date.now()) return cached.binding;
+  const binding = await loadBinding(accessKey);
+  cache.set(accessKey, { binding, expiresAt: Date.now() + CACHE_TTL_MS });
+  return binding;
+}
+
+/** True when the binding's allowlist names the content type (by UID or singular name, or "*") and it is not admin-only. */
+function isTypeAllowed(binding, uid) {
+  if (binding.invalid || ADMIN_ONLY_UIDS.includes(uid)) return false;
+  const singularName = strapi.contentTypes[uid]?.info?.singularName;
+  return binding.allowedTypes.some((type) => type === '*' || type === uid || type === singularName);
+}
+
+/** Keep apiTokenName on bindings in step with the token's name. */
+async function syncBindingName(apiToken) {
+  if (apiToken?.id == null) return;
+  try {
+    const token = await strapi.db.query('admin::api-token').findOne({ where: { id: apiToken.id }, select: ['name'] });
+    if (!token) return;
+    const rows = await strapi.db.query('api::api-token-tenant.api-token-tenant').findMany({
+      where: { apiToken: { id: apiToken.id }, apiTokenName: { $ne: token.name } },
+      select: ['id'],
+    });
+    if (rows.length === 0) return;
+    await strapi.db.query('api::api-token-tenant.api-token-tenant').updateMany({
+      where: { id: { $in: rows.map((row) => row.id) } },
+      data: { apiTokenName: token.name },
+    });
+  } catch (err) {
+    strapi.log.warn('Could not sync API Token Tenant Binding name:', err.message);
+  }
+}
+
+/** Drop cached bindings when a token is renamed, regenerated (new access key) or deleted. */
+function registerTenantTokenInvalidation() {
+  strapi.db.lifecycles.subscribe({
+    models: ['admin::api-token'],
+    async afterUpdate(event) {
+      clearTenantTokenCache();
+      await syncBindingName(event.result);
+    },
+    afterDelete: clearTenantTokenCache,
+    afterDeleteMany: clearTenantTokenCache,
+  });
+}
+
+module.exports = {
+  ADMIN_ONLY_UIDS,
+  clearTenantTokenCache,
+  registerTenantTokenInvalidation,
+  getTenantTokenBinding,
+  isTypeAllowed,
+};
@@ -430,7 +430,7 @@ export interface AdminUser extends Struct.CollectionTypeSchema {
   };
 }
 
-export interface ApiAboutAbout extends Struct.SingleTypeSchema {
+export interface ApiAboutAbout extends Struct.CollectionTypeSchema {
   collectionName: 'abouts';
   info: {
     description: 'Write about yourself and the content you create';
@@ -441,6 +441,13 @@ export interface ApiAboutAbout extends Struct.SingleTypeSchema {
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    tenancy: {
+      allowShared: true;
+      scoped: true;
+      singleton: true;
+    };
+  };
   attributes: {
     blocks: Schema.Attribute.DynamicZone<
       ['shared.media', 'shared.quote', 'shared.rich-text', 'shared.slider']
@@ -452,6 +459,12 @@ export interface ApiAboutAbout extends Struct.SingleTypeSchema {
     localizations: Schema.Attribute.Relation<'oneToMany', 'api::about.about'> &
       Schema.Attribute.Private;
     publishedAt: Schema.Attribute.DateTime;
+    tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
     title: Schema.Attribute.String;
     updatedAt: Schema.Attribute.DateTime;
     updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
@@ -471,6 +484,11 @@ export interface ApiAdvertisementSlotAdvertisementSlot
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    tenancy: {
+      scoped: true;
+    };
+  };
   attributes: {
     createdAt: Schema.Attribute.DateTime;
     createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
@@ -502,6 +520,81 @@ export interface ApiAdvertisementSlotAdvertisementSlot
   };
 }
 
+export interface ApiApiTokenTenantApiTokenTenant
+  extends Struct.CollectionTypeSchema {
+  collectionName: 'api_token_tenants';
+  info: {
+    description: 'Bind a Content API token (Settings \u2192 API Tokens) to one tenant: reads are filtered to the tenant, writes are forced onto it, and only the listed content types are reachable.';
+    displayName: 'API Token Tenant Binding';
+    pluralName: 'api-token-tenants';
+    singularName: 'api-token-tenant';
+  };
+  options: {
+    draftAndPublish: false;
+  };
+  attributes: {
+    allowedTypes: Schema.Attribute.JSON & Schema.Attribute.Required;
+    apiToken: Schema.Attribute.Relation<'oneToOne', 'admin::api-token'>;
+    apiTokenName: Schema.Attribute.String;
+    createdAt: Schema.Attribute.DateTime;
+    createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    locale: Schema.Attribute.String & Schema.Attribute.Private;
+    localizations: Schema.Attribute.Relation<
+      'oneToMany',
+      'api::api-token-tenant.api-token-tenant'
+    > &
+      Schema.Attribute.Private;
+    publishedAt: Schema.Attribute.DateTime;
+    tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
+      Schema.Attribute.Required;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+  };
+}
+
+export interface ApiArticleViewCountArticleViewCount
+  extends Struct.CollectionTypeSchema {
+  collectionName: 'article_view_counts';
+  info: {
+    description: 'Views per article per day, written by POST /api/articles/:documentId/view (src/utils/article-views.js). Used for the most-read feed.';
+    displayName: 'Article View Count';
+    pluralName: 'article-view-counts';
+    singularName: 'article-view-count';
+  };
+  options: {
+    draftAndPublish: false;
+  };
+  pluginOptions: {
+    'content-manager': {
+      visible: false;
+    };
+    'content-type-builder': {
+      visible: false;
+    };
+  };
+  attributes: {
+    articleDocumentId: Schema.Attribute.String & Schema.Attribute.Required;
+    count: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
+    createdAt: Schema.Attribute.DateTime;
+    createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    day: Schema.Attribute.Date & Schema.Attribute.Required;
+    locale: Schema.Attribute.String & Schema.Attribute.Private;
+    localizations: Schema.Attribute.Relation<
+      'oneToMany',
+      'api::article-view-count.article-view-count'
+    > &
+      Schema.Attribute.Private;
+    publishedAt: Schema.Attribute.DateTime;
+    tenantId: Schema.Attribute.Integer;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+  };
+}
+
 export interface ApiArticleArticle extends Struct.CollectionTypeSchema {
   collectionName: 'articles';
   info: {
@@ -513,6 +606,16 @@ export interface ApiArticleArticle extends Struct.CollectionTypeSchema {
   options: {
     draftAndPublish: true;
   };
+  pluginOptions: {
+    search: {
+      fields: ['description', 'blocks'];
+      label: 'News';
+      title: 'title';
+    };
+    tenancy: {
+      scoped: true;
+    };
+  };
   attributes: {
     author: Schema.Attribute.Relation<'manyToOne', 'api::author.author'>;
     blocks: Schema.Attribute.DynamicZone<
@@ -525,6 +628,12 @@ export interface ApiArticleArticle extends Struct.CollectionTypeSchema {
     createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
       Schema.Attribute.Private;
     description: Schema.Attribute.RichText;
+    excerpt: Schema.Attribute.Text &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
     isFeatured: Schema.Attribute.Boolean &
       Schema.Attribute.SetPluginOptions<{
         'content-manager': {
@@ -539,7 +648,39 @@ export interface ApiArticleArticle extends Struct.CollectionTypeSchema {
     > &
       Schema.Attribute.Private;
     publishedAt: Schema.Attribute.DateTime;
-    slug: Schema.Attribute.UID<'title'>;
+    readingTimeMinutes: Schema.Attribute.Integer &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
+    reviewStatus: Schema.Attribute.Enumeration<
+      ['draft', 'in_review', 'approved', 'published']
+    > &
+      Schema.Attribute.Private &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }> &
+      Schema.Attribute.DefaultTo<'draft'>;
+    scheduledPublishAt: Schema.Attribute.DateTime;
+    scheduledUnpublishAt: Schema.Attribute.DateTime;
+    seo: Schema.Attribute.Component<'shared.seo', false>;
+    slug: Schema.Attribute.String &
+      Schema.Attribute.SetPluginOptions<{
+        tenancy: {
+          slugSource: 'title';
+        };
+      }>;
+    slugKey: Schema.Attribute.String &
+      Schema.Attribute.Private &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
+    tags: Schema.Attribute.Relation<'manyToMany', 'api::tag.tag'>;
     tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
       Schema.Attribute.SetPluginOptions<{
         'content-manager': {
@@ -560,6 +701,12 @@ export interface ApiArticleArticle extends Struct.CollectionTypeSchema {
         };
       }> &
       Schema.Attribute.DefaultTo<0>;
+    wordCount: Schema.Attribute.Integer &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
   };
 }
 
@@ -575,6 +722,8 @@ export interface ApiAuthorAuthor extends Struct.CollectionTypeSchema {
     draftAndPublish: false;
   };
   attributes: {
+    adminUser: Schema.Attribute.Relation<'manyToOne', 'admin::user'> &
+      Schema.Attribute.Private;
     articles: Schema.Attribute.Relation<'oneToMany', 'api::article.article'>;
     avatar: Schema.Attribute.Media<'images' | 'files' | 'videos'>;
     createdAt: Schema.Attribute.DateTime;
@@ -592,6 +741,7 @@ export interface ApiAuthorAuthor extends Struct.CollectionTypeSchema {
         maxLength: 255;
       }>;
     publishedAt: Schema.Attribute.DateTime;
+    tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'>;
     updatedAt: Schema.Attribute.DateTime;
     updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
       Schema.Attribute.Private;
@@ -609,6 +759,16 @@ export interface ApiBishopBishop extends Struct.CollectionTypeSchema {
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    search: {
+      fields: ['address'];
+      label: 'Bishops';
+      title: 'name';
+    };
+    tenancy: {
+      scoped: true;
+    };
+  };
   attributes: {
     address: Schema.Attribute.Text;
     bishopType: Schema.Attribute.Enumeration<
@@ -631,7 +791,20 @@ export interface ApiBishopBishop extends Struct.CollectionTypeSchema {
     order: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
     phones: Schema.Attribute.Text;
     publishedAt: Schema.Attribute.DateTime;
-    slug: Schema.Attribute.UID<'name'> & Schema.Attribute.Required;
+    slug: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetPluginOptions<{
+        tenancy: {
+          slugSource: 'name';
+        };
+      }>;
+    slugKey: Schema.Attribute.String &
+      Schema.Attribute.Private &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
     tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
       Schema.Attribute.SetPluginOptions<{
         'content-manager': {
@@ -655,6 +828,12 @@ export interface ApiCategoryCategory extends Struct.CollectionTypeSchema {
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    tenancy: {
+      allowShared: true;
+      scoped: true;
+    };
+  };
   attributes: {
     articles: Schema.Attribute.Relation<'oneToMany', 'api::article.article'>;
     createdAt: Schema.Attribute.DateTime;
@@ -675,7 +854,26 @@ export interface ApiCategoryCategory extends Struct.CollectionTypeSchema {
         maxLength: 255;
       }>;
     publishedAt: Schema.Attribute.DateTime;
-    slug: Schema.Attribute.UID;
+    seo: Schema.Attribute.Component<'shared.seo', false>;
+    slug: Schema.Attribute.String &
+      Schema.Attribute.SetPluginOptions<{
+        tenancy: {
+          slugSource: 'name';
+        };
+      }>;
+    slugKey: Schema.Attribute.String &
+      Schema.Attribute.Private &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
+    tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
     updatedAt: Schema.Attribute.DateTime;
     updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
       Schema.Attribute.Private;
@@ -693,6 +891,11 @@ export interface ApiCatholicosCatholicos extends Struct.CollectionTypeSchema {
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    tenancy: {
+      scoped: true;
+    };
+  };
   attributes: {
     address: Schema.Attribute.Text;
     createdAt: Schema.Attribute.DateTime;
@@ -711,7 +914,20 @@ export interface ApiCatholicosCatholicos extends Struct.CollectionTypeSchema {
     order: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
     phones: Schema.Attribute.Text;
     publishedAt: Schema.Attribute.DateTime;
-    slug: Schema.Attribute.UID<'name'> & Schema.Attribute.Required;
+    slug: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetPluginOptions<{
+        tenancy: {
+          slugSource: 'name';
+        };
+      }>;
+    slugKey: Schema.Attribute.String &
+      Schema.Attribute.Private &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
     tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
       Schema.Attribute.SetPluginOptions<{
         'content-manager': {
@@ -736,6 +952,11 @@ export interface ApiChurchDignitaryChurchDignitary
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    tenancy: {
+      scoped: true;
+    };
+  };
   attributes: {
     address: Schema.Attribute.Text;
     createdAt: Schema.Attribute.DateTime;
@@ -754,7 +975,20 @@ export interface ApiChurchDignitaryChurchDignitary
     order: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
     phones: Schema.Attribute.Text;
     publishedAt: Schema.Attribute.DateTime;
-    slug: Schema.Attribute.UID<'name'> & Schema.Attribute.Required;
+    slug: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetPluginOptions<{
+        tenancy: {
+          slugSource: 'name';
+        };
+      }>;
+    slugKey: Schema.Attribute.String &
+      Schema.Attribute.Private &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
     tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
       Schema.Attribute.SetPluginOptions<{
         'content-manager': {
@@ -768,6 +1002,50 @@ export interface ApiChurchDignitaryChurchDignitary
   };
 }
 
+export interface ApiContentRevisionContentRevision
+  extends Struct.CollectionTypeSchema {
+  collectionName: 'content_revisions';
+  info: {
+    description: 'Snapshots of Draft & Publish entries taken on every change (src/utils/revision-history.js). Listed, compared and restored through the /revisions admin routes.';
+    displayName: 'Content Revision';
+    pluralName: 'content-revisions';
+    singularName: 'content-revision';
+  };
+  options: {
+    draftAndPublish: false;
+  };
+  pluginOptions: {
+    'content-manager': {
+      visible: false;
+    };
+    'content-type-builder': {
+      visible: false;
+    };
+  };
+  attributes: {
+    changedFields: Schema.Attribute.JSON;
+    contentType: Schema.Attribute.String & Schema.Attribute.Required;
+    createdAt: Schema.Attribute.DateTime;
+    createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    entryDocumentId: Schema.Attribute.String & Schema.Attribute.Required;
+    locale: Schema.Attribute.String & Schema.Attribute.Private;
+    localizations: Schema.Attribute.Relation<
+      'oneToMany',
+      'api::content-revision.content-revision'
+    > &
+      Schema.Attribute.Private;
+    performedBy: Schema.Attribute.String;
+    publishedAt: Schema.Attribute.DateTime;
+    restoredFrom: Schema.Attribute.Integer;
+    revision: Schema.Attribute.Integer & Schema.Attribute.Required;
+    snapshot: Schema.Attribute.JSON & Schema.Attribute.Required;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+  };
+}
+
 export interface ApiDiocesanBishopDiocesanBishop
   extends Struct.CollectionTypeSchema {
   collectionName: 'diocesan_bishops';
@@ -780,6 +1058,11 @@ export interface ApiDiocesanBishopDiocesanBishop
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    tenancy: {
+      scoped: true;
+    };
+  };
   attributes: {
     address: Schema.Attribute.Text;
     createdAt: Schema.Attribute.DateTime;
@@ -798,7 +1081,20 @@ export interface ApiDiocesanBishopDiocesanBishop
     order: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
     phones: Schema.Attribute.Text;
     publishedAt: Schema.Attribute.DateTime;
-    slug: Schema.Attribute.UID<'name'> & Schema.Attribute.Required;
+    slug: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetPluginOptions<{
+        tenancy: {
+          slugSource: 'name';
+        };
+      }>;
+    slugKey: Schema.Attribute.String &
+      Schema.Attribute.Private &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
     tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
       Schema.Attribute.SetPluginOptions<{
         'content-manager': {
@@ -822,6 +1118,16 @@ export interface ApiDioceseDiocese extends Struct.CollectionTypeSchema {
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    search: {
+      fields: ['address', 'description'];
+      label: 'Dioceses';
+      title: 'name';
+    };
+    tenancy: {
+      scoped: true;
+    };
+  };
   attributes: {
     address: Schema.Attribute.Text;
     createdAt: Schema.Attribute.DateTime;
@@ -841,7 +1147,21 @@ export interface ApiDioceseDiocese extends Struct.CollectionTypeSchema {
     phones: Schema.Attribute.Text;
     priests: Schema.Attribute.Relation<'oneToMany', 'api::priest.priest'>;
     publishedAt: Schema.Attribute.DateTime;
-    slug: Schema.Attribute.UID<'name'> & Schema.Attribute.Required;
+    seo: Schema.Attribute.Component<'shared.seo', false>;
+    slug: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetPluginOptions<{
+        tenancy: {
+          slugSource: 'name';
+        };
+      }>;
+    slugKey: Schema.Attribute.String &
+      Schema.Attribute.Private &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
     tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
       Schema.Attribute.SetPluginOptions<{
         'content-manager': {
@@ -867,6 +1187,16 @@ export interface ApiDirectoryEntryDirectoryEntry
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    search: {
+      fields: ['address', 'description'];
+      label: 'Directory';
+      title: 'name';
+    };
+    tenancy: {
+      scoped: true;
+    };
+  };
   attributes: {
     address: Schema.Attribute.Text;
     createdAt: Schema.Attribute.DateTime;
@@ -897,7 +1227,20 @@ export interface ApiDirectoryEntryDirectoryEntry
     order: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
     phones: Schema.Attribute.Text;
     publishedAt: Schema.Attribute.DateTime;
-    slug: Schema.Attribute.UID<'name'> & Schema.Attribute.Required;
+    slug: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetPluginOptions<{
+        tenancy: {
+          slugSource: 'name';
+        };
+      }>;
+    slugKey: Schema.Attribute.String &
+      Schema.Attribute.Private &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
     tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
       Schema.Attribute.SetPluginOptions<{
         'content-manager': {
@@ -911,7 +1254,8 @@ export interface ApiDirectoryEntryDirectoryEntry
   };
 }
 
-export interface ApiDirectoryHomeDirectoryHome extends Struct.SingleTypeSchema {
+export interface ApiDirectoryHomeDirectoryHome
+  extends Struct.CollectionTypeSchema {
   collectionName: 'directory_homes';
   info: {
     description: 'Directory landing: intro and section cards (Bishops, Dioceses, Parishes, etc.)';
@@ -922,6 +1266,13 @@ export interface ApiDirectoryHomeDirectoryHome extends Struct.SingleTypeSchema {
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    tenancy: {
+      allowShared: true;
+      scoped: true;
+      singleton: true;
+    };
+  };
   attributes: {
     createdAt: Schema.Attribute.DateTime;
     createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
@@ -951,7 +1302,7 @@ export interface ApiEditorTenantEditorTenant
   extends Struct.CollectionTypeSchema {
   collectionName: 'editor_tenants';
   info: {
-    description: 'Map each editor (admin user) to a tenant. Content they create will auto-get this tenant.';
+    description: 'Map each editor (admin user) to a tenant; add one entry per tenant for editors working for several. Content they create will auto-get their active tenant.';
     displayName: 'Editor Tenant Assignment';
     pluralName: 'editor-tenants';
     singularName: 'editor-tenant';
@@ -960,9 +1311,9 @@ export interface ApiEditorTenantEditorTenant
     draftAndPublish: false;
   };
   attributes: {
-    adminUserEmail: Schema.Attribute.String &
-      Schema.Attribute.Required &
-      Schema.Attribute.Unique;
+    adminUser: Schema.Attribute.Relation<'manyToOne', 'admin::user'>;
+    adminUserEmail: Schema.Attribute.String;
+    canReview: Schema.Attribute.Boolean & Schema.Attribute.DefaultTo<false>;
     createdAt: Schema.Attribute.DateTime;
     createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
       Schema.Attribute.Private;
@@ -993,6 +1344,11 @@ export interface ApiFlashNewsItemFlashNewsItem
   options: {
     draftAndPublish: true;
   };
+  pluginOptions: {
+    tenancy: {
+      scoped: true;
+    };
+  };
   attributes: {
     article: Schema.Attribute.Relation<'manyToOne', 'api::article.article'>;
     content: Schema.Attribute.Text &
@@ -1016,6 +1372,18 @@ export interface ApiFlashNewsItemFlashNewsItem
       Schema.Attribute.Private;
     order: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
     publishedAt: Schema.Attribute.DateTime;
+    reviewStatus: Schema.Attribute.Enumeration<
+      ['draft', 'in_review', 'approved', 'published']
+    > &
+      Schema.Attribute.Private &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }> &
+      Schema.Attribute.DefaultTo<'draft'>;
+    scheduledPublishAt: Schema.Attribute.DateTime;
+    scheduledUnpublishAt: Schema.Attribute.DateTime;
     startDate: Schema.Attribute.Date;
     tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
       Schema.Attribute.SetPluginOptions<{
@@ -1034,7 +1402,7 @@ export interface ApiFlashNewsItemFlashNewsItem
   };
 }
 
-export interface ApiGlobalGlobal extends Struct.SingleTypeSchema {
+export interface ApiGlobalGlobal extends Struct.CollectionTypeSchema {
   collectionName: 'globals';
   info: {
     description: 'Define global settings';
@@ -1045,6 +1413,13 @@ export interface ApiGlobalGlobal extends Struct.SingleTypeSchema {
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    tenancy: {
+      allowShared: true;
+      scoped: true;
+      singleton: true;
+    };
+  };
   attributes: {
     createdAt: Schema.Attribute.DateTime;
     createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
@@ -1060,13 +1435,19 @@ export interface ApiGlobalGlobal extends Struct.SingleTypeSchema {
     publishedAt: Schema.Attribute.DateTime;
     siteDescription: Schema.Attribute.Text & Schema.Attribute.Required;
     siteName: Schema.Attribute.String & Schema.Attribute.Required;
-    updatedAt: Schema.Attribute.DateTime;
-    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
-      Schema.Attribute.Private;
-  };
-}
+    tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+  };
+}
 
-export interface ApiHomepageHomepage extends Struct.SingleTypeSchema {
+export interface ApiHomepageHomepage extends Struct.CollectionTypeSchema {
   collectionName: 'homepages';
   info: {
     description: 'Homepage hero, most-read section and banners';
@@ -1077,6 +1458,13 @@ export interface ApiHomepageHomepage extends Struct.SingleTypeSchema {
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    tenancy: {
+      allowShared: true;
+      scoped: true;
+      singleton: true;
+    };
+  };
   attributes: {
     createdAt: Schema.Attribute.DateTime;
     createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
@@ -1095,6 +1483,12 @@ export interface ApiHomepageHomepage extends Struct.SingleTypeSchema {
     mostReadSectionBanner: Schema.Attribute.Media<'images'>;
     mostReadSectionTitle: Schema.Attribute.String;
     publishedAt: Schema.Attribute.DateTime;
+    tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
     title: Schema.Attribute.String;
     updatedAt: Schema.Attribute.DateTime;
     updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
@@ -1113,6 +1507,11 @@ export interface ApiInstitutionInstitution extends Struct.CollectionTypeSchema {
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    tenancy: {
+      scoped: true;
+    };
+  };
   attributes: {
     address: Schema.Attribute.Text;
     createdAt: Schema.Attribute.DateTime;
@@ -1131,7 +1530,20 @@ export interface ApiInstitutionInstitution extends Struct.CollectionTypeSchema {
     order: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
     phones: Schema.Attribute.Text;
     publishedAt: Schema.Attribute.DateTime;
-    slug: Schema.Attribute.UID<'name'> & Schema.Attribute.Required;
+    slug: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetPluginOptions<{
+        tenancy: {
+          slugSource: 'name';
+        };
+      }>;
+    slugKey: Schema.Attribute.String &
+      Schema.Attribute.Private &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
     tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
       Schema.Attribute.SetPluginOptions<{
         'content-manager': {
@@ -1156,6 +1568,11 @@ export interface ApiLiturgyDayLiturgyDay extends Struct.CollectionTypeSchema {
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    tenancy: {
+      scoped: true;
+    };
+  };
   attributes: {
     createdAt: Schema.Attribute.DateTime;
     createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
@@ -1210,6 +1627,11 @@ export interface ApiManagingCommitteeManagingCommittee
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    tenancy: {
+      scoped: true;
+    };
+  };
   attributes: {
     address: Schema.Attribute.Text;
     createdAt: Schema.Attribute.DateTime;
@@ -1228,7 +1650,20 @@ export interface ApiManagingCommitteeManagingCommittee
     order: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
     phones: Schema.Attribute.Text;
     publishedAt: Schema.Attribute.DateTime;
-    slug: Schema.Attribute.UID<'name'> & Schema.Attribute.Required;
+    slug: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetPluginOptions<{
+        tenancy: {
+          slugSource: 'name';
+        };
+      }>;
+    slugKey: Schema.Attribute.String &
+      Schema.Attribute.Private &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
     tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
       Schema.Attribute.SetPluginOptions<{
         'content-manager': {
@@ -1253,6 +1688,16 @@ export interface ApiParishParish extends Struct.CollectionTypeSchema {
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    search: {
+      fields: ['address', 'addressLine1', 'addressLine2', 'city'];
+      label: 'Parishes';
+      title: 'name';
+    };
+    tenancy: {
+      scoped: true;
+    };
+  };
   attributes: {
     address: Schema.Attribute.Text;
     addressLine1: Schema.Attribute.String;
@@ -1277,7 +1722,21 @@ export interface ApiParishParish extends Struct.CollectionTypeSchema {
     phoneSecondary: Schema.Attribute.String;
     postalCode: Schema.Attribute.String;
     publishedAt: Schema.Attribute.DateTime;
-    slug: Schema.Attribute.UID<'name'> & Schema.Attribute.Required;
+    seo: Schema.Attribute.Component<'shared.seo', false>;
+    slug: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetPluginOptions<{
+        tenancy: {
+          slugSource: 'name';
+        };
+      }>;
+    slugKey: Schema.Attribute.String &
+      Schema.Attribute.Private &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
     state: Schema.Attribute.String;
     tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
       Schema.Attribute.SetPluginOptions<{
@@ -1304,6 +1763,11 @@ export interface ApiPilgrimCentrePilgrimCentre
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    tenancy: {
+      scoped: true;
+    };
+  };
   attributes: {
     address: Schema.Attribute.Text;
     createdAt: Schema.Attribute.DateTime;
@@ -1322,7 +1786,20 @@ export interface ApiPilgrimCentrePilgrimCentre
     order: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
     phones: Schema.Attribute.Text;
     publishedAt: Schema.Attribute.DateTime;
-    slug: Schema.Attribute.UID<'name'> & Schema.Attribute.Required;
+    slug: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetPluginOptions<{
+        tenancy: {
+          slugSource: 'name';
+        };
+      }>;
+    slugKey: Schema.Attribute.String &
+      Schema.Attribute.Private &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
     tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
       Schema.Attribute.SetPluginOptions<{
         'content-manager': {
@@ -1336,6 +1813,52 @@ export interface ApiPilgrimCentrePilgrimCentre
   };
 }
 
+export interface ApiPreviewLinkPreviewLink extends Struct.CollectionTypeSchema {
+  collectionName: 'preview_links';
+  info: {
+    description: 'Signed, time-limited links to the draft of an article or flash news item (src/utils/preview-links.js). Created and revoked from the Preview panel of the edit view.';
+    displayName: 'Preview Link';
+    pluralName: 'preview-links';
+    singularName: 'preview-link';
+  };
+  options: {
+    draftAndPublish: false;
+  };
+  pluginOptions: {
+    'content-manager': {
+      visible: false;
+    };
+    'content-type-builder': {
+      visible: false;
+    };
+  };
+  attributes: {
+    contentType: Schema.Attribute.String & Schema.Attribute.Required;
+    createdAt: Schema.Attribute.DateTime;
+    createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    createdByEmail: Schema.Attribute.String;
+    entryDocumentId: Schema.Attribute.String & Schema.Attribute.Required;
+    expiresAt: Schema.Attribute.DateTime & Schema.Attribute.Required;
+    linkId: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.Private &
+      Schema.Attribute.Unique;
+    locale: Schema.Attribute.String & Schema.Attribute.Private;
+    localizations: Schema.Attribute.Relation<
+      'oneToMany',
+      'api::preview-link.preview-link'
+    > &
+      Schema.Attribute.Private;
+    publishedAt: Schema.Attribute.DateTime;
+    revokedAt: Schema.Attribute.DateTime;
+    tenantId: Schema.Attribute.Integer;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+  };
+}
+
 export interface ApiPriestPriest extends Struct.CollectionTypeSchema {
   collectionName: 'priests';
   info: {
@@ -1347,6 +1870,16 @@ export interface ApiPriestPriest extends Struct.CollectionTypeSchema {
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    search: {
+      fields: ['title', 'address'];
+      label: 'Priests';
+      title: 'name';
+    };
+    tenancy: {
+      scoped: true;
+    };
+  };
   attributes: {
     address: Schema.Attribute.Text;
     createdAt: Schema.Attribute.DateTime;
@@ -1366,7 +1899,20 @@ export interface ApiPriestPriest extends Struct.CollectionTypeSchema {
     parish: Schema.Attribute.Relation<'oneToOne', 'api::parish.parish'>;
     phones: Schema.Attribute.Text;
     publishedAt: Schema.Attribute.DateTime;
-    slug: Schema.Attribute.UID<'name'> & Schema.Attribute.Required;
+    slug: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetPluginOptions<{
+        tenancy: {
+          slugSource: 'name';
+        };
+      }>;
+    slugKey: Schema.Attribute.String &
+      Schema.Attribute.Private &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
     tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
       Schema.Attribute.SetPluginOptions<{
         'content-manager': {
@@ -1380,6 +1926,60 @@ export interface ApiPriestPriest extends Struct.CollectionTypeSchema {
   };
 }
 
+export interface ApiRedirectRedirect extends Struct.CollectionTypeSchema {
+  collectionName: 'redirects';
+  info: {
+    description: "Manual redirects of the tenant's public site, returned by GET /api/redirects/resolve";
+    displayName: 'Editorial \u2013 Redirect';
+    pluralName: 'redirects';
+    singularName: 'redirect';
+  };
+  options: {
+    draftAndPublish: false;
+  };
+  pluginOptions: {
+    tenancy: {
+      scoped: true;
+    };
+  };
+  attributes: {
+    createdAt: Schema.Attribute.DateTime;
+    createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    fromPath: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetMinMaxLength<{
+        maxLength: 2048;
+      }>;
+    locale: Schema.Attribute.String & Schema.Attribute.Private;
+    localizations: Schema.Attribute.Relation<
+      'oneToMany',
+      'api::redirect.redirect'
+    > &
+      Schema.Attribute.Private;
+    note: Schema.Attribute.Text &
+      Schema.Attribute.SetMinMaxLength<{
+        maxLength: 500;
+      }>;
+    permanent: Schema.Attribute.Boolean & Schema.Attribute.DefaultTo<true>;
+    publishedAt: Schema.Attribute.DateTime;
+    tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
+    toPath: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetMinMaxLength<{
+        maxLength: 2048;
+      }>;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+  };
+}
+
 export interface ApiRetiredBishopRetiredBishop
   extends Struct.CollectionTypeSchema {
   collectionName: 'retired_bishops';
@@ -1392,6 +1992,11 @@ export interface ApiRetiredBishopRetiredBishop
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    tenancy: {
+      scoped: true;
+    };
+  };
   attributes: {
     address: Schema.Attribute.Text;
     createdAt: Schema.Attribute.DateTime;
@@ -1410,7 +2015,20 @@ export interface ApiRetiredBishopRetiredBishop
     order: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
     phones: Schema.Attribute.Text;
     publishedAt: Schema.Attribute.DateTime;
-    slug: Schema.Attribute.UID<'name'> & Schema.Attribute.Required;
+    slug: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetPluginOptions<{
+        tenancy: {
+          slugSource: 'name';
+        };
+      }>;
+    slugKey: Schema.Attribute.String &
+      Schema.Attribute.Private &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
     tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
       Schema.Attribute.SetPluginOptions<{
         'content-manager': {
@@ -1423,6 +2041,144 @@ export interface ApiRetiredBishopRetiredBishop
   };
 }
 
+export interface ApiReviewEventReviewEvent extends Struct.CollectionTypeSchema {
+  collectionName: 'review_events';
+  info: {
+    description: 'Review workflow history of articles and flash news items (src/utils/review-workflow.js). Shown in the Review panel of the edit view.';
+    displayName: 'Review Event';
+    pluralName: 'review-events';
+    singularName: 'review-event';
+  };
+  options: {
+    draftAndPublish: false;
+  };
+  pluginOptions: {
+    'content-manager': {
+      visible: false;
+    };
+    'content-type-builder': {
+      visible: false;
+    };
+  };
+  attributes: {
+    action: Schema.Attribute.Enumeration<
+      [
+        'submit',
+        'approve',
+        'reject',
+        'publish',
+        'unpublish',
+        'reset',
+        'blocked',
+      ]
+    > &
+      Schema.Attribute.Required;
+    comment: Schema.Attribute.Text;
+    contentHash: Schema.Attribute.String;
+    contentType: Schema.Attribute.String & Schema.Attribute.Required;
+    createdAt: Schema.Attribute.DateTime;
+    createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    entryDocumentId: Schema.Attribute.String & Schema.Attribute.Required;
+    fromStatus: Schema.Attribute.String;
+    locale: Schema.Attribute.String & Schema.Attribute.Private;
+    localizations: Schema.Attribute.Relation<
+      'oneToMany',
+      'api::review-event.review-event'
+    > &
+      Schema.Attribute.Private;
+    performedBy: Schema.Attribute.String;
+    publishedAt: Schema.Attribute.DateTime;
+    toStatus: Schema.Attribute.String & Schema.Attribute.Required;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+  };
+}
+
+export interface ApiSearchSearchDocument extends Struct.CollectionTypeSchema {
+  collectionName: 'search_documents';
+  info: {
+    description: 'Search index: one row per indexed entry (src/utils/search-index.js). Rebuild with npm run search:rebuild.';
+    displayName: 'Search Document';
+    pluralName: 'search-documents';
+    singularName: 'search-document';
+  };
+  options: {
+    draftAndPublish: false;
+  };
+  pluginOptions: {
+    'content-manager': {
+      visible: false;
+    };
+    'content-type-builder': {
+      visible: false;
+    };
+  };
+  attributes: {
+    contentType: Schema.Attribute.String & Schema.Attribute.Required;
+    createdAt: Schema.Attribute.DateTime;
+    createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    entryDocumentId: Schema.Attribute.String & Schema.Attribute.Required;
+    length: Schema.Attribute.Integer;
+    locale: Schema.Attribute.String & Schema.Attribute.Private;
+    localizations: Schema.Attribute.Relation<
+      'oneToMany',
+      'api::search.search-document'
+    > &
+      Schema.Attribute.Private;
+    publishedAt: Schema.Attribute.DateTime;
+    slug: Schema.Attribute.String;
+    tenantId: Schema.Attribute.Integer;
+    text: Schema.Attribute.Text;
+    title: Schema.Attribute.String;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+  };
+}
+
+export interface ApiSearchSearchTerm extends Struct.CollectionTypeSchema {
+  collectionName: 'search_terms';
+  info: {
+    description: 'Search index: words of each Search Document with their frequency in the title and the other fields.';
+    displayName: 'Search Term';
+    pluralName: 'search-terms';
+    singularName: 'search-term';
+  };
+  options: {
+    draftAndPublish: false;
+  };
+  pluginOptions: {
+    'content-manager': {
+      visible: false;
+    };
+    'content-type-builder': {
+      visible: false;
+    };
+  };
+  attributes: {
+    bodyFrequency: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
+    createdAt: Schema.Attribute.DateTime;
+    createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    locale: Schema.Attribute.String & Schema.Attribute.Private;
+    localizations: Schema.Attribute.Relation<
+      'oneToMany',
+      'api::search.search-term'
+    > &
+      Schema.Attribute.Private;
+    publishedAt: Schema.Attribute.DateTime;
+    searchDocumentId: Schema.Attribute.Integer & Schema.Attribute.Required;
+    term: Schema.Attribute.String & Schema.Attribute.Required;
+    titleFrequency: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+  };
+}
+
 export interface ApiSeminarySeminary extends Struct.CollectionTypeSchema {
   collectionName: 'seminaries';
   info: {
@@ -1434,6 +2190,11 @@ export interface ApiSeminarySeminary extends Struct.CollectionTypeSchema {
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    tenancy: {
+      scoped: true;
+    };
+  };
   attributes: {
     address: Schema.Attribute.Text;
     createdAt: Schema.Attribute.DateTime;
@@ -1452,7 +2213,20 @@ export interface ApiSeminarySeminary extends Struct.CollectionTypeSchema {
     order: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
     phones: Schema.Attribute.Text;
     publishedAt: Schema.Attribute.DateTime;
-    slug: Schema.Attribute.UID<'name'> & Schema.Attribute.Required;
+    slug: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetPluginOptions<{
+        tenancy: {
+          slugSource: 'name';
+        };
+      }>;
+    slugKey: Schema.Attribute.String &
+      Schema.Attribute.Private &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
     tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
       Schema.Attribute.SetPluginOptions<{
         'content-manager': {
@@ -1467,7 +2241,7 @@ export interface ApiSeminarySeminary extends Struct.CollectionTypeSchema {
 }
 
 export interface ApiSidebarPromotionalBlockSidebarPromotionalBlock
-  extends Struct.SingleTypeSchema {
+  extends Struct.CollectionTypeSchema {
   collectionName: 'sidebar_promotional_blocks';
   info: {
     description: 'Video, social or banner block for sidebar';
@@ -1478,6 +2252,13 @@ export interface ApiSidebarPromotionalBlockSidebarPromotionalBlock
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    tenancy: {
+      allowShared: true;
+      scoped: true;
+      singleton: true;
+    };
+  };
   attributes: {
     blockType: Schema.Attribute.Enumeration<['video', 'social', 'banner']>;
     createdAt: Schema.Attribute.DateTime;
@@ -1494,6 +2275,12 @@ export interface ApiSidebarPromotionalBlockSidebarPromotionalBlock
     publishedAt: Schema.Attribute.DateTime;
     rotateWithOthers: Schema.Attribute.Boolean &
       Schema.Attribute.DefaultTo<false>;
+    tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
     thumbnail: Schema.Attribute.Media<'images'>;
     updatedAt: Schema.Attribute.DateTime;
     updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
@@ -1502,6 +2289,47 @@ export interface ApiSidebarPromotionalBlockSidebarPromotionalBlock
   };
 }
 
+export interface ApiSlugHistorySlugHistory extends Struct.CollectionTypeSchema {
+  collectionName: 'slug_histories';
+  info: {
+    description: 'Former slugs of entries with public pages, recorded on every slug change (src/utils/redirects.js). Used by GET /api/redirects/resolve.';
+    displayName: 'Slug History';
+    pluralName: 'slug-histories';
+    singularName: 'slug-history';
+  };
+  options: {
+    draftAndPublish: false;
+  };
+  pluginOptions: {
+    'content-manager': {
+      visible: false;
+    };
+    'content-type-builder': {
+      visible: false;
+    };
+  };
+  attributes: {
+    contentType: Schema.Attribute.String & Schema.Attribute.Required;
+    createdAt: Schema.Attribute.DateTime;
+    createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    entryDocumentId: Schema.Attribute.String & Schema.Attribute.Required;
+    field: Schema.Attribute.String & Schema.Attribute.Required;
+    locale: Schema.Attribute.String & Schema.Attribute.Private;
+    localizations: Schema.Attribute.Relation<
+      'oneToMany',
+      'api::slug-history.slug-history'
+    > &
+      Schema.Attribute.Private;
+    oldSlug: Schema.Attribute.String & Schema.Attribute.Required;
+    publishedAt: Schema.Attribute.DateTime;
+    tenantId: Schema.Attribute.Integer;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+  };
+}
+
 export interface ApiSpiritualOrganisationSpiritualOrganisation
   extends Struct.CollectionTypeSchema {
   collectionName: 'spiritual_organisations';
@@ -1514,6 +2342,11 @@ export interface ApiSpiritualOrganisationSpiritualOrganisation
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    tenancy: {
+      scoped: true;
+    };
+  };
   attributes: {
     address: Schema.Attribute.Text;
     createdAt: Schema.Attribute.DateTime;
@@ -1532,7 +2365,20 @@ export interface ApiSpiritualOrganisationSpiritualOrganisation
     order: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
     phones: Schema.Attribute.Text;
     publishedAt: Schema.Attribute.DateTime;
-    slug: Schema.Attribute.UID<'name'> & Schema.Attribute.Required;
+    slug: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetPluginOptions<{
+        tenancy: {
+          slugSource: 'name';
+        };
+      }>;
+    slugKey: Schema.Attribute.String &
+      Schema.Attribute.Private &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
     tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
       Schema.Attribute.SetPluginOptions<{
         'content-manager': {
@@ -1546,6 +2392,102 @@ export interface ApiSpiritualOrganisationSpiritualOrganisation
   };
 }
 
+export interface ApiTagTag extends Struct.CollectionTypeSchema {
+  collectionName: 'tags';
+  info: {
+    description: 'Topics of articles (many per article, next to the single category)';
+    displayName: 'Editorial \u2013 Tag';
+    pluralName: 'tags';
+    singularName: 'tag';
+  };
+  options: {
+    draftAndPublish: false;
+  };
+  pluginOptions: {
+    tenancy: {
+      scoped: true;
+    };
+  };
+  attributes: {
+    articles: Schema.Attribute.Relation<'manyToMany', 'api::article.article'>;
+    createdAt: Schema.Attribute.DateTime;
+    createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    description: Schema.Attribute.Text &
+      Schema.Attribute.SetMinMaxLength<{
+        maxLength: 1000;
+      }>;
+    locale: Schema.Attribute.String & Schema.Attribute.Private;
+    localizations: Schema.Attribute.Relation<'oneToMany', 'api::tag.tag'> &
+      Schema.Attribute.Private;
+    name: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetMinMaxLength<{
+        maxLength: 100;
+      }>;
+    publishedAt: Schema.Attribute.DateTime;
+    slug: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetPluginOptions<{
+        tenancy: {
+          slugSource: 'name';
+        };
+      }>;
+    slugKey: Schema.Attribute.String &
+      Schema.Attribute.Private &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
+    tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+  };
+}
+
+export interface ApiTenantAuditLogTenantAuditLog
+  extends Struct.CollectionTypeSchema {
+  collectionName: 'tenant_audit_logs';
+  info: {
+    description: 'Record of tenant-wide operations (offboarding). Written automatically; kept after the tenant is removed.';
+    displayName: 'Tenant Audit Log';
+    pluralName: 'tenant-audit-logs';
+    singularName: 'tenant-audit-log';
+  };
+  options: {
+    draftAndPublish: false;
+  };
+  attributes: {
+    action: Schema.Attribute.Enumeration<['offboard']> &
+      Schema.Attribute.Required;
+    archivePath: Schema.Attribute.String;
+    counts: Schema.Attribute.JSON;
+    createdAt: Schema.Attribute.DateTime;
+    createdBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+    locale: Schema.Attribute.String & Schema.Attribute.Private;
+    localizations: Schema.Attribute.Relation<
+      'oneToMany',
+      'api::tenant-audit-log.tenant-audit-log'
+    > &
+      Schema.Attribute.Private;
+    performedBy: Schema.Attribute.String;
+    publishedAt: Schema.Attribute.DateTime;
+    tenantId: Schema.Attribute.String & Schema.Attribute.Required;
+    tenantName: Schema.Attribute.String;
+    updatedAt: Schema.Attribute.DateTime;
+    updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
+      Schema.Attribute.Private;
+  };
+}
+
 export interface ApiTenantTenant extends Struct.CollectionTypeSchema {
   collectionName: 'tenants';
   info: {
@@ -1573,6 +2515,7 @@ export interface ApiTenantTenant extends Struct.CollectionTypeSchema {
     > &
       Schema.Attribute.Private;
     name: Schema.Attribute.String & Schema.Attribute.Required;
+    previewUrl: Schema.Attribute.String;
     publishedAt: Schema.Attribute.DateTime;
     slug: Schema.Attribute.UID<'name'>;
     tenantId: Schema.Attribute.String &
@@ -1581,6 +2524,7 @@ export interface ApiTenantTenant extends Struct.CollectionTypeSchema {
     updatedAt: Schema.Attribute.DateTime;
     updatedBy: Schema.Attribute.Relation<'oneToOne', 'admin::user'> &
       Schema.Attribute.Private;
+    urlPatterns: Schema.Attribute.JSON;
   };
 }
 
@@ -1596,6 +2540,11 @@ export interface ApiWorkingCommitteeWorkingCommittee
   options: {
     draftAndPublish: false;
   };
+  pluginOptions: {
+    tenancy: {
+      scoped: true;
+    };
+  };
   attributes: {
     address: Schema.Attribute.Text;
     createdAt: Schema.Attribute.DateTime;
@@ -1614,7 +2563,20 @@ export interface ApiWorkingCommitteeWorkingCommittee
     order: Schema.Attribute.Integer & Schema.Attribute.DefaultTo<0>;
     phones: Schema.Attribute.Text;
     publishedAt: Schema.Attribute.DateTime;
-    slug: Schema.Attribute.UID<'name'> & Schema.Attribute.Required;
+    slug: Schema.Attribute.String &
+      Schema.Attribute.Required &
+      Schema.Attribute.SetPluginOptions<{
+        tenancy: {
+          slugSource: 'name';
+        };
+      }>;
+    slugKey: Schema.Attribute.String &
+      Schema.Attribute.Private &
+      Schema.Attribute.SetPluginOptions<{
+        'content-manager': {
+          visible: false;
+        };
+      }>;
     tenant: Schema.Attribute.Relation<'manyToOne', 'api::tenant.tenant'> &
       Schema.Attribute.SetPluginOptions<{
         'content-manager': {
@@ -2141,12 +3103,15 @@ declare module '@strapi/strapi' {
       'admin::user': AdminUser;
       'api::about.about': ApiAboutAbout;
       'api::advertisement-slot.advertisement-slot': ApiAdvertisementSlotAdvertisementSlot;
+      'api::api-token-tenant.api-token-tenant': ApiApiTokenTenantApiTokenTenant;
+      'api::article-view-count.article-view-count': ApiArticleViewCountArticleViewCount;
       'api::article.article': ApiArticleArticle;
       'api::author.author': ApiAuthorAuthor;
       'api::bishop.bishop': ApiBishopBishop;
       'api::category.category': ApiCategoryCategory;
       'api::catholicos.catholicos': ApiCatholicosCatholicos;
       'api::church-dignitary.church-dignitary': ApiChurchDignitaryChurchDignitary;
+      'api::content-revision.content-revision': ApiContentRevisionContentRevision;
       'api::diocesan-bishop.diocesan-bishop': ApiDiocesanBishopDiocesanBishop;
       'api::diocese.diocese': ApiDioceseDiocese;
       'api::directory-entry.directory-entry': ApiDirectoryEntryDirectoryEntry;
@@ -2160,11 +3125,19 @@ declare module '@strapi/strapi' {
       'api::managing-committee.managing-committee': ApiManagingCommitteeManagingCommittee;
       'api::parish.parish': ApiParishParish;
       'api::pilgrim-centre.pilgrim-centre': ApiPilgrimCentrePilgrimCentre;
+      'api::preview-link.preview-link': ApiPreviewLinkPreviewLink;
       'api::priest.priest': ApiPriestPriest;
+      'api::redirect.redirect': ApiRedirectRedirect;
       'api::retired-bishop.retired-bishop': ApiRetiredBishopRetiredBishop;
+      'api::review-event.review-event': ApiReviewEventReviewEvent;
+      'api::search.search-document': ApiSearchSearchDocument;
+      'api::search.search-term': ApiSearchSearchTerm;
       'api::seminary.seminary': ApiSeminarySeminary;
       'api::sidebar-promotional-block.sidebar-promotional-block': ApiSidebarPromotionalBlockSidebarPromotionalBlock;
+      'api::slug-history.slug-history': ApiSlugHistorySlugHistory;
       'api::spiritual-organisation.spiritual-organisation': ApiSpiritualOrganisationSpiritualOrganisation;
+      'api::tag.tag': ApiTagTag;
+      'api::tenant-audit-log.tenant-audit-log': ApiTenantAuditLogTenantAuditLog;
       'api::tenant.tenant': ApiTenantTenant;
       'api::working-committee.working-committee': ApiWorkingCommitteeWorkingCommittee;
       'plugin::content-releases.release': PluginContentReleasesRelease;